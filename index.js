@@ -1,220 +1,539 @@
 import express from "express";
 import fs from "fs";
 import path from "path";
-import crypto from "crypto";
 import cors from "cors";
-
-const app = express();
-app.use(express.json({ limit: "25mb" }));
-app.use(cors({ origin: true, credentials: false }));
+import { uid, nowISO, sanitizeText } from "./lib/util.js";
+import { openStore, copyDump } from "./lib/store.js";
+import { createBlobStore, decodeDataUrl } from "./lib/blobs.js";
+import { MEDIA_LIMITS, REFUSED_TYPES, sniffType, normalizeMime, stripMetadata, createThumbnailer } from "./lib/media.js";
+import { hashPassword, verifyPassword, createTokenSigner, loginKey } from "./lib/auth.js";
+import { createAuditLog, snapshot } from "./lib/audit.js";
+import { createReports, REPORT_CATEGORIES } from "./lib/reports.js";
+import { createRevisions, diffLines } from "./lib/revisions.js";
+import { createSearchIndex } from "./lib/search.js";
+import { createCounters, decayWeight, parseHotWeights } from "./lib/counters.js";
+import { createCalendar, parseWeekStart } from "./lib/calendar.js";
+import { createEventHub } from "./lib/events.js";
+import { createNotifications } from "./lib/notifications.js";
+import { createReviewQueue } from "./lib/review-queue.js";
+import { createContentFilter, parseRule } from "./lib/content-filter.js";
+import { createTagDirectory, tagKey, TREND_WINDOWS } from "./lib/tags.js";
+import { REACTIONS, createReactions, createBookmarks } from "./lib/reactions.js";
+import { encodeCursor, decodeCursor, pageAfter, newestFirst, parseFields, pickFields } from "./lib/paging.js";
+import { ADMIN_ROLES, isAdminRole, hasPermission, newRefreshToken, hashRefreshToken, createLoginThrottle } from "./lib/admin-auth.js";
+import { createRateLimiter, parseRateLimits } from "./lib/rate-limit.js";
+import { buildArchive, mediaHashes, writeWithMedia, parseArchive, applyArchive, restoreMedia, createSnapshots } from "./lib/archive.js";
+import { createAnalytics, toCsv } from "./lib/analytics.js";
+import { parseAnchors, replyRefs, missingRef, backReferences, nestPosts } from "./lib/replies.js";
+import { runMigrations, pendingMigrations, schemaVersion, setSchemaVersion } from "./lib/migrations.js";
+import { validateRecord, findInvalid } from "./lib/validate.js";
 
 const PORT = process.env.PORT || 3000;
 const API = "/api/diary";
 
+const app = express();
+// TRUST_PROXY: behind a reverse proxy, req.ip (which rate limits key on) comes from
+// X-Forwarded-For only for the proxies trusted here: "true", a hop count, or
+// addresses/subnets such as "loopback, 10.0.0.0/8". Unset (or "false") trusts none.
+const TRUST_PROXY = process.env.TRUST_PROXY || "false";
+if (TRUST_PROXY !== "false") app.set("trust proxy", TRUST_PROXY === "true" ? true : /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+app.use(cors({ origin: true, credentials: false }));
+// Upload requests are limited before their (up to 25MB) bodies are read.
+app.post([`${API}/attachments/request`, `${API}/attachments/:id/resubmit`, `${API}/verify/request`, `${API}/verify/:id/resubmit`], resolveUser, rateLimit("upload"));
+// Archives may carry all media, so imports get a larger body limit (once the admin is known).
+app.post(`${API}/admin/import`, mustAdmin("data.import"), express.json({ limit: process.env.IMPORT_MAX_BODY || "512mb" }));
+app.use(express.json({ limit: "25mb" }));
+
+const IS_PRODUCTION = process.env.NODE_ENV === "production";
+// ADMIN_NAME/ADMIN_PASSWORD only seed the first owner account while no admin exists.
+const ADMIN_NAME = process.env.ADMIN_NAME || "admin";
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "admin";
 const ADMIN_TOKEN_SECRET = process.env.ADMIN_TOKEN_SECRET || "change-me";
+const ADMIN_TOKEN_TTL_MS = Number(process.env.ADMIN_TOKEN_TTL_MIN || 15) * 60*1000;
+const ADMIN_SESSION_TTL_MS = Number(process.env.ADMIN_SESSION_TTL_HOURS || 12) * 60*60*1000;
+const SESSION_SECRET = process.env.SESSION_SECRET || "change-me-too";
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_DAYS || 30) * 24*60*60*1000;
+// 0 = verification never expires
+const VERIFY_TTL_MS = Number(process.env.VERIFY_TTL_DAYS || 0) * 24*60*60*1000;
+// Open claim requests (for pre-account content) one account may have at a time.
+const MAX_PENDING_CLAIMS = 3;
+
+// The data lives in an append-only log (STORE_BACKEND=log, the default). STORE_BACKEND=json
+// keeps the old single db.json, rewritten whole on every change; it is only meant for
+// legacy setups. A log that does not exist yet starts as a copy of LEGACY_DB_PATH when
+// that file is there; the db.json itself is left alone.
+const STORE_BACKEND = process.env.STORE_BACKEND || "log";
+const DB_PATH = process.env.DB_PATH || path.join(process.cwd(), STORE_BACKEND === "log" ? "db.log" : "db.json");
+const LEGACY_DB_PATH = process.env.LEGACY_DB_PATH || path.join(path.dirname(DB_PATH), "db.json");
+const FROM_LEGACY_DB = STORE_BACKEND === "log" && !fs.existsSync(DB_PATH) && fs.existsSync(LEGACY_DB_PATH);
+// MIGRATE=dry-run reports what the pending migrations would change and exits without writing anything.
+const MIGRATE_DRY_RUN = process.env.MIGRATE === "dry-run";
+if (FROM_LEGACY_DB && !MIGRATE_DRY_RUN) {
+  const counts = copyDump(LEGACY_DB_PATH, { backend: "log", file: DB_PATH });
+  console.log(`copied ${LEGACY_DB_PATH} into ${DB_PATH} (${Object.values(counts).reduce((a, b) => a + b, 0)} records)`);
+}
+const store = FROM_LEGACY_DB && MIGRATE_DRY_RUN
+  ? openStore({ backend: "json", file: LEGACY_DB_PATH, readOnly: true })
+  : openStore({ backend: STORE_BACKEND, file: DB_PATH, readOnly: MIGRATE_DRY_RUN });
+const BLOB_DIR = process.env.BLOB_DIR || path.join(process.cwd(), "blobs");
+const blobs = createBlobStore(BLOB_DIR, { readOnly: MIGRATE_DRY_RUN });
+const thumbnailer = createThumbnailer();
+const auditLog = createAuditLog(store);
+// Day/week/month buckets follow BUCKET_TZ (an IANA zone) and WEEK_START (0-6 or a weekday name).
+const calendar = createCalendar({ timeZone: process.env.BUCKET_TZ || "Asia/Tokyo", weekStart: parseWeekStart(process.env.WEEK_START ?? 1) });
+// Views and likes are written to their own file on a timer, never to the main store.
+// PV_WINDOWS / LIKE_WINDOWS=calendar|rolling: the pv_ and like_ sorts and trending tags
+// count the current day/week/month, or the last 24 hours/7 days/30 days. By default
+// views are calendar and likes rolling, as they always were; RANKING_WINDOWS sets both.
+const COUNTERS_PATH = process.env.COUNTERS_PATH || path.join(path.dirname(DB_PATH), "counters.json");
+const counters = createCounters({
+  file: COUNTERS_PATH,
+  flushMs: Number(process.env.COUNTERS_FLUSH_MS || 5000),
+  readOnly: MIGRATE_DRY_RUN,
+  calendar,
+  pvWindows: process.env.PV_WINDOWS || process.env.RANKING_WINDOWS || "calendar",
+  likeWindows: process.env.LIKE_WINDOWS || process.env.RANKING_WINDOWS || "rolling",
+});
+// sort=hot: recent views, likes and replies, each losing half its weight every
+// HOT_HALF_LIFE_HOURS. HOT_WEIGHTS (JSON) overrides the weights, e.g. {"reply":5}.
+const HOT_HALF_LIFE_MS = Number(process.env.HOT_HALF_LIFE_HOURS || 24) * 60*60*1000;
+if (!(HOT_HALF_LIFE_MS > 0 && Number.isFinite(HOT_HALF_LIFE_MS))) throw new Error(`HOT_HALF_LIFE_HOURS must be a number above 0, not ${process.env.HOT_HALF_LIFE_HOURS}`);
+const HOT_WEIGHTS = parseHotWeights(process.env.HOT_WEIGHTS, { pv: 1, like: 5, reply: 3 });
+// Admin deletes are soft; an owner can restore them until the purge removes them for good.
+// Stream channels: "threads" carries list summaries, "thread:<id>" the changes to one thread.
+const live = createEventHub({ heartbeatMs: Number(process.env.STREAM_HEARTBEAT_MS || 25000) });
+const DELETE_RETENTION_MS = Number(process.env.DELETE_RETENTION_DAYS || 30) * 24*60*60*1000;
+// Rotating snapshots of the whole dataset, taken at startup, before imports and every
+// BACKUP_INTERVAL_HOURS when something changed (0 turns the timer off).
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(path.dirname(DB_PATH), "backups");
+const BACKUP_INTERVAL_MS = Number(process.env.BACKUP_INTERVAL_HOURS ?? 6) * 60*60*1000;
+const snapshots = createSnapshots({ dir: BACKUP_DIR, keep: Number(process.env.BACKUP_KEEP || 14) });
+const reports = createReports(store);
+const revisions = createRevisions(store);
+const notifications = createNotifications(store);
+const reactions = createReactions(store);
+const bookmarks = createBookmarks(store);
+const contentFilter = createContentFilter(store);
+const analytics = createAnalytics(store, { counters, calendar, postVisible: isPublicPost });
+// A claimed review item stays reserved for its admin this long unless released or reviewed.
+const ADMIN_CLAIM_TTL_MS = Number(process.env.ADMIN_CLAIM_TTL_MIN || 15) * 60*1000;
+const attachmentQueue = createReviewQueue(store, "attachments", { ownerField: "requesterId", claimTtlMs: ADMIN_CLAIM_TTL_MS });
+const verifyQueue = createReviewQueue(store, "verifyRequests", { ownerField: "userId", claimTtlMs: ADMIN_CLAIM_TTL_MS });
+// Kept in step with every thread/post write through the store subscription below.
+const search = createSearchIndex(store, { threadSearchable: isListedThread, postSearchable: isPublicPost, tagKey: (g) => tagDirectory.canonical(g) });
+const tagDirectory = createTagDirectory(store, { listed: isListedThread, stats: (id) => ({ ...counters.pv(id), ...counters.likes(id) }) });
+// Distinct open reporters at which content is hidden pending review.
+const REPORT_HIDE_AT = { thread: Number(process.env.REPORT_HIDE_THREAD_AT || 5), post: Number(process.env.REPORT_HIDE_POST_AT || 3) };
+// Token buckets per route class, kept per IP and per user. RATE_LIMITS (JSON) overrides
+// classes, e.g. {"post":{"burst":20,"perMinute":20}}.
+const RATE_LIMITS = parseRateLimits(process.env.RATE_LIMITS, {
+  auth: { burst: 10, perMinute: 5 },
+  adminLogin: { burst: 5, perMinute: 2 },
+  thread: { burst: 3, perMinute: 2 },
+  post: { burst: 10, perMinute: 6 },
+  like: { burst: 30, perMinute: 30 },
+  tags: { burst: 10, perMinute: 5 },
+  report: { burst: 10, perMinute: 5 },
+  upload: { burst: 3, perMinute: 2 },
+  export: { burst: 3, perMinute: 1 },
+});
+const limiter = createRateLimiter({
+  classes: RATE_LIMITS,
+  banAfter: Number(process.env.RATE_BAN_AFTER || 5),
+  banMs: Number(process.env.RATE_BAN_MINUTES || 15) * 60*1000,
+});
 
-const DB_PATH = path.join(process.cwd(), "db.json");
+// Owners choose a visibility: unlisted threads are reachable by link but left out of
+// lists, search and the list stream; private ones are reachable by their owner only.
+const THREAD_VISIBILITY = ["public", "unlisted", "private"];
 
-function uid(prefix) { return prefix + crypto.randomBytes(10).toString("hex"); }
-function nowISO() { return new Date().toISOString(); }
+function isPublicThread(t) { return !!t && !t.hidden && !t.deletedAt; }
+function isListedThread(t) { return isPublicThread(t) && threadVisibility(t) === "public"; }
+function threadVisibility(t) { return t.visibility || "public"; }
+function isPublicPost(p) { return !!p && !p.hidden && !p.deletedAt; }
 
-function readDB() {
-  try {
-    const raw = fs.readFileSync(DB_PATH, "utf-8");
-    const db = JSON.parse(raw);
-    db.threads ||= [];
-    db.attachments ||= [];
-    db.verifyRequests ||= [];
-    db.verifiedUsers ||= {};
-    return db;
-  } catch {
-    return { threads: [], attachments: [], verifyRequests: [], verifiedUsers: {} };
-  }
-}
-function writeDB(db) {
-  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
-  fs.writeFileSync(DB_PATH, JSON.stringify(db, null, 2), "utf-8");
+// Hidden and deleted posts are left out unless includeRemoved (admin views).
+function threadPosts(threadId, { includeRemoved = false } = {}) {
+  return store.posts.find("threadId", threadId)
+    .filter((p) => includeRemoved || isPublicPost(p))
+    .sort((a, b) => (a.no || 0) - (b.no || 0));
 }
 
-function sanitizeText(s, maxLen) {
-  const t = String(s ?? "").replace(/\r/g, "");
-  return t.length > maxLen ? t.slice(0, maxLen) : t;
+// The thread as `viewerId` may see it: not hidden, not deleted and not someone else's private thread.
+function publicThread(id, viewerId = "") {
+  const t = store.threads.get(id);
+  return isPublicThread(t) && (threadVisibility(t) !== "private" || t.creatorId === viewerId) ? t : null;
 }
+// Variants of one tag (see tagKey) keep the first spelling given.
 function sanitizeTags(tags) {
   const out = [];
   const seen = new Set();
   for (const t of (Array.isArray(tags) ? tags : [])) {
-    const v = sanitizeText(t, 24).trim();
-    if (!v) continue;
-    if (seen.has(v)) continue;
-    seen.add(v);
+    const v = sanitizeText(t, 24).normalize("NFKC").trim();
+    const key = tagKey(v);
+    if (!key) continue;
+    if (seen.has(key)) continue;
+    seen.add(key);
     out.push(v);
     if (out.length >= 12) break;
   }
   return out;
 }
-function isDataUrl(s) { return typeof s === "string" && s.startsWith("data:"); }
-function isAllowedMediaType(type) { return typeof type === "string" && (type.startsWith("image/") || type.startsWith("video/")); }
-function isImageType(type){ return typeof type === "string" && type.startsWith("image/"); }
-
-function pruneLikeEvents(thread) {
-  const cutoff = Date.now() - 31 * 24 * 60 * 60 * 1000;
-  const out = {};
-  for (const [k, iso] of Object.entries(thread.likesByUser || {})) {
-    const t = Date.parse(iso);
-    if (Number.isFinite(t) && t >= cutoff) out[k] = iso;
-  }
-  thread.likesByUser = out;
+function isAllowedMediaType(type) { return Object.hasOwn(MEDIA_LIMITS, type); }
+function isImageType(type){ return isAllowedMediaType(type) && type.startsWith("image/"); }
+
+// Thumbnails are decoded on a worker thread and added to the attachment when ready;
+// until then (or for files that get none) it has no thumbnails.
+function addThumbnails(att, buf) {
+  const { sha256, type } = att.file;
+  thumbnailer.make(buf, type).then((thumbs) => {
+    const cur = store.attachments.get(att.id);
+    if (!thumbs.length || cur?.file?.sha256 !== sha256) return;
+    cur.file.thumbs = thumbs.map(({ size, width, height, buf: thumb }) => ({ size, width, height, sha256: blobs.put(thumb) }));
+    store.attachments.put(cur);
+  }).catch((e) => console.error(`thumbnails for ${att.id}: ${e.message}`));
+}
+// Decode an uploaded { name, type, size, dataUrl } into the blob store. Returns { error } or { file, buf }.
+// The bytes must really be of the declared type; metadata is stripped before storing.
+// Recognised formats that are refused on purpose (HEIC and the like) get "unsupported_type".
+function ingestFile(f, allowType) {
+  const type = normalizeMime(sanitizeText(f?.type, 120).trim());
+  if (!allowType(type)) return { error: REFUSED_TYPES.includes(type) ? "unsupported_type" : "type" };
+  const decoded = decodeDataUrl(f?.dataUrl);
+  if (!decoded || !decoded.buf.length) return { error: "dataurl" };
+  const sniffed = sniffType(decoded.buf);
+  if (REFUSED_TYPES.includes(sniffed)) return { error: "unsupported_type" };
+  if (normalizeMime(decoded.type) !== type || sniffed !== type) return { error: "type" };
+  if (decoded.buf.length > MEDIA_LIMITS[type]) return { error: "too_large" };
+  const declared = Number(f?.size);
+  if (Number.isFinite(declared) && declared > 0 && declared !== decoded.buf.length) return { error: "size" };
+  const buf = stripMetadata(decoded.buf, type);
+  const file = { name: sanitizeText(f?.name, 180), type, size: buf.length, sha256: blobs.put(buf), clean: true };
+  return { file, buf };
+}
+// Streams a stored file; express handles Range/If-None-Match once Content-Type and ETag are set.
+function sendBlob(res, file) {
+  if (!blobs.has(file?.sha256)) return res.status(404).json({ error: "not_found" });
+  res.sendFile(blobs.pathOf(file.sha256), {
+    lastModified: false,
+    headers: {
+      "Content-Type": file.type || "application/octet-stream",
+      "ETag": `"${file.sha256}"`,
+      "Cache-Control": "private, max-age=3600",
+      "X-Content-Type-Options": "nosniff",
+    },
+  });
+}
+function attachmentView(a) {
+  const { name, type, size, thumbs = [] } = a.file || {};
+  const thumbnails = thumbs.map((t) => ({ size: t.size, width: t.width, height: t.height, url: `${API}/attachments/${a.id}/thumb/${t.size}` }));
+  return { id: a.id, file: { name, type, size }, url: `${API}/attachments/${a.id}/file`, thumbnails };
 }
-function likeCount(thread, ms) {
+// `repliedBy`: numbers of the visible posts that answer or anchor this one.
+function postView(p, approvedAttachments = [], pendingMineCount = 0, viewerId = "", repliedBy = []) {
+  return { id: p.id, no: p.no, authorId: publicUserId(p.authorId), authorName: authorName(p.authorId), createdAt: p.createdAt, updatedAt: p.updatedAt, edited: !!p.editedAt, editedAt: p.editedAt || "", body: p.body, replyTo: p.replyTo || null, anchors: p.anchors || [], repliedBy, reactions: reactions.counts(p.id), myReactions: reactions.mine(p.id, viewerId), approvedAttachments, pendingMineCount };
+}
+
+const adminTokens = createTokenSigner("admin", ADMIN_TOKEN_SECRET, ADMIN_TOKEN_TTL_MS);
+const adminLoginThrottle = createLoginThrottle();
+
+// Access tokens are short-lived and name a session; the session carries the refresh
+// token hash and can be revoked server-side.
+function openAdminSession(admin) {
+  const refreshToken = newRefreshToken();
   const now = Date.now();
-  let c = 0;
-  for (const iso of Object.values(thread.likesByUser || {})) {
-    const t = Date.parse(iso);
-    if (!Number.isFinite(t)) continue;
-    if (now - t <= ms) c++;
-  }
-  return c;
-}
-
-function jstDate(nowMs){ return new Date((nowMs ?? Date.now()) + 9*60*60*1000); }
-function jstDayKey(nowMs){ return jstDate(nowMs).toISOString().slice(0,10); }
-function jstMonthKey(nowMs){ return jstDate(nowMs).toISOString().slice(0,7); }
-function jstWeekKey(nowMs){
-  const d = jstDate(nowMs);
-  const dow = d.getUTCDay(); // 0=Sun..6=Sat in "JST as UTC"
-  const diff = (dow + 6) % 7; // days since Monday
-  const mon = new Date(d.getTime() - diff*24*60*60*1000);
-  return mon.toISOString().slice(0,10);
-}
-function ensurePV(thread){
-  thread.pv ||= { total: 0, day: {}, week: {}, month: {}, byUser: {} };
-  thread.pv.day ||= {};
-  thread.pv.week ||= {};
-  thread.pv.month ||= {};
-  thread.pv.byUser ||= {};
-  return thread.pv;
-}
-function prunePV(thread){
-  const pv = ensurePV(thread);
-  const cutoff = Date.now() - 62*24*60*60*1000;
-  // prune byUser
-  const out = {};
-  for (const [uid, rec] of Object.entries(pv.byUser || {})){
-    const t = Date.parse(rec?.ts || "");
-    if (Number.isFinite(t) && t >= cutoff) out[uid] = rec;
-  }
-  pv.byUser = out;
-  // prune day/week buckets (keys are YYYY-MM-DD in JST-as-UTC)
-  const pruneBucket = (bucket)=>{
-    const outB = {};
-    for (const [k, v] of Object.entries(bucket || {})){
-      const t = Date.parse(k + "T00:00:00Z");
-      if (Number.isFinite(t) && t >= cutoff) outB[k] = v;
+  const session = { id: uid("S"), adminId: admin.id, createdAt: nowISO(), expiresAt: new Date(now + ADMIN_SESSION_TTL_MS).toISOString(), refreshHash: hashRefreshToken(refreshToken), revokedAt: "" };
+  store.batch(() => {
+    for (const old of store.adminSessions.find("adminId", admin.id)) {
+      if (!adminSessionLive(old)) store.adminSessions.remove(old.id);
     }
-    return outB;
+    store.adminSessions.put(session);
+  });
+  return adminSessionTokens(admin, session, refreshToken);
+}
+function adminSessionTokens(admin, session, refreshToken) {
+  return {
+    ok: true,
+    name: admin.name,
+    roles: admin.roles,
+    token: adminTokens.sign(session.id),
+    tokenExpiresAt: new Date(Date.now() + ADMIN_TOKEN_TTL_MS).toISOString(),
+    refreshToken,
+    sessionExpiresAt: session.expiresAt,
+  };
+}
+function adminSessionLive(session) {
+  return !!session && !session.revokedAt && Date.parse(session.expiresAt) > Date.now();
+}
+function revokeAdminSessions(adminId) {
+  let n = 0;
+  store.batch(() => {
+    for (const s of store.adminSessions.find("adminId", adminId)) {
+      if (s.revokedAt) continue;
+      s.revokedAt = nowISO();
+      store.adminSessions.put(s);
+      n++;
+    }
+  });
+  return n;
+}
+function adminView(a) {
+  return { id: a.id, name: a.name, roles: a.roles, disabled: !!a.disabled, createdAt: a.createdAt };
+}
+// Sets req.admin / req.adminSession; `perm` (see ADMIN_ROLES) is checked against the admin's roles.
+function mustAdmin(perm) {
+  return (req, res, next) => {
+    const session = store.adminSessions.get(adminTokens.verify(req.header("X-Admin-Token") || ""));
+    const admin = session && store.admins.get(session.adminId);
+    if (!adminSessionLive(session) || !admin || admin.disabled) return res.status(401).json({ error: "unauthorized" });
+    if (!hasPermission(admin.roles, perm)) return res.status(403).json({ error: "forbidden" });
+    req.admin = admin;
+    req.adminSession = session;
+    return next();
   };
-  pv.day = pruneBucket(pv.day);
-  pv.week = pruneBucket(pv.week);
-  // month: keep modest; prune > 18 months
-  const monthOut = {};
-  const now = jstDate().toISOString().slice(0,7); // YYYY-MM
-  const [ny, nm] = now.split("-").map(Number);
-  for (const [k, v] of Object.entries(pv.month || {})){
-    const [y, m] = String(k).split("-").map(Number);
-    if (!Number.isFinite(y) || !Number.isFinite(m)) continue;
-    const monthsAgo = (ny - y)*12 + (nm - m);
-    if (monthsAgo <= 18) monthOut[k] = v;
-  }
-  pv.month = monthOut;
 }
-function recordPV(thread, viewerId){
-  if (!viewerId) return;
-  // Don't count creator's own views (prevents easy inflation)
-  const creator = String(thread.creatorId || thread.authorId || "");
-  if (creator && String(viewerId) === creator) return;
 
-  prunePV(thread);
-  const pv = ensurePV(thread);
-  const now = Date.now();
-  const dayKey = jstDayKey(now);
-  const weekKey = jstWeekKey(now);
-  const monthKey = jstMonthKey(now);
-
-  const rec = pv.byUser[viewerId] || { day:"", week:"", month:"", ts: "" };
-  let bumped = false;
-
-  if (rec.day !== dayKey){
-    pv.day[dayKey] = (pv.day[dayKey] || 0) + 1;
-    pv.total = (pv.total || 0) + 1;
-    rec.day = dayKey;
-    bumped = true;
-  }
-  if (rec.week !== weekKey){
-    pv.week[weekKey] = (pv.week[weekKey] || 0) + 1;
-    rec.week = weekKey;
-    bumped = true;
+// `req` is null for automatic actions, which are logged with the "system" actor.
+function auditAdmin(req, action, targetType, targetId, before, after) {
+  auditLog.record({ actor: req?.admin, action, targetType, targetId, before, after, reason: req?.body?.reason });
+}
+
+// Unhiding, by whatever route, also ends a filter hold.
+function clearHide(rec) {
+  delete rec.hiddenBy;
+  delete rec.heldAt;
+  delete rec.heldFor;
+}
+function setThreadHidden(req, t, hide, hiddenBy = "admin") {
+  const before = snapshot(t);
+  t.hidden = hide;
+  if (hide) t.hiddenBy = hiddenBy;
+  else clearHide(t);
+  t.updatedAt = nowISO();
+  store.batch(() => {
+    store.threads.put(t);
+    auditAdmin(req, hide ? "thread.hide" : "thread.unhide", "thread", t.id, before, t);
+  });
+}
+function setPostHidden(req, post, hide, hiddenBy = "admin") {
+  const before = snapshot(post);
+  post.hidden = hide;
+  if (hide) post.hiddenBy = hiddenBy;
+  else clearHide(post);
+  store.batch(() => {
+    store.posts.put(post);
+    auditAdmin(req, hide ? "post.hide" : "post.unhide", "post", post.id, before, post);
+  });
+}
+function softDeleteThread(req, t) {
+  const before = snapshot(t);
+  t.deletedAt = nowISO();
+  t.deletedBy = req.admin.id;
+  store.batch(() => {
+    store.threads.put(t);
+    auditAdmin(req, "thread.delete", "thread", t.id, before, t);
+  });
+}
+function softDeletePost(req, t, post) {
+  const before = snapshot(post);
+  post.deletedAt = nowISO();
+  post.deletedBy = req.admin.id;
+  t.updatedAt = nowISO();
+  store.batch(() => {
+    store.posts.put(post);
+    store.threads.put(t);
+    auditAdmin(req, "post.delete", "post", post.id, before, post);
+  });
+}
+function restorable(rec) {
+  return Date.parse(rec.deletedAt) >= Date.now() - DELETE_RETENTION_MS;
+}
+// Hard-deletes soft-deleted threads and posts (with their attachments) once the retention window has passed.
+function purgeDeleted() {
+  const expired = (rec) => rec.deletedAt && !restorable(rec);
+  const dropAttachments = (list) => list.forEach((a) => store.attachments.remove(a.id));
+  store.batch(() => {
+    for (const t of store.threads.all().filter(expired)) {
+      const posts = store.posts.find("threadId", t.id);
+      posts.forEach((p) => store.posts.remove(p.id));
+      dropAttachments(store.attachments.find("threadId", t.id));
+      store.threads.remove(t.id);
+      counters.dropThread(t.id);
+      reactions.dropThread(t.id);
+      bookmarks.dropThread(t.id);
+      auditLog.record({ action: "thread.purge", targetType: "thread", targetId: t.id, before: { ...t, postCount: posts.length } });
+    }
+    for (const p of store.posts.all().filter(expired)) {
+      dropAttachments(store.attachments.find("postId", p.id));
+      reactions.dropTarget(p.id);
+      store.posts.remove(p.id);
+      auditLog.record({ action: "post.purge", targetType: "post", targetId: p.id, before: p });
+    }
+  });
+}
+
+const migrationCtx = { blobs, counters, reactions };
+// Brings the data up to the current schema (see lib/migrations.js) and lists the
+// records that still do not fit it; run at startup and after imports.
+function migrate(opts) {
+  const report = runMigrations(store, migrationCtx, opts);
+  return { report, invalid: findInvalid(store) };
+}
+function describeInvalid(invalid) {
+  const lines = invalid.slice(0, 20).map((r) => `  ${r.collection}/${r.id}: ${r.problem}`);
+  if (invalid.length > 20) lines.push(`  ...and ${invalid.length - 20} more`);
+  return lines.join("\n");
+}
+
+let changedSinceSnapshot = true;
+// Routine snapshots leave password hashes out: restoring one keeps the stored hashes, but an
+// account it brings back has none and cannot log in. Those taken just before an import or a
+// migration keep them, so undoing the change puts every account back as it was.
+const SNAPSHOT_CREDENTIALS = ["pre-import", "pre-restore", "pre-migrate"];
+function takeSnapshot(label) {
+  counters.flush();
+  const name = snapshots.take(buildArchive(store, counters, { credentials: SNAPSHOT_CREDENTIALS.includes(label) }), label);
+  changedSinceSnapshot = false;
+  return name;
+}
+// The current data is snapshotted first, so an import can always be undone by restoring it.
+// Imported records are migrated from the archive's schema version; if any are still
+// invalid afterwards (or a migration fails) the snapshot is put back. Returns { error, invalid } then.
+// So is an import that would leave no owner able to log in: nothing seeds a new one at runtime.
+function importArchive(req, archive, { replace }) {
+  const snapshot = takeSnapshot(replace ? "pre-restore" : "pre-import");
+  const media = restoreMedia(blobs, archive.media);
+  const rollback = () => {
+    const saved = snapshots.read(snapshot);
+    store.unchecked(() => applyArchive(store, saved.collections, { replace: true }));
+    counters.restore(saved.counters, { replace: true });
+  };
+  let result;
+  try {
+    result = store.unchecked(() => {
+      const stats = applyArchive(store, archive.collections, { replace });
+      if (archive.counters) counters.restore(archive.counters, { replace });
+      setSchemaVersion(store, Math.min(schemaVersion(store), archive.schema));
+      return { stats, ...migrate() };
+    });
+  } catch (e) {
+    rollback();
+    throw e;
   }
-  if (rec.month !== monthKey){
-    pv.month[monthKey] = (pv.month[monthKey] || 0) + 1;
-    rec.month = monthKey;
-    bumped = true;
+  if (!hasOwner()) {
+    rollback();
+    return { error: "no_owner", snapshot };
   }
-  if (bumped){
-    rec.ts = nowISO();
-    pv.byUser[viewerId] = rec;
+  const { stats, report, invalid } = result;
+  if (invalid.length) {
+    rollback();
+    return { error: "invalid_records", invalid: invalid.slice(0, 100), snapshot };
   }
+  const migrations = report.map((m) => m.name);
+  auditAdmin(req, replace ? "data.restore" : "data.import", "data", "", null, { version: archive.version, schema: archive.schema, stats, media, migrations, snapshot });
+  return { snapshot, stats, media, migrations };
 }
-function pvCounts(thread){
-  prunePV(thread);
-  const pv = ensurePV(thread);
-  const now = Date.now();
-  const dayKey = jstDayKey(now);
-  const weekKey = jstWeekKey(now);
-  const monthKey = jstMonthKey(now);
-  return {
-    pvDay: pv.day?.[dayKey] || 0,
-    pvWeek: pv.week?.[weekKey] || 0,
-    pvMonth: pv.month?.[monthKey] || 0,
-    pvTotal: pv.total || 0,
-  };
+
+function assertSafeConfig() {
+  if (!IS_PRODUCTION) return;
+  const problems = [];
+  if (ADMIN_TOKEN_SECRET === "change-me") problems.push("ADMIN_TOKEN_SECRET");
+  if (SESSION_SECRET === "change-me-too") problems.push("SESSION_SECRET");
+  if (!store.admins.size && ADMIN_PASSWORD === "admin") problems.push("ADMIN_PASSWORD");
+  if (problems.length) throw new Error(`refusing to start in production with default ${problems.join(", ")}`);
+}
+// An enabled owner with a password, i.e. someone who can log in and fix things.
+function hasOwner() {
+  return store.admins.all().some((a) => !a.disabled && a.passwordHash && hasPermission(a.roles, "*"));
+}
+function seedOwner() {
+  if (store.admins.size) return;
+  store.admins.put({ id: uid("M"), name: ADMIN_NAME, login: loginKey(ADMIN_NAME), passwordHash: hashPassword(ADMIN_PASSWORD), roles: ["owner"], disabled: false, createdAt: nowISO() });
 }
 
-function signAdminToken() {
-  const ts = Date.now().toString();
-  const payload = `admin:${ts}`;
-  const mac = crypto.createHmac("sha256", ADMIN_TOKEN_SECRET).update(payload).digest("hex");
-  return Buffer.from(`${payload}:${mac}`).toString("base64url");
+const userTokens = createTokenSigner("user", SESSION_SECRET, SESSION_TTL_MS);
+
+// Attaches req.user (or null) from X-User-Token; identity never comes from the request body.
+function resolveUser(req, res, next) {
+  const id = userTokens.verify(req.header("X-User-Token") || "");
+  req.user = (id && store.users.get(id)) || null;
+  return next();
 }
-function verifyAdminToken(token) {
-  try {
-    const decoded = Buffer.from(token, "base64url").toString("utf-8");
-    const parts = decoded.split(":");
-    if (parts.length !== 3) return false;
-    const [role, ts, mac] = parts;
-    if (role !== "admin") return false;
-    const payload = `${role}:${ts}`;
-    const mac2 = crypto.createHmac("sha256", ADMIN_TOKEN_SECRET).update(payload).digest("hex");
-    return crypto.timingSafeEqual(Buffer.from(mac), Buffer.from(mac2));
-  } catch {
-    return false;
-  }
+// Takes a token from the IP's and the signed-in user's bucket for `cls`.
+function rateLimit(cls) {
+  return (req, res, next) => {
+    const keys = [`ip:${req.ip}`];
+    if (req.user) keys.push(`user:${req.user.id}`);
+    limiter.take(cls, keys).then((r) => {
+      if (r.ok) return next();
+      res.set("Retry-After", String(r.retryAfter));
+      res.status(429).json({ error: r.banned ? "banned" : "rate_limited", retryAfter: r.retryAfter });
+    }, next);
+  };
 }
-function mustAdmin(req, res, next) {
-  const tok = req.header("X-Admin-Token") || "";
-  const ok = tok && verifyAdminToken(tok);
-  if (!ok) return res.status(401).json({ error: "unauthorized" });
+function mustUser(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: "unauthorized" });
   return next();
 }
+function userView(u) {
+  return { id: u.id, name: u.name, createdAt: u.createdAt, verified: dbIsVerified(u.id) };
+}
+function authorName(id) {
+  return store.users.get(id)?.name || "";
+}
+
+// Moves everything recorded under an anonymous pre-account id onto a real account.
+function claimLegacyContent(legacyId, userId) {
+  const moved = { threads: 0, posts: 0, ...counters.renameUser(legacyId, userId), attachments: 0, verifyRequests: 0 };
+  store.batch(() => {
+    for (const t of store.threads.find("creatorId", legacyId)) { t.creatorId = userId; store.threads.put(t); moved.threads++; }
+    for (const p of store.posts.find("authorId", legacyId)) { p.authorId = userId; store.posts.put(p); moved.posts++; }
+    for (const a of store.attachments.find("requesterId", legacyId)) { a.requesterId = userId; store.attachments.put(a); moved.attachments++; }
+    for (const v of store.verifyRequests.find("userId", legacyId)) { v.userId = userId; store.verifyRequests.put(v); moved.verifyRequests++; }
+    const vu = store.verifiedUsers.get(legacyId);
+    if (vu) {
+      store.verifiedUsers.remove(legacyId);
+      if (!store.verifiedUsers.has(userId)) store.verifiedUsers.put({ ...vu, userId });
+    }
+    moved.reactions = reactions.renameUser(legacyId, userId);
+    moved.bookmarks = bookmarks.renameUser(legacyId, userId);
+    store.claims.put({ legacyId, userId, claimedAt: nowISO(), moved });
+  });
+  return moved;
+}
+
+function claimRequestView(c) {
+  return { id: c.id, legacyId: c.legacyId, status: c.status, evidence: c.evidence, note: c.note, createdAt: c.createdAt, reviewedAt: c.reviewedAt };
+}
+// Sets the outcome of a pending claim request and tells the requester.
+function closeClaimRequest(c, status, adminId, note) {
+  c.status = status;
+  c.reviewedAt = nowISO();
+  c.reviewedBy = adminId;
+  c.note = note;
+  store.claimRequests.put(c);
+  notifications.notify({ userId: c.userId, type: `claim.${status}`, targetId: c.id, note });
+}
+
+// Ids that name an account. Anything else is a pre-account id, which is what a claim
+// is made with, so it stays out of public views.
+function publicUserId(id) {
+  return store.users.has(id) ? id : "";
+}
+
+function hotScore(t, now) {
+  const { pv, likes } = counters.decayed(t.id, HOT_HALF_LIFE_MS, now);
+  let replies = 0;
+  for (const p of threadPosts(t.id)) if (p.no > 1) replies += decayWeight(Date.parse(p.createdAt), HOT_HALF_LIFE_MS, now);
+  return Math.round((HOT_WEIGHTS.pv * pv + HOT_WEIGHTS.like * likes + HOT_WEIGHTS.reply * replies) * 1000) / 1000;
+}
 
 function threadSummary(t){
-  pruneLikeEvents(t);
-  const likeDay = likeCount(t, 24*60*60*1000);
-  const likeWeek = likeCount(t, 7*24*60*60*1000);
-  const likeMonth = likeCount(t, 30*24*60*60*1000);
-  const { pvDay, pvWeek, pvMonth, pvTotal } = pvCounts(t);
-  const firstBody = (t.posts && t.posts[0] && t.posts[0].body) ? String(t.posts[0].body) : "";
+  const { likeDay, likeWeek, likeMonth } = counters.likes(t.id);
+  const reactionCounts = reactions.counts(t.id);
+  const { pvDay, pvWeek, pvMonth, pvTotal } = counters.pv(t.id);
+  const posts = threadPosts(t.id);
+  const firstBody = (posts[0] && posts[0].body) ? String(posts[0].body) : "";
   const body = sanitizeText(firstBody, 320);
   return {
     id: t.id,
@@ -223,56 +542,253 @@ function threadSummary(t){
     tags: t.tags || [],
     createdAt: t.createdAt,
     updatedAt: t.updatedAt,
-    postCount: (t.posts || []).length,
+    visibility: threadVisibility(t),
+    locked: !!t.locked,
+    pinned: !!t.pinnedAt,
+    pinnedAt: t.pinnedAt || "",
+    postCount: posts.length,
     likeDay, likeWeek, likeMonth,
+    likeTotal: reactionCounts.like || 0,
+    reactions: reactionCounts,
     pvDay, pvWeek, pvMonth, pvTotal,
   };
 }
 
+// Content the filter holds stays hidden (hiddenBy "filter") until an admin approves it.
+function rejectContent(res, verdict) {
+  const reasons = Array.from(new Set(verdict.matches.filter((m) => m.action === "reject").map((m) => m.kind)));
+  return res.status(400).json({ error: "content_rejected", reasons });
+}
+function holdFields(verdict, ts) {
+  return { hidden: true, hiddenBy: "filter", heldAt: ts, heldFor: verdict.matches.filter((m) => m.action === "hold") };
+}
+// For edits: a record hidden by an admin or by reports stays hidden that way, so approving
+// the edit can never undo that hide.
+function holdEdit(rec, verdict, ts) {
+  if (rec.hidden && rec.hiddenBy !== "filter") return;
+  Object.assign(rec, holdFields(verdict, ts));
+}
+function withLabels(labels, extra) {
+  return Array.from(new Set([...(labels || []), ...extra]));
+}
+
+function publishThread(t) {
+  if (isListedThread(t)) live.publish("threads", "thread", threadSummary(t));
+}
+// Streams of a thread that stops being reachable (or turns private) are closed; the list
+// stream drops threads that stop being listed and re-announces ones that come back.
+const liveState = new Map(); // threadId -> { open, listed }
+function liveStateOf(t) {
+  return { open: isPublicThread(t) && threadVisibility(t) !== "private", listed: isListedThread(t) };
+}
+function liveOnWrite(name, id, rec) {
+  if (name !== "threads") return;
+  const now = liveStateOf(rec);
+  const was = liveState.get(id);
+  if (rec) liveState.set(id, now);
+  else liveState.delete(id);
+  if (!was) return;
+  if (was.open && !now.open) live.close(`thread:${id}`, "closed", { id });
+  if (was.listed === now.listed) return;
+  if (now.listed) publishThread(rec);
+  else live.publish("threads", "thread.removed", { id });
+}
+
+// A verification lapses at expiresAt; revocation removes the record outright.
 function dbIsVerified(userId){
-  const d = readDB();
-  return !!d.verifiedUsers?.[userId];
+  const vu = store.verifiedUsers.get(userId);
+  return !!vu && !(vu.expiresAt && Date.parse(vu.expiresAt) <= Date.now());
 }
 
+app.use(resolveUser);
+
 app.get(`${API}/ping`, (req, res) => res.json({ ok: true }));
 
+app.post(`${API}/auth/register`, rateLimit("auth"), (req, res) => {
+  const name = sanitizeText(req.body?.name, 32).trim();
+  const password = String(req.body?.password ?? "");
+  const login = loginKey(name);
+  if (login.length < 3 || /[\s:]/.test(login)) return res.status(400).json({ error: "bad_name" });
+  if (password.length < 8 || password.length > 200) return res.status(400).json({ error: "weak_password" });
+  if (store.users.find("login", login).length) return res.status(409).json({ error: "name_taken" });
+
+  const user = { id: uid("U"), name, login, passwordHash: hashPassword(password), createdAt: nowISO() };
+  store.users.put(user);
+  res.json({ ok:true, user: userView(user), token: userTokens.sign(user.id) });
+});
+
+app.post(`${API}/auth/login`, rateLimit("auth"), (req, res) => {
+  const user = store.users.find("login", loginKey(req.body?.name))[0];
+  if (!user || !verifyPassword(String(req.body?.password ?? ""), user.passwordHash)) return res.status(401).json({ error: "invalid" });
+  res.json({ ok:true, user: userView(user), token: userTokens.sign(user.id) });
+});
+
+app.get(`${API}/auth/me`, mustUser, (req, res) => {
+  res.json({ user: userView(req.user) });
+});
+
+// Everything the user wrote or uploaded, removed content included; ?media=1 adds the files.
+app.get(`${API}/auth/me/export`, mustUser, rateLimit("export"), (req, res, next) => {
+  const userId = req.user.id;
+  const doc = {
+    format: "diary-user-export",
+    version: 1,
+    exportedAt: nowISO(),
+    user: userView(req.user),
+    threads: store.threads.find("creatorId", userId).map((t) => ({
+      id: t.id, title: t.title, tags: t.tags || [], visibility: threadVisibility(t), locked: !!t.locked,
+      createdAt: t.createdAt, updatedAt: t.updatedAt, editedAt: t.titleEditedAt || "", hidden: !!t.hidden, deleted: !!t.deletedAt,
+    })),
+    posts: store.posts.find("authorId", userId).map((p) => ({
+      id: p.id, threadId: p.threadId, no: p.no, body: p.body,
+      createdAt: p.createdAt, updatedAt: p.updatedAt, editedAt: p.editedAt || "", hidden: !!p.hidden, deleted: !!p.deletedAt,
+    })),
+    attachments: store.attachments.find("requesterId", userId).map((a) => ({
+      id: a.id, threadId: a.threadId, postId: a.postId, status: a.status, createdAt: a.createdAt, reviewedAt: a.reviewedAt, note: a.note,
+      file: { name: a.file?.name || "", type: a.file?.type || "", size: a.file?.size || 0, sha256: a.file?.sha256 || "" },
+    })),
+  };
+  res.set("Content-Disposition", `attachment; filename="diary-export-${userId}.json"`);
+  if (req.query.media !== "1") return res.json(doc);
+  res.type("application/json");
+  writeWithMedia(res, doc, { blobs, hashes: new Set(doc.attachments.map((a) => a.file.sha256).filter(Boolean)) }).catch(next);
+});
+
+// Pre-account clients identified themselves with a self-generated id, which proves
+// nothing on its own: a claim is a request that an admin approves (or not) after
+// checking the evidence. Each legacy id goes to one account, once.
+app.post(`${API}/auth/claim`, mustUser, rateLimit("auth"), (req, res) => {
+  const legacyId = sanitizeText(req.body?.legacyId, 64).trim();
+  const evidence = sanitizeText(req.body?.evidence, 2000).trim();
+  if (!legacyId || legacyId === "UNKNOWN" || store.users.has(legacyId)) return res.status(400).json({ error: "bad_request" });
+  if (!evidence) return res.status(400).json({ error: "evidence_required" });
+  if (store.claims.has(legacyId)) return res.status(409).json({ error: "already_claimed" });
+  const mine = store.claimRequests.find("userId", req.user.id);
+  if (mine.some((c) => c.legacyId === legacyId && c.status === "pending")) return res.status(409).json({ error: "already_pending" });
+  if (mine.filter((c) => c.status === "pending").length >= MAX_PENDING_CLAIMS) return res.status(429).json({ error: "too_many_pending" });
+  const claim = { id: uid("C"), legacyId, userId: req.user.id, evidence, status: "pending", createdAt: nowISO(), reviewedAt: "", reviewedBy: "", note: "" };
+  store.claimRequests.put(claim);
+  res.status(202).json({ ok:true, claim: claimRequestView(claim) });
+});
+
+app.get(`${API}/auth/claims`, mustUser, (req, res) => {
+  res.json({ claims: store.claimRequests.find("userId", req.user.id).sort(newestFirst).map(claimRequestView) });
+});
+
+// A list cursor's position must carry every field the order compares.
+function validListPos(pos, key) {
+  if (!pos || typeof pos !== "object") return false;
+  if (typeof pos.id !== "string" || !pos.id || typeof pos.pinnedAt !== "string" || typeof pos.createdAt !== "string") return false;
+  return key === "updatedAt" ? typeof pos.updatedAt === "string" : Number.isFinite(pos[key]);
+}
+
 app.get(`${API}/threads`, (req, res) => {
   const sort = String(req.query.sort || "new");
-  const db = readDB();
 
   const mine = String(req.query.mine||"") === "1";
-  const authorId = sanitizeText(req.query.authorId, 64).trim() || "";
+  if (mine && !req.user) return res.status(401).json({ error: "unauthorized" });
 
-  const baseThreads = db.threads.filter(t => !t.hidden);
-  const picked = (mine && authorId) ? baseThreads.filter(t => String(t.creatorId || t.authorId || "") === authorId) : baseThreads;
-  const threads = picked.map((t) => threadSummary(t));
-const key =
+  const fields = parseFields(req.query.fields);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 0, 0), 200);
+  const key =
+    sort === "hot" ? "hot" :
     sort === "pv_day" ? "pvDay" :
     sort === "pv_week" ? "pvWeek" :
     sort === "pv_month" ? "pvMonth" :
     sort === "like_day" ? "likeDay" :
     sort === "like_week" ? "likeWeek" :
     sort === "like_month" ? "likeMonth" :
+    sort === "like_total" ? "likeTotal" :
     "updatedAt";
-
-  threads.sort((a, b) => {
-    if (key === "updatedAt") return String(b.updatedAt || b.createdAt).localeCompare(String(a.updatedAt || a.createdAt));
-    const d = (b[key] || 0) - (a[key] || 0);
+  const cursor = decodeCursor(req.query.cursor);
+  if (req.query.cursor && !(cursor?.sort === sort && validListPos(cursor.pos, key) && (sort !== "hot" || Number.isFinite(cursor.at)))) {
+    return res.status(400).json({ error: "bad_cursor" });
+  }
+  // hot scores keep decaying, so every page of one listing scores as of its first page
+  const at = sort === "hot" ? (cursor?.at || Date.now()) : 0;
+
+  // ?tag=a,b (or repeated) keeps threads carrying every one of them, aliases included
+  const tags = sanitizeTags([].concat(req.query.tag ?? []).flatMap((t) => String(t).split(",")));
+
+  const candidates = mine ? store.threads.find("creatorId", req.user.id) : store.threads.all();
+  // an owner's own list also holds their unlisted and private threads
+  const picked = candidates.filter((t) => (mine ? isPublicThread(t) : isListedThread(t)) && tagDirectory.hasTags(t, tags));
+  const threads = picked.map((t) => (sort === "hot" ? { ...threadSummary(t), hot: hotScore(t, at) } : threadSummary(t)));
+
+  // pinned threads lead every order, latest pin first. Ties on the sort value go to the
+  // newer thread, then the id: fields that never change, so the cursor (which carries
+  // them with the value) names one position however views and likes move meanwhile.
+  const cmp = (a, b) => {
+    const p = String(b.pinnedAt || "").localeCompare(String(a.pinnedAt || ""));
+    if (p !== 0) return p;
+    const d = key === "updatedAt" ? String(b.updatedAt || b.createdAt).localeCompare(String(a.updatedAt || a.createdAt)) : (b[key] || 0) - (a[key] || 0);
     if (d !== 0) return d;
-    return String(b.updatedAt || b.createdAt).localeCompare(String(a.updatedAt || a.createdAt));
-  });
+    return String(b.createdAt).localeCompare(String(a.createdAt)) || String(b.id).localeCompare(String(a.id));
+  };
+  threads.sort(cmp);
 
-  writeDB(db);
-  res.json({ threads });
+  const { page, more } = pageAfter(threads, { after: cursor?.pos, limit, cmp });
+  const last = page[page.length - 1];
+  const nextCursor = more ? encodeCursor({ sort, ...(at && { at }), pos: { id: last.id, pinnedAt: last.pinnedAt, createdAt: last.createdAt, [key]: last[key] } }) : null;
+  res.json({ threads: page.map((t) => pickFields(t, fields)), nextCursor });
 });
 
-app.post(`${API}/threads`, (req, res) => {
+// SSE: `thread`/`thread.removed` for the list, `post`, `tags`, `likes`, `reactions`,
+// `attachment`, `settings` and `closed` per thread. Reconnects resume from Last-Event-ID (or ?lastEventId=).
+app.get(`${API}/threads/stream`, (req, res) => {
+  live.open(req, res, "threads", req.header("Last-Event-ID") || req.query.lastEventId);
+});
+app.get(`${API}/threads/:id/stream`, (req, res) => {
+  const id = String(req.params.id || "");
+  if (!publicThread(id, req.user?.id)) return res.status(404).json({ error: "not found" });
+  live.open(req, res, `thread:${id}`, req.header("Last-Event-ID") || req.query.lastEventId);
+});
+
+app.get(`${API}/tags`, (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+  const tags = tagDirectory.directory({ q: sanitizeText(req.query.q, 24) });
+  res.json({ total: tags.length, tags: tags.slice(0, limit) });
+});
+
+// ?window=day|week|month (counted like the pv_/like_ sorts, see PV_WINDOWS)
+app.get(`${API}/tags/trending`, (req, res) => {
+  const window = String(req.query.window || "day");
+  if (!Object.hasOwn(TREND_WINDOWS, window)) return res.status(400).json({ error: "bad_window" });
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+  res.json({ window, tags: tagDirectory.trending(window).slice(0, limit) });
+});
+
+app.get(`${API}/search`, (req, res) => {
+  const q = sanitizeText(req.query.q, 200).trim();
+  const tags = sanitizeTags([].concat(req.query.tag ?? []).flatMap((t) => String(t).split(",")));
+  if (!q && !tags.length) return res.status(400).json({ error: "bad_request" });
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+  // Only accounts can be searched by; a pre-account id matches nothing.
+  const authorId = sanitizeText(req.query.authorId, 64).trim();
+  if (authorId && !publicUserId(authorId)) return res.json({ total: 0, results: [] });
+  const { total, results } = search.search({
+    q, tags, limit, offset,
+    from: sanitizeText(req.query.from, 40), to: sanitizeText(req.query.to, 40),
+    authorId,
+  });
+  res.json({
+    total,
+    results: results.map((r) => ({ thread: threadSummary(store.threads.get(r.threadId)), score: r.score, matches: r.matches })),
+  });
+});
+
+app.post(`${API}/threads`, mustUser, rateLimit("thread"), (req, res) => {
   const title = sanitizeText(req.body?.title, 80).trim() || "(無題)";
   const body = sanitizeText(req.body?.body, 8000);
   const tags = sanitizeTags(req.body?.tags);
-  const authorId = sanitizeText(req.body?.authorId, 64).trim() || "UNKNOWN";
+  const authorId = req.user.id;
+
+  const verdict = contentFilter.check({ title, body, tags }, { authorId });
+  if (verdict.action === "reject") return rejectContent(res, verdict);
+  const held = verdict.action === "hold";
 
-  const db = readDB();
   const threadId = uid("T");
   const postId = uid("P");
   const ts = nowISO();
@@ -280,259 +796,1345 @@ app.post(`${API}/threads`, (req, res) => {
   const thread = {
     id: threadId,
     title,
-    tags,
+    tags: withLabels(tags, verdict.tags).slice(0, 12),
     creatorId: authorId,
     createdAt: ts,
     updatedAt: ts,
     hidden: false,
-    likesByUser: {},
-    posts: [{ id: postId, authorId, createdAt: ts, updatedAt: ts, body }],
+    postSeq: 1,
+    ...(held && holdFields(verdict, ts)),
   };
 
-  db.threads.push(thread);
-  writeDB(db);
+  store.batch(() => {
+    store.threads.put(thread);
+    store.posts.put({ id: postId, threadId, no: 1, authorId, createdAt: ts, updatedAt: ts, body });
+  });
+  if (!held) publishThread(thread);
 
-  res.json({ thread: threadSummary(thread) });
+  res.json({ thread: threadSummary(thread), held });
 });
 
 app.get(`${API}/threads/:id`, (req, res) => {
   const id = String(req.params.id || "");
-  const viewerId = sanitizeText(req.query.viewerId, 64).trim() || "";
+  const viewerId = req.user?.id || "";
+
+  const thread = publicThread(id, viewerId);
+  if (!thread) return res.status(404).json({ error: "not found" });
+
+  // Posts page by their stable `no`; the cursor holds the last `no` returned.
+  // ?view=nested returns top-level posts with their replies nested under `replies`, at
+  // most MAX_NEST_DEPTH levels deep (paging counts top-level posts only).
+  const view = String(req.query.view || "flat");
+  if (view !== "flat" && view !== "nested") return res.status(400).json({ error: "bad_view" });
+  const fields = parseFields(req.query.fields, ["id", "nextCursor"]);
+  const postFields = parseFields(req.query.postFields);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 0, 0), 500);
+  const cursor = decodeCursor(req.query.cursor);
+  if (req.query.cursor && !Number.isFinite(cursor?.no)) return res.status(400).json({ error: "bad_cursor" });
+
+  counters.view(id, viewerId, thread.creatorId);
+  const { likeDay, likeWeek, likeMonth } = counters.likes(id);
+
+  const threadAttachments = store.attachments.find("threadId", id);
+  const approved = threadAttachments.filter((a) => a.status === "approved");
+  const pendingMine = viewerId ? threadAttachments.filter((a) => a.status === "pending" && a.requesterId === viewerId) : [];
+
+  const allPosts = threadPosts(id);
+  const repliedBy = backReferences(allPosts);
+  const { roots, children } = view === "nested" ? nestPosts(allPosts) : { roots: allPosts, children: new Map() };
+  const { page, more } = pageAfter(roots, { after: cursor && { no: cursor.no }, limit, cmp: (a, b) => a.no - b.no });
+  const render = (p) => {
+    const approvedAttachments = approved.filter((a) => a.postId === p.id).map(attachmentView);
+    const pendingMineCount = pendingMine.filter((a) => a.postId === p.id).length;
 
-  const db = readDB();
-  const thread = db.threads.find((t) => t.id === id);
-  if (!thread || thread.hidden) return res.status(404).json({ error: "not found" });
+    const out = pickFields(postView(p, approvedAttachments, pendingMineCount, viewerId, repliedBy.get(p.no) || []), postFields);
+    return view === "nested" ? { ...out, replies: (children.get(p.no) || []).map(render) } : out;
+  };
+  const posts = page.map(render);
+  const nextCursor = more ? encodeCursor({ no: page[page.length - 1].no }) : null;
+
+  const { pvDay, pvWeek, pvMonth, pvTotal } = counters.pv(id);
+  const muted = !!viewerId && notifications.isMuted(viewerId, id);
+  const reactionCounts = reactions.counts(id);
+  const out = { id: thread.id, title: thread.title, edited: !!thread.titleEditedAt, tags: thread.tags || [], createdAt: thread.createdAt, updatedAt: thread.updatedAt, visibility: threadVisibility(thread), locked: !!thread.locked, pinned: !!thread.pinnedAt, likeDay, likeWeek, likeMonth, likeTotal: reactionCounts.like || 0, reactions: reactionCounts, myReactions: reactions.mine(id, viewerId), pvDay, pvWeek, pvMonth, pvTotal, muted, bookmarked: bookmarks.has(viewerId, id), postCount: allPosts.length, posts, nextCursor };
+  // Only the owner sees a rename that is still waiting for review.
+  if (thread.pendingTitle && viewerId === thread.creatorId) out.pendingTitle = thread.pendingTitle.title;
+  res.json({ thread: pickFields(out, fields) });
+});
 
-  if (viewerId) recordPV(thread, viewerId);
+app.post(`${API}/threads/:id/posts`, mustUser, rateLimit("post"), (req, res) => {
+  const id = String(req.params.id || "");
+  const body = sanitizeText(req.body?.body, 8000);
+  const authorId = req.user.id;
+
+  const thread = publicThread(id, authorId);
+  if (!thread) return res.status(404).json({ error: "not found" });
+  // a locked thread takes no replies; its owner can still add entries
+  if (thread.locked && thread.creatorId !== authorId) return res.status(403).json({ error: "locked" });
+
+  // { replyTo } is the number or id of the post answered; ">>N" anchors in the body also
+  // refer to posts. Every reference must be an earlier visible post of this thread.
+  const posts = threadPosts(id);
+  const no = (thread.postSeq || 0) + 1;
+  const replyTo = replyTarget(req.body?.replyTo, posts);
+  if (replyTo < 0) return res.status(400).json({ error: "bad_reply_to", replyTo: req.body.replyTo });
+  const anchors = parseAnchors(body);
+  const missing = missingRef([replyTo, ...anchors].filter(Boolean), posts, no);
+  if (missing) return res.status(400).json({ error: "bad_reply_to", no: missing });
+
+  const verdict = contentFilter.check({ body }, { authorId });
+  if (verdict.action === "reject") return rejectContent(res, verdict);
+  const held = verdict.action === "hold";
 
-  pruneLikeEvents(thread);
-  const likeDay = likeCount(thread, 24*60*60*1000);
-  const likeWeek = likeCount(thread, 7*24*60*60*1000);
-  const likeMonth = likeCount(thread, 30*24*60*60*1000);
+  const postId = uid("P");
+  const ts = nowISO();
+  if (!held) thread.updatedAt = ts;
+  thread.postSeq = no;
+  const post = { id: postId, threadId: id, no, authorId, createdAt: ts, updatedAt: ts, body };
+  if (replyTo) post.replyTo = replyTo;
+  if (anchors.length) post.anchors = anchors;
+  if (verdict.tags.length) post.labels = verdict.tags;
+  if (held) Object.assign(post, holdFields(verdict, ts));
+  store.batch(() => {
+    store.posts.put(post);
+    store.threads.put(thread);
+    if (!held) notifyReply(thread, post);
+  });
+  if (!held) {
+    live.publish(`thread:${id}`, "post", postView(post));
+    publishThread(thread);
+  }
 
-  const approved = db.attachments.filter((a) => a.threadId === id && a.status === "approved");
-  const pendingMine = viewerId ? db.attachments.filter((a) => a.threadId === id && a.status === "pending" && a.requesterId === viewerId) : [];
+  res.json({ post: { id: postId, held } });
+});
 
-  const posts = (thread.posts || []).map((p, idx) => {
-    const approvedAttachments = approved.filter((a) => a.postId === p.id).map((a) => ({ id: a.id, file: a.file }));
-    const pendingMineCount = pendingMine.filter((a) => a.postId === p.id).length;
+// A post number, or the id of one of `posts`; 0 when none is given, -1 for an unknown id.
+function replyTarget(raw, posts) {
+  if (raw === undefined || raw === null || raw === "" || raw === 0) return 0;
+  if (/^\d+$/.test(String(raw))) return Number(raw);
+  return posts.find((p) => p.id === String(raw))?.no ?? -1;
+}
+// The thread owner hears of every reply; authors of the posts it answers or anchors of theirs.
+function notifyReply(thread, post) {
+  const told = new Set([thread.creatorId]);
+  notifications.notify({ userId: thread.creatorId, type: "reply", actorId: post.authorId, threadId: thread.id, postId: post.id });
+  const refs = replyRefs(post);
+  for (const target of threadPosts(thread.id).filter((p) => refs.includes(p.no))) {
+    if (told.has(target.authorId)) continue;
+    told.add(target.authorId);
+    notifications.notify({ userId: target.authorId, type: "reply", actorId: post.authorId, threadId: thread.id, postId: post.id, targetId: target.id });
+  }
+}
 
-    return { id: p.id, no: idx+1, authorId: p.authorId, createdAt: p.createdAt, updatedAt: p.updatedAt, body: p.body, approvedAttachments, pendingMineCount };
-  });
+// Owner only. { tags } or { add } adds, { remove } drops, { set } replaces the whole list.
+app.patch(`${API}/threads/:id/tags`, mustUser, mustOwnThread, rateLimit("tags"), (req, res) => {
+  const thread = req.thread;
+  const id = thread.id;
+  const replace = Array.isArray(req.body?.set);
+  const tags = sanitizeTags(replace ? req.body.set : req.body?.add ?? req.body?.tags);
+  const remove = new Set(sanitizeTags(req.body?.remove).map(tagDirectory.canonical));
 
-  writeDB(db);
+  // Tags cannot be held for review, so a hold rule refuses them like a reject rule.
+  const verdict = contentFilter.check({ tags }, { authorId: req.user.id });
+  if (verdict.action !== "allow") return rejectContent(res, { matches: verdict.matches.map((m) => ({ ...m, action: "reject" })) });
+
+  const kept = replace ? [] : (thread.tags || []).filter((t) => !remove.has(tagDirectory.canonical(t)));
+  thread.tags = sanitizeTags([...kept, ...tags, ...verdict.tags]);
+  thread.updatedAt = nowISO();
+  store.threads.put(thread);
+  live.publish(`thread:${id}`, "tags", { id, tags: thread.tags, updatedAt: thread.updatedAt });
+  publishThread(thread);
 
-  const { pvDay, pvWeek, pvMonth, pvTotal } = pvCounts(thread);
-  res.json({ thread: { id: thread.id, title: thread.title, tags: thread.tags || [], createdAt: thread.createdAt, updatedAt: thread.updatedAt, likeDay, likeWeek, likeMonth, pvDay, pvWeek, pvMonth, pvTotal, posts } });
+  res.json({ thread: { id: thread.id, tags: thread.tags, updatedAt: thread.updatedAt } });
 });
 
-app.post(`${API}/threads/:id/posts`, (req, res) => {
-  const id = String(req.params.id || "");
-  const body = sanitizeText(req.body?.body, 8000);
-  const authorId = sanitizeText(req.body?.authorId, 64).trim() || "UNKNOWN";
+// Both set req.thread (and req.post); use after mustUser.
+function mustOwnThread(req, res, next) {
+  const thread = publicThread(String(req.params.id || ""), req.user.id);
+  if (!thread) return res.status(404).json({ error: "not found" });
+  if (thread.creatorId !== req.user.id) return res.status(403).json({ error: "forbidden" });
+  req.thread = thread;
+  return next();
+}
+function mustOwnPost(req, res, next) {
+  const thread = publicThread(String(req.params.id || ""), req.user.id);
+  const post = thread && threadPosts(thread.id).find((p) => p.id === req.params.postId);
+  if (!post) return res.status(404).json({ error: "not found" });
+  if (post.authorId !== req.user.id) return res.status(403).json({ error: "forbidden" });
+  req.thread = thread;
+  req.post = post;
+  return next();
+}
+// Lists revisions; with ?from=&to= (revision numbers) also returns a line diff between them.
+function sendRevisions(req, res, targetId) {
+  const revs = revisions.list(targetId);
+  const out = { revisions: revs.map((r) => ({ rev: r.rev, editorId: publicUserId(r.editorId), editedAt: r.editedAt, text: r.text })) };
+  if (req.query.from !== undefined || req.query.to !== undefined) {
+    const from = revs.find((r) => r.rev === Number(req.query.from));
+    const to = revs.find((r) => r.rev === Number(req.query.to));
+    if (!from || !to) return res.status(400).json({ error: "bad_revision" });
+    out.diff = diffLines(from.text, to.text);
+  }
+  res.json(out);
+}
 
-  const db = readDB();
-  const thread = db.threads.find((t) => t.id === id);
-  if (!thread || thread.hidden) return res.status(404).json({ error: "not found" });
+// Unlike creation, a rename needs a title: a missing or blank one is refused, not "(無題)".
+app.patch(`${API}/threads/:id`, mustUser, mustOwnThread, rateLimit("post"), (req, res) => {
+  const thread = req.thread;
+  const title = typeof req.body?.title === "string" ? sanitizeText(req.body.title, 80).trim() : "";
+  if (!title) return res.status(400).json({ error: "bad_title" });
+  const view = () => ({ id: thread.id, title: thread.title, updatedAt: thread.updatedAt });
+  if (title === thread.title && !thread.pendingTitle) return res.json({ thread: view() });
+  const verdict = contentFilter.check({ title }, { authorId: req.user.id });
+  if (verdict.action === "reject") return rejectContent(res, verdict);
+  const held = verdict.action === "hold";
 
-  const postId = uid("P");
   const ts = nowISO();
-  thread.posts ||= [];
-  thread.posts.push({ id: postId, authorId, createdAt: ts, updatedAt: ts, body });
+  // A held rename leaves the thread and its posts as they are; the new title waits in
+  // pendingTitle for /admin/filter/held. A thread still held as a whole just takes it.
+  if (held && !(thread.hidden && thread.hiddenBy === "filter")) {
+    thread.pendingTitle = { title, editorId: req.user.id, heldAt: ts, heldFor: holdFields(verdict, ts).heldFor };
+    store.threads.put(thread);
+    return res.json({ thread: view(), held });
+  }
+  store.batch(() => {
+    renameThread(thread, title, req.user.id, ts);
+    if (verdict.tags.length) thread.tags = withLabels(thread.tags, verdict.tags).slice(0, 12);
+    if (held) Object.assign(thread, holdFields(verdict, ts));
+    store.threads.put(thread);
+  });
+  res.json({ thread: view(), held });
+});
+
+// Sets a new title with a revision for it, and drops any rename still waiting for review.
+function renameThread(thread, title, editorId, ts) {
+  delete thread.pendingTitle;
+  if (title === thread.title) return;
+  revisions.record({ targetType: "thread", targetId: thread.id, field: "title", previous: thread.title, next: title, originalAt: thread.createdAt, authorId: thread.creatorId, editorId });
+  thread.title = title;
+  thread.titleEditedAt = ts;
   thread.updatedAt = ts;
-  writeDB(db);
+}
 
-  res.json({ post: { id: postId } });
+// Owner only: { visibility, locked }. An admin's hidden flag still overrides both.
+// Audited with the owner as actor, since these change who can see and reply.
+app.patch(`${API}/threads/:id/settings`, mustUser, mustOwnThread, rateLimit("post"), (req, res) => {
+  const thread = req.thread;
+  const { visibility, locked } = req.body || {};
+  if (visibility !== undefined && !THREAD_VISIBILITY.includes(visibility)) return res.status(400).json({ error: "bad_visibility" });
+  if (locked !== undefined && typeof locked !== "boolean") return res.status(400).json({ error: "bad_request" });
+
+  const before = { visibility: threadVisibility(thread), locked: !!thread.locked };
+  if (visibility !== undefined) thread.visibility = visibility;
+  if (locked !== undefined) thread.locked = locked;
+  const settings = { id: thread.id, visibility: threadVisibility(thread), locked: !!thread.locked };
+  store.batch(() => {
+    store.threads.put(thread);
+    auditLog.record({ actor: req.user, action: "thread.settings", targetType: "thread", targetId: thread.id, before, after: settings });
+  });
+  if (settings.visibility !== "private") live.publish(`thread:${thread.id}`, "settings", settings);
+  res.json({ thread: settings });
 });
 
-app.patch(`${API}/threads/:id/tags`, (req, res) => {
-  const id = String(req.params.id || "");
-  const tags = sanitizeTags(req.body?.tags);
+// ?format=csv sends one series (?series=daily|monthly) as CSV instead of the whole document.
+function sendStats(req, res, stats, filename) {
+  const format = String(req.query.format || "json");
+  if (format === "json") return res.json(stats);
+  if (format !== "csv") return res.status(400).json({ error: "bad_format" });
+  const series = String(req.query.series || "daily");
+  if (series !== "daily" && series !== "monthly") return res.status(400).json({ error: "bad_series" });
+  const list = stats[series];
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${filename}-${series}.csv"`);
+  res.send(toCsv(list, Object.keys(list[0] || { [series === "daily" ? "date" : "month"]: "" })));
+}
 
-  const db = readDB();
-  const thread = db.threads.find((t) => t.id === id);
-  if (!thread || thread.hidden) return res.status(404).json({ error: "not found" });
+// Owner only: views, likes and replies over time.
+app.get(`${API}/threads/:id/stats`, mustUser, mustOwnThread, (req, res) => {
+  sendStats(req, res, analytics.thread(req.thread), `thread-${req.thread.id}`);
+});
 
-  const merged = new Set([...(thread.tags || []), ...tags]);
-  thread.tags = Array.from(merged).slice(0, 12);
-  thread.updatedAt = nowISO();
-  writeDB(db);
+// Author deletes are soft like admin ones, and audited with the author as actor.
+app.delete(`${API}/threads/:id`, mustUser, mustOwnThread, rateLimit("post"), (req, res) => {
+  const thread = req.thread;
+  const before = snapshot(thread);
+  thread.deletedAt = nowISO();
+  thread.deletedBy = req.user.id;
+  thread.deletedByAuthor = true;
+  store.batch(() => {
+    store.threads.put(thread);
+    auditLog.record({ actor: req.user, action: "thread.delete", targetType: "thread", targetId: thread.id, before, after: thread });
+  });
+  res.json({ ok:true });
+});
 
-  res.json({ thread: { id: thread.id, tags: thread.tags, updatedAt: thread.updatedAt } });
+// Earlier versions are for the author only (and admins, see /admin/revisions): what was
+// edited out is meant to be gone for everyone else.
+app.get(`${API}/threads/:id/revisions`, mustUser, mustOwnThread, (req, res) => {
+  sendRevisions(req, res, req.thread.id);
+});
+
+app.patch(`${API}/threads/:id/posts/:postId`, mustUser, mustOwnPost, rateLimit("post"), (req, res) => {
+  const { thread, post } = req;
+  const body = sanitizeText(req.body?.body, 8000);
+  if (body === post.body) return res.json({ post: { id: post.id, updatedAt: post.updatedAt } });
+  const anchors = parseAnchors(body);
+  const missing = missingRef(anchors, threadPosts(thread.id), post.no);
+  if (missing) return res.status(400).json({ error: "bad_reply_to", no: missing });
+  const verdict = contentFilter.check({ body }, { authorId: req.user.id, excludePostId: post.id });
+  if (verdict.action === "reject") return rejectContent(res, verdict);
+  const held = verdict.action === "hold";
+
+  const ts = nowISO();
+  store.batch(() => {
+    revisions.record({ targetType: "post", targetId: post.id, field: "body", previous: post.body, next: body, originalAt: post.createdAt, authorId: post.authorId, editorId: req.user.id });
+    post.body = body;
+    if (anchors.length) post.anchors = anchors;
+    else delete post.anchors;
+    post.editedAt = ts;
+    post.updatedAt = ts;
+    if (verdict.tags.length) post.labels = withLabels(post.labels, verdict.tags);
+    if (held) holdEdit(post, verdict, ts);
+    thread.updatedAt = ts;
+    store.posts.put(post);
+    store.threads.put(thread);
+  });
+  res.json({ post: { id: post.id, updatedAt: post.updatedAt, held } });
+});
+
+// The opening post carries the thread; authors delete the thread instead.
+app.delete(`${API}/threads/:id/posts/:postId`, mustUser, mustOwnPost, rateLimit("post"), (req, res) => {
+  const { thread, post } = req;
+  if (threadPosts(thread.id, { includeRemoved: true })[0]?.id === post.id) return res.status(400).json({ error: "first_post" });
+
+  const before = snapshot(post);
+  post.deletedAt = nowISO();
+  post.deletedBy = req.user.id;
+  post.deletedByAuthor = true;
+  store.batch(() => {
+    store.posts.put(post);
+    auditLog.record({ actor: req.user, action: "post.delete", targetType: "post", targetId: post.id, before, after: post });
+  });
+  res.json({ ok:true });
 });
 
-app.post(`${API}/threads/:id/like`, (req, res) => {
+app.get(`${API}/threads/:id/posts/:postId/revisions`, mustUser, mustOwnPost, (req, res) => {
+  sendRevisions(req, res, req.post.id);
+});
+
+// Adds or removes the user's `kind` reaction on the thread or post named by the route.
+// A new like notifies the owner; thread likes also bump updatedAt and the like_* windows.
+function react(req, res, kind, on) {
+  if (!Object.hasOwn(REACTIONS, kind)) return res.status(400).json({ error: "bad_reaction" });
+  const found = contentTarget(req);
+  if (!found) return res.status(404).json({ error: "not found" });
+  const { targetType, target, thread, ownerId } = found;
+  const userId = req.user.id;
+  const postId = targetType === "post" ? target.id : "";
+
+  const changed = store.batch(() => {
+    if (!reactions.set(userId, { targetType, targetId: target.id, threadId: thread.id }, kind, on)) return false;
+    if (on && kind === "like") {
+      if (!postId) {
+        thread.updatedAt = nowISO();
+        store.threads.put(thread);
+      }
+      notifications.notify({ userId: ownerId, type: "like", actorId: userId, threadId: thread.id, postId });
+    }
+    return true;
+  });
+  const counts = reactions.counts(target.id);
+  if (!changed) return res.json({ ok: true, already: true, reactions: counts });
+
+  if (!postId && kind === "like") {
+    if (on) counters.like(thread.id, userId);
+    else counters.unlike(thread.id, userId);
+    live.publish(`thread:${thread.id}`, "likes", { id: thread.id, likeTotal: counts.like || 0, ...counters.likes(thread.id) });
+    publishThread(thread);
+  }
+  live.publish(`thread:${thread.id}`, "reactions", { id: thread.id, postId, reactions: counts });
+  res.json({ ok: true, reactions: counts });
+}
+
+app.post(`${API}/threads/:id/like`, mustUser, rateLimit("like"), (req, res) => react(req, res, "like", true));
+app.delete(`${API}/threads/:id/like`, mustUser, rateLimit("like"), (req, res) => react(req, res, "like", false));
+app.post(`${API}/threads/:id/posts/:postId/like`, mustUser, rateLimit("like"), (req, res) => react(req, res, "like", true));
+app.delete(`${API}/threads/:id/posts/:postId/like`, mustUser, rateLimit("like"), (req, res) => react(req, res, "like", false));
+app.post(`${API}/threads/:id/reactions/:kind`, mustUser, rateLimit("like"), (req, res) => react(req, res, req.params.kind, true));
+app.delete(`${API}/threads/:id/reactions/:kind`, mustUser, rateLimit("like"), (req, res) => react(req, res, req.params.kind, false));
+app.post(`${API}/threads/:id/posts/:postId/reactions/:kind`, mustUser, rateLimit("like"), (req, res) => react(req, res, req.params.kind, true));
+app.delete(`${API}/threads/:id/posts/:postId/reactions/:kind`, mustUser, rateLimit("like"), (req, res) => react(req, res, req.params.kind, false));
+
+app.get(`${API}/reactions`, (req, res) => res.json({ reactions: REACTIONS }));
+
+// Bookmarks are private: only their owner ever sees them, and no counts are shown.
+app.post(`${API}/threads/:id/bookmark`, mustUser, rateLimit("like"), (req, res) => {
   const id = String(req.params.id || "");
-  const userId = sanitizeText(req.body?.userId, 64).trim() || "";
-  if (!userId) return res.status(400).json({ error: "bad_request" });
+  if (!publicThread(id, req.user.id)) return res.status(404).json({ error: "not found" });
+  const bookmarked = req.body?.bookmarked !== false;
+  bookmarks.set(req.user.id, id, bookmarked);
+  res.json({ ok: true, bookmarked });
+});
 
-  const db = readDB();
-  const thread = db.threads.find((t) => t.id === id);
-  if (!thread || thread.hidden) return res.status(404).json({ error: "not found" });
+app.get(`${API}/bookmarks`, mustUser, (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+  const cursor = decodeCursor(req.query.cursor);
+  if (req.query.cursor && (typeof cursor?.id !== "string" || typeof cursor?.createdAt !== "string")) return res.status(400).json({ error: "bad_cursor" });
 
-  pruneLikeEvents(thread);
-  thread.likesByUser ||= {};
-  if (thread.likesByUser[userId]) return res.json({ ok: true, already: true });
+  const visible = (threadId) => !!publicThread(threadId, req.user.id);
+  const { page, more } = bookmarks.list(req.user.id, { visible, after: cursor, limit });
+  const last = page[page.length - 1];
+  const nextCursor = more ? encodeCursor({ id: last.id, createdAt: last.createdAt }) : null;
+  res.json({ bookmarks: page.map((b) => ({ bookmarkedAt: b.createdAt, thread: threadSummary(store.threads.get(b.threadId)) })), nextCursor });
+});
 
-  thread.likesByUser[userId] = nowISO();
-  thread.updatedAt = nowISO();
-  writeDB(db);
-  res.json({ ok: true });
+// The thread or post named by :id / :postId, if the user may see it.
+function contentTarget(req) {
+  const thread = publicThread(String(req.params.id || ""), req.user.id);
+  if (!thread) return null;
+  if (!req.params.postId) return { targetType: "thread", target: thread, thread, ownerId: thread.creatorId };
+  const post = threadPosts(thread.id).find((p) => p.id === req.params.postId);
+  return post ? { targetType: "post", target: post, thread, ownerId: post.authorId } : null;
+}
+function fileReport(req, res) {
+  const found = contentTarget(req);
+  if (!found) return res.status(404).json({ error: "not found" });
+  const category = String(req.body?.category || "");
+  if (!REPORT_CATEGORIES.includes(category)) return res.status(400).json({ error: "bad_category" });
+  if (found.ownerId === req.user.id) return res.status(400).json({ error: "own_content" });
+
+  const { targetType, target, thread } = found;
+  const { duplicate } = reports.file({ targetType, targetId: target.id, threadId: thread.id, reporterId: req.user.id, category, detail: req.body?.detail });
+  if (!duplicate && !target.hidden && reports.openFor(target.id).length >= REPORT_HIDE_AT[targetType]) {
+    if (targetType === "thread") setThreadHidden(null, target, true, "reports");
+    else setPostHidden(null, target, true, "reports");
+  }
+  res.json({ ok:true, duplicate });
+}
+
+app.post(`${API}/threads/:id/report`, mustUser, rateLimit("report"), fileReport);
+app.post(`${API}/threads/:id/posts/:postId/report`, mustUser, rateLimit("report"), fileReport);
+
+function notificationView(n) {
+  const { id, type, actorId, threadId, postId, targetId, note, read, createdAt } = n;
+  return { id, type, actorId, actorName: authorName(actorId), threadId, threadTitle: store.threads.get(threadId)?.title || "", postId, targetId, note, read, createdAt };
+}
+
+app.get(`${API}/notifications`, mustUser, (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+  const cursor = decodeCursor(req.query.cursor);
+  if (req.query.cursor && (typeof cursor?.id !== "string" || typeof cursor?.createdAt !== "string")) return res.status(400).json({ error: "bad_cursor" });
+  const unreadOnly = req.query.unread === "1" || req.query.unread === "true";
+
+  const { page, more } = notifications.inbox(req.user.id, { unreadOnly, after: cursor, limit });
+  const last = page[page.length - 1];
+  const nextCursor = more ? encodeCursor({ id: last.id, createdAt: last.createdAt }) : null;
+  res.json({ notifications: page.map(notificationView), unreadCount: notifications.unreadCount(req.user.id), nextCursor });
+});
+
+// { ids: [...] } marks those read, { all: true } everything.
+app.post(`${API}/notifications/read`, mustUser, (req, res) => {
+  const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(String) : null;
+  if (!ids && req.body?.all !== true) return res.status(400).json({ error: "bad_request" });
+  const updated = notifications.markRead(req.user.id, ids);
+  res.json({ ok: true, updated, unreadCount: notifications.unreadCount(req.user.id) });
+});
+
+app.post(`${API}/threads/:id/mute`, mustUser, (req, res) => {
+  const id = String(req.params.id || "");
+  if (!publicThread(id, req.user.id)) return res.status(404).json({ error: "not found" });
+  const muted = req.body?.muted !== false;
+  notifications.setMuted(req.user.id, id, muted);
+  res.json({ ok: true, muted });
 });
 
 app.get(`${API}/users/:id/verify`, (req, res) => {
   const userId = sanitizeText(req.params.id, 64).trim() || "";
-  const db = readDB();
-  const verified = !!db.verifiedUsers?.[userId];
+  const verified = dbIsVerified(userId);
   res.json({ verified });
 });
 
-app.post(`${API}/verify/request`, (req, res) => {
-  const userId = sanitizeText(req.body?.userId, 64).trim() || "UNKNOWN";
-  const f = req.body?.file || {};
+// What a requester may see of their own attachment/verification requests.
+function myRequestView(r) {
+  const { name, type, size } = r.file || {};
+  const out = { id: r.id, status: r.status, note: r.note || "", createdAt: r.createdAt, reviewedAt: r.reviewedAt || "", withdrawnAt: r.withdrawnAt || "", resubmitOf: r.resubmitOf || "", file: { name, type, size } };
+  if (r.threadId) Object.assign(out, { threadId: r.threadId, postId: r.postId, threadTitle: store.threads.get(r.threadId)?.title || "" });
+  if (r.threadId && r.status === "approved") out.url = `${API}/attachments/${r.id}/file`;
+  if (r.revokedAt) out.revokedAt = r.revokedAt;
+  return out;
+}
+// Newest-first page of `list` filtered by ?status=; null when ?cursor= is malformed.
+function myRequestsPage(req, list) {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+  const cursor = decodeCursor(req.query.cursor);
+  if (req.query.cursor && (typeof cursor?.id !== "string" || typeof cursor?.createdAt !== "string")) return null;
+  const status = String(req.query.status || "");
+  const items = list.filter((r) => !status || r.status === status).sort(newestFirst);
+  const { page, more } = pageAfter(items, { after: cursor, limit, cmp: newestFirst });
+  const last = page[page.length - 1];
+  return { items: page.map(myRequestView), nextCursor: more ? encodeCursor({ id: last.id, createdAt: last.createdAt }) : null };
+}
+// Sets req.request to the caller's own record from `collection`.
+function mustOwnRequest(collection, ownerField) {
+  return (req, res, next) => {
+    const r = store[collection].get(String(req.params.id || ""));
+    if (!r || r[ownerField] !== req.user.id) return res.status(404).json({ error: "not_found" });
+    req.request = r;
+    return next();
+  };
+}
+function withdrawRequest(req, res, collection) {
+  const r = req.request;
+  if (r.status !== "pending") return res.status(409).json({ error: "not_pending" });
+  r.status = "withdrawn";
+  r.withdrawnAt = nowISO();
+  store[collection].put(r);
+  res.json({ ok: true, request: myRequestView(r) });
+}
+
+app.get(`${API}/verify/mine`, mustUser, (req, res) => {
+  const vu = store.verifiedUsers.get(req.user.id);
+  const verification = vu ? { verified: dbIsVerified(req.user.id), verifiedAt: vu.verifiedAt, expiresAt: vu.expiresAt || "", requestId: vu.requestId || "" } : { verified: false };
+  const out = myRequestsPage(req, store.verifyRequests.find("userId", req.user.id));
+  if (!out) return res.status(400).json({ error: "bad_cursor" });
+  res.json({ verification, requests: out.items, nextCursor: out.nextCursor });
+});
 
-  const file = { name: sanitizeText(f.name, 180), type: sanitizeText(f.type, 120), size: Number.isFinite(Number(f.size)) ? Number(f.size) : 0, dataUrl: f.dataUrl };
-  if (!isImageType(file.type)) return res.status(400).json({ error: "type" });
-  if (!isDataUrl(file.dataUrl)) return res.status(400).json({ error: "dataurl" });
+function submitVerifyRequest(req, res, resubmitOf = "") {
+  const userId = req.user.id;
+  if (dbIsVerified(userId)) return res.status(409).json({ error: "already_verified" });
+  if (store.verifyRequests.find("userId", userId).some((v) => v.status === "pending")) return res.status(409).json({ error: "already_pending" });
+  const { error, file } = ingestFile(req.body?.file, isImageType);
+  if (error) return res.status(400).json({ error });
 
-  const db = readDB();
   const reqId = uid("V");
-  const vr = { id: reqId, userId, status:"pending", createdAt: nowISO(), reviewedAt:"", note:"", file };
-  db.verifyRequests.push(vr);
-  writeDB(db);
+  const vr = { id: reqId, userId, status:"pending", createdAt: nowISO(), reviewedAt:"", note:"", file, resubmitOf };
+  store.verifyRequests.put(vr);
   res.json({ ok:true, request:{ id: vr.id, status: vr.status } });
+}
+
+app.post(`${API}/verify/request`, mustUser, (req, res) => submitVerifyRequest(req, res));
+app.post(`${API}/verify/:id/withdraw`, mustUser, mustOwnRequest("verifyRequests", "userId"), (req, res) => withdrawRequest(req, res, "verifyRequests"));
+app.post(`${API}/verify/:id/resubmit`, mustUser, mustOwnRequest("verifyRequests", "userId"), (req, res) => {
+  if (req.request.status !== "rejected") return res.status(409).json({ error: "not_rejected" });
+  submitVerifyRequest(req, res, req.request.id);
 });
 
-app.post(`${API}/attachments/request`, (req, res) => {
-  const threadId = String(req.body?.threadId || "");
-  const postId = String(req.body?.postId || "");
-  const requesterId = sanitizeText(req.body?.requesterId, 64).trim() || "UNKNOWN";
-  const f = req.body?.file || {};
+app.get(`${API}/attachments/mine`, mustUser, (req, res) => {
+  const list = store.attachments.find("requesterId", req.user.id).filter((a) => !req.query.threadId || a.threadId === req.query.threadId);
+  const out = myRequestsPage(req, list);
+  if (!out) return res.status(400).json({ error: "bad_cursor" });
+  res.json({ attachments: out.items, nextCursor: out.nextCursor });
+});
+
+function submitAttachmentRequest(req, res, { threadId, postId, resubmitOf = "" }) {
+  const requesterId = req.user.id;
 
-  const file = { name: sanitizeText(f.name, 180), type: sanitizeText(f.type, 120), size: Number.isFinite(Number(f.size)) ? Number(f.size) : 0, dataUrl: f.dataUrl };
   if (!threadId || !postId) return res.status(400).json({ error: "bad_request" });
   if (!dbIsVerified(requesterId)) return res.status(403).json({ error: "not_verified" });
-  if (!isAllowedMediaType(file.type)) return res.status(400).json({ error: "type" });
-  if (!isDataUrl(file.dataUrl)) return res.status(400).json({ error: "dataurl" });
-
-  const db = readDB();
-  const thread = db.threads.find((t) => t.id === threadId);
-  if (!thread || thread.hidden) return res.status(404).json({ error: "thread_not_found" });
-  const post = (thread.posts || []).find((p) => p.id === postId);
-  if (!post) return res.status(404).json({ error: "post_not_found" });
-
-  const att = { id: uid("A"), threadId, postId, requesterId, status:"pending", createdAt: nowISO(), reviewedAt:"", note:"", file };
-  db.attachments.push(att);
-  writeDB(db);
+
+  const thread = publicThread(threadId, requesterId);
+  if (!thread) return res.status(404).json({ error: "thread_not_found" });
+  const post = store.posts.get(postId);
+  if (!post || post.threadId !== threadId || post.deletedAt || post.hidden) return res.status(404).json({ error: "post_not_found" });
+  const { error, file, buf } = ingestFile(req.body?.file, isAllowedMediaType);
+  if (error) return res.status(400).json({ error });
+
+  const att = { id: uid("A"), threadId, postId, requesterId, status:"pending", createdAt: nowISO(), reviewedAt:"", note:"", file, resubmitOf };
+  store.attachments.put(att);
+  if (isImageType(file.type)) addThumbnails(att, buf);
   res.json({ ok:true, attachment:{ id: att.id, status: att.status } });
+}
+
+app.post(`${API}/attachments/request`, mustUser, (req, res) => {
+  submitAttachmentRequest(req, res, { threadId: String(req.body?.threadId || ""), postId: String(req.body?.postId || "") });
+});
+app.post(`${API}/attachments/:id/withdraw`, mustUser, mustOwnRequest("attachments", "requesterId"), (req, res) => withdrawRequest(req, res, "attachments"));
+app.post(`${API}/attachments/:id/resubmit`, mustUser, mustOwnRequest("attachments", "requesterId"), (req, res) => {
+  const { id, status, threadId, postId } = req.request;
+  if (status !== "rejected") return res.status(409).json({ error: "not_rejected" });
+  // One live resubmission per rejected request; a rejected resubmission is resubmitted in turn.
+  const again = store.attachments.find("requesterId", req.user.id).find((a) => a.resubmitOf === id && a.status !== "withdrawn");
+  if (again) return res.status(409).json({ error: again.status === "pending" ? "already_pending" : "already_resubmitted", id: again.id });
+  submitAttachmentRequest(req, res, { threadId, postId, resubmitOf: id });
 });
 
-app.post(`${API}/admin/login`, (req, res) => {
+function publicAttachment(id, viewerId) {
+  const att = store.attachments.get(id);
+  const thread = att && publicThread(att.threadId, viewerId);
+  return att && att.status === "approved" && thread && threadPosts(att.threadId).some((p) => p.id === att.postId) ? att : null;
+}
+
+app.get(`${API}/attachments/:id/file`, (req, res) => {
+  const att = publicAttachment(req.params.id, req.user?.id);
+  if (!att) return res.status(404).json({ error: "not_found" });
+  sendBlob(res, att.file);
+});
+
+app.get(`${API}/attachments/:id/thumb/:size`, (req, res) => {
+  const thumb = publicAttachment(req.params.id, req.user?.id)?.file.thumbs?.find((t) => String(t.size) === req.params.size);
+  if (!thumb) return res.status(404).json({ error: "not_found" });
+  sendBlob(res, { type: "image/jpeg", sha256: thumb.sha256 });
+});
+
+app.post(`${API}/admin/login`, rateLimit("adminLogin"), (req, res) => {
+  const login = loginKey(req.body?.name || ADMIN_NAME);
   const password = String(req.body?.password || "");
-  if (password !== ADMIN_PASSWORD) return res.status(401).json({ error: "invalid" });
-  res.json({ ok:true, name:"ADMIN", token: signAdminToken() });
+  const keys = [`ip:${req.ip}`, `login:${login}`];
+  const wait = Math.max(...keys.map((k) => adminLoginThrottle.retryAfter(k)));
+  if (wait) {
+    res.set("Retry-After", String(wait));
+    return res.status(429).json({ error: "too_many_attempts" });
+  }
+
+  const admin = store.admins.find("login", login)[0];
+  if (!admin || admin.disabled || !verifyPassword(password, admin.passwordHash)) {
+    keys.forEach((k) => adminLoginThrottle.fail(k));
+    return res.status(401).json({ error: "invalid" });
+  }
+  keys.forEach((k) => adminLoginThrottle.succeed(k));
+  res.json(openAdminSession(admin));
+});
+
+// Trades a refresh token for a new access token; the refresh token is rotated each time.
+app.post(`${API}/admin/refresh`, (req, res) => {
+  const hash = hashRefreshToken(req.body?.refreshToken);
+  const session = store.adminSessions.find("refreshHash", hash)[0];
+  const admin = session && store.admins.get(session.adminId);
+  if (!adminSessionLive(session) || !admin || admin.disabled) return res.status(401).json({ error: "unauthorized" });
+  const refreshToken = newRefreshToken();
+  session.refreshHash = hashRefreshToken(refreshToken);
+  store.adminSessions.put(session);
+  res.json(adminSessionTokens(admin, session, refreshToken));
+});
+
+app.post(`${API}/admin/logout`, mustAdmin(), (req, res) => {
+  req.adminSession.revokedAt = nowISO();
+  store.adminSessions.put(req.adminSession);
+  res.json({ ok:true });
+});
+
+// Revokes every session of the caller, or of `adminId` when the caller may manage admins.
+app.post(`${API}/admin/sessions/revoke-all`, mustAdmin(), (req, res) => {
+  const adminId = String(req.body?.adminId || req.admin.id);
+  if (adminId !== req.admin.id && !hasPermission(req.admin.roles, "admins.manage")) return res.status(403).json({ error: "forbidden" });
+  if (!store.admins.has(adminId)) return res.status(404).json({ error: "not_found" });
+  const revoked = revokeAdminSessions(adminId);
+  auditAdmin(req, "admin.revoke_sessions", "admin", adminId, null, { revoked });
+  res.json({ ok:true, revoked });
+});
+
+app.get(`${API}/admin/me`, mustAdmin(), (req, res) => {
+  res.json({ admin: adminView(req.admin) });
+});
+
+app.get(`${API}/admin/admins`, mustAdmin("admins.manage"), (req, res) => {
+  res.json({ admins: store.admins.all().map(adminView), roles: Object.keys(ADMIN_ROLES) });
+});
+
+app.post(`${API}/admin/admins`, mustAdmin("admins.manage"), (req, res) => {
+  const name = sanitizeText(req.body?.name, 32).trim();
+  const password = String(req.body?.password ?? "");
+  const roles = Array.isArray(req.body?.roles) ? req.body.roles.map(String) : [];
+  const login = loginKey(name);
+  if (login.length < 3 || /[\s:]/.test(login)) return res.status(400).json({ error: "bad_name" });
+  if (password.length < 12 || password.length > 200) return res.status(400).json({ error: "weak_password" });
+  if (!roles.length || !roles.every(isAdminRole)) return res.status(400).json({ error: "bad_roles" });
+  if (store.admins.find("login", login).length) return res.status(409).json({ error: "name_taken" });
+
+  const admin = { id: uid("M"), name, login, passwordHash: hashPassword(password), roles, disabled: false, createdAt: nowISO() };
+  store.batch(() => {
+    store.admins.put(admin);
+    auditAdmin(req, "admin.create", "admin", admin.id, null, admin);
+  });
+  res.json({ ok:true, admin: adminView(admin) });
 });
 
-app.get(`${API}/admin/threads`, mustAdmin, (req, res) => {
-  const db = readDB();
-  res.json({ threads: db.threads });
+// Changing roles, disabling or resetting a password also ends that admin's sessions.
+app.patch(`${API}/admin/admins/:id`, mustAdmin("admins.manage"), (req, res) => {
+  const current = store.admins.get(req.params.id);
+  if (!current) return res.status(404).json({ error: "not_found" });
+  const admin = { ...current };
+
+  if (req.body?.roles !== undefined) {
+    const roles = Array.isArray(req.body.roles) ? req.body.roles.map(String) : [];
+    if (!roles.length || !roles.every(isAdminRole)) return res.status(400).json({ error: "bad_roles" });
+    admin.roles = roles;
+  }
+  if (req.body?.disabled !== undefined) admin.disabled = !!req.body.disabled;
+  if (req.body?.password !== undefined) {
+    const password = String(req.body.password);
+    if (password.length < 12 || password.length > 200) return res.status(400).json({ error: "weak_password" });
+    admin.passwordHash = hashPassword(password);
+  }
+  const isOwner = (a) => !a.disabled && a.roles.includes("owner");
+  if (!store.admins.all().some((a) => isOwner(a.id === admin.id ? admin : a))) return res.status(400).json({ error: "last_owner" });
+
+  store.batch(() => {
+    store.admins.put(admin);
+    revokeAdminSessions(admin.id);
+    auditAdmin(req, "admin.update", "admin", admin.id, current, admin);
+  });
+  res.json({ ok:true, admin: adminView(admin) });
 });
 
-app.post(`${API}/admin/thread/hide`, mustAdmin, (req, res) => {
+app.get(`${API}/admin/threads`, mustAdmin("threads.read"), (req, res) => {
+  const threads = store.threads.all().map((t) => ({ ...t, posts: threadPosts(t.id, { includeRemoved: true }) }));
+  res.json({ threads });
+});
+
+// Revisions of any thread title or post body, including hidden and deleted ones.
+app.get(`${API}/admin/revisions/:targetId`, mustAdmin("threads.read"), (req, res) => {
+  sendRevisions(req, res, String(req.params.targetId || ""));
+});
+
+app.post(`${API}/admin/thread/hide`, mustAdmin("threads.hide"), (req, res) => {
   const threadId = String(req.body?.threadId || "");
   const hide = !!req.body?.hide;
 
-  const db = readDB();
-  const t = db.threads.find(x => x.id === threadId);
+  const t = store.threads.get(threadId);
   if (!t) return res.status(404).json({ error: "not_found" });
-  t.hidden = hide;
-  t.updatedAt = nowISO();
-  writeDB(db);
+  setThreadHidden(req, t, hide);
   res.json({ ok:true });
 });
 
-app.post(`${API}/admin/thread/delete`, mustAdmin, (req, res) => {
+// Pinned threads lead GET /threads in every sort order.
+app.post(`${API}/admin/thread/pin`, mustAdmin("threads.pin"), (req, res) => {
+  const t = store.threads.get(String(req.body?.threadId || ""));
+  if (!t) return res.status(404).json({ error: "not_found" });
+  const pin = req.body?.pinned !== false;
+  if (pin === !!t.pinnedAt) return res.json({ ok:true, pinned: pin });
+
+  const before = snapshot(t);
+  if (pin) {
+    t.pinnedAt = nowISO();
+    t.pinnedBy = req.admin.id;
+  } else {
+    delete t.pinnedAt;
+    delete t.pinnedBy;
+  }
+  store.batch(() => {
+    store.threads.put(t);
+    auditAdmin(req, pin ? "thread.pin" : "thread.unpin", "thread", t.id, before, t);
+  });
+  publishThread(t);
+  res.json({ ok:true, pinned: pin });
+});
+
+app.post(`${API}/admin/thread/delete`, mustAdmin("threads.delete"), (req, res) => {
   const threadId = String(req.body?.threadId || "");
-  const db = readDB();
-  db.threads = db.threads.filter(t => t.id !== threadId);
-  db.attachments = db.attachments.filter(a => a.threadId !== threadId);
-  writeDB(db);
+  const t = store.threads.get(threadId);
+  if (!t || t.deletedAt) return res.json({ ok:true });
+  softDeleteThread(req, t);
+  res.json({ ok:true, restorableUntil: new Date(Date.parse(t.deletedAt) + DELETE_RETENTION_MS).toISOString() });
+});
+
+app.post(`${API}/admin/thread/restore`, mustAdmin("threads.restore"), (req, res) => {
+  const t = store.threads.get(String(req.body?.threadId || ""));
+  if (!t || !t.deletedAt) return res.status(404).json({ error: "not_found" });
+  if (!restorable(t)) return res.status(410).json({ error: "retention_expired" });
+  const before = snapshot(t);
+  delete t.deletedAt;
+  delete t.deletedBy;
+  store.batch(() => {
+    store.threads.put(t);
+    auditAdmin(req, "thread.restore", "thread", t.id, before, t);
+  });
   res.json({ ok:true });
 });
 
-app.post(`${API}/admin/post/delete`, mustAdmin, (req, res) => {
+app.post(`${API}/admin/post/delete`, mustAdmin("posts.delete"), (req, res) => {
   const threadId = String(req.body?.threadId || "");
   const postId = String(req.body?.postId || "");
 
-  const db = readDB();
-  const t = db.threads.find(x => x.id === threadId);
+  const t = store.threads.get(threadId);
   if (!t) return res.status(404).json({ error: "not_found" });
-  t.posts = (t.posts || []).filter(p => p.id !== postId);
-  db.attachments = db.attachments.filter(a => !(a.threadId === threadId && a.postId === postId));
-  t.updatedAt = nowISO();
-  writeDB(db);
+  const post = store.posts.get(postId);
+  if (!post || post.threadId !== threadId || post.deletedAt) return res.json({ ok:true });
+  softDeletePost(req, t, post);
+  res.json({ ok:true, restorableUntil: new Date(Date.parse(post.deletedAt) + DELETE_RETENTION_MS).toISOString() });
+});
+
+app.post(`${API}/admin/post/hide`, mustAdmin("posts.hide"), (req, res) => {
+  const post = store.posts.get(String(req.body?.postId || ""));
+  if (!post || post.threadId !== String(req.body?.threadId || "")) return res.status(404).json({ error: "not_found" });
+  setPostHidden(req, post, !!req.body?.hide);
   res.json({ ok:true });
 });
 
-app.get(`${API}/admin/attachments`, mustAdmin, (req, res) => {
-  const status = String(req.query.status || "pending");
-  const db = readDB();
-  const mapThreadTitle = new Map(db.threads.map((t) => [t.id, t.title]));
-  const attachments = db.attachments
-    .filter((a) => (status ? a.status === status : true))
-    .map((a) => ({ ...a, threadTitle: mapThreadTitle.get(a.threadId) || "" }))
-    .sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")));
-  res.json({ attachments });
+app.post(`${API}/admin/post/restore`, mustAdmin("posts.restore"), (req, res) => {
+  const post = store.posts.get(String(req.body?.postId || ""));
+  if (!post || post.threadId !== String(req.body?.threadId || "") || !post.deletedAt) return res.status(404).json({ error: "not_found" });
+  if (!restorable(post)) return res.status(410).json({ error: "retention_expired" });
+  const before = snapshot(post);
+  delete post.deletedAt;
+  delete post.deletedBy;
+  store.batch(() => {
+    store.posts.put(post);
+    auditAdmin(req, "post.restore", "post", post.id, before, post);
+  });
+  res.json({ ok:true });
+});
+
+app.get(`${API}/admin/stats`, mustAdmin("stats.read"), (req, res) => {
+  sendStats(req, res, analytics.site(), "site");
 });
 
-app.post(`${API}/admin/attachments/review`, mustAdmin, (req, res) => {
-  const attachmentId = String(req.body?.attachmentId || "");
+app.get(`${API}/admin/audit`, mustAdmin("audit.read"), (req, res) => {
+  const q = (k) => sanitizeText(req.query[k], 64).trim();
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+  const { entries, nextCursor } = auditLog.query({
+    actorId: q("actorId"), action: q("action"), targetType: q("targetType"), targetId: q("targetId"),
+    since: q("since"), until: q("until"), cursor: q("cursor"), limit,
+  });
+  res.json({ entries, nextCursor });
+});
+
+app.get(`${API}/admin/reports`, mustAdmin("reports.read"), (req, res) => {
+  const targetType = ["thread", "post"].includes(req.query.targetType) ? req.query.targetType : "";
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  const all = reports.queue({ targetType });
+  const items = all.slice(offset, offset + limit).map((g) => {
+    const thread = store.threads.get(g.threadId);
+    const post = g.targetType === "post" ? store.posts.get(g.targetId) : null;
+    const content = post || thread;
+    return {
+      ...g,
+      threadTitle: thread?.title || "",
+      excerpt: sanitizeText(post ? post.body : threadPosts(g.threadId, { includeRemoved: true })[0]?.body, 200),
+      authorId: post ? post.authorId : thread?.creatorId || "",
+      hidden: !!content?.hidden,
+      hiddenBy: content?.hiddenBy || "",
+      deleted: !!content?.deletedAt,
+    };
+  });
+  res.json({ items, total: all.length, nextOffset: offset + limit < all.length ? offset + limit : null });
+});
+
+// action: "dismiss" (clears reports and lifts a report-triggered hide), "hide", or "delete".
+app.post(`${API}/admin/reports/resolve`, mustAdmin("reports.resolve"), (req, res) => {
+  const targetId = String(req.body?.targetId || "");
   const action = String(req.body?.action || "");
-  const note = sanitizeText(req.body?.note, 800);
+  const open = reports.openFor(targetId);
+  if (!open.length) return res.status(404).json({ error: "not_found" });
+  const { targetType, threadId } = open[0];
+  const thread = store.threads.get(threadId);
+  const post = targetType === "post" ? store.posts.get(targetId) : null;
+  if (!thread || (targetType === "post" && !post)) {
+    reports.resolve(targetId, { status: "dismissed", by: req.admin.id, resolution: "gone" });
+    return res.status(404).json({ error: "not_found" });
+  }
+  const content = post || thread;
 
-  const db = readDB();
-  const att = db.attachments.find((a) => a.id === attachmentId);
-  if (!att) return res.status(404).json({ error: "not_found" });
-  if (att.status !== "pending") return res.status(400).json({ error: "already_reviewed" });
+  if (action === "dismiss") {
+    if (content.hidden && content.hiddenBy === "reports") {
+      if (post) setPostHidden(req, post, false);
+      else setThreadHidden(req, thread, false);
+    }
+  } else if (action === "hide") {
+    if (!content.hidden) {
+      if (post) setPostHidden(req, post, true);
+      else setThreadHidden(req, thread, true);
+    }
+  } else if (action === "delete") {
+    if (!hasPermission(req.admin.roles, post ? "posts.delete" : "threads.delete")) return res.status(403).json({ error: "forbidden" });
+    if (!content.deletedAt) {
+      if (post) softDeletePost(req, thread, post);
+      else softDeleteThread(req, thread);
+    }
+  } else {
+    return res.status(400).json({ error: "bad_action" });
+  }
+
+  const resolved = reports.resolve(targetId, { status: action === "dismiss" ? "dismissed" : "actioned", by: req.admin.id, resolution: action });
+  auditAdmin(req, `report.${action}`, targetType, targetId, null, { resolved });
+  res.json({ ok:true, resolved });
+});
+
+// The whole dataset as a versioned archive; ?media=1 adds every stored file (base64),
+// ?credentials=1 the password hashes of users and admins (left out otherwise).
+app.get(`${API}/admin/export`, mustAdmin("data.export"), (req, res, next) => {
+  const media = req.query.media === "1";
+  const credentials = req.query.credentials === "1";
+  const archive = buildArchive(store, counters, { credentials });
+  auditAdmin(req, "data.export", "data", "", null, { media, credentials });
+  res.set("Content-Disposition", `attachment; filename="diary-${archive.exportedAt.replace(/[-:.]/g, "")}.json"`);
+  if (!media) return res.json(archive);
+  res.type("application/json");
+  writeWithMedia(res, archive, { blobs, hashes: mediaHashes(archive.collections) }).catch(next);
+});
+
+// Body: an archive from /admin/export, or a db.json dump. ?mode=replace makes the data
+// match the archive exactly; the default, merge, only adds records that do not exist yet.
+app.post(`${API}/admin/import`, mustAdmin("data.import"), (req, res) => {
+  const mode = String(req.query.mode || "merge");
+  if (mode !== "merge" && mode !== "replace") return res.status(400).json({ error: "bad_mode" });
+  const archive = parseArchive(req.body);
+  if (archive.error) return res.status(400).json(archive);
+  const out = importArchive(req, archive, { replace: mode === "replace" });
+  if (out.error) return res.status(400).json(out);
+  res.json({ ok:true, ...out });
+});
+
+app.get(`${API}/admin/backups`, mustAdmin("data.export"), (req, res) => {
+  res.json({ backups: snapshots.list() });
+});
+app.post(`${API}/admin/backups`, mustAdmin("data.export"), (req, res) => {
+  const name = takeSnapshot("manual");
+  auditAdmin(req, "data.snapshot", "data", name, null, null);
+  res.json({ ok:true, name });
+});
+app.post(`${API}/admin/backups/:name/restore`, mustAdmin("data.import"), (req, res) => {
+  const raw = snapshots.read(req.params.name);
+  if (!raw) return res.status(404).json({ error: "not_found" });
+  const archive = parseArchive(raw);
+  if (archive.error) return res.status(400).json(archive);
+  const out = importArchive(req, archive, { replace: true });
+  if (out.error) return res.status(400).json(out);
+  res.json({ ok:true, ...out });
+});
+
+app.get(`${API}/admin/rate-limits`, mustAdmin("ratelimit.manage"), (req, res, next) => {
+  limiter.blocks().then(({ bans, watch }) => res.json({ classes: RATE_LIMITS, bans, watch }), next);
+});
+
+// Lifts bans and resets buckets for one key ("ip:<addr>" or "user:<id>"), or for everyone with { all: true }.
+app.post(`${API}/admin/rate-limits/clear`, mustAdmin("ratelimit.manage"), (req, res, next) => {
+  const all = req.body?.all === true;
+  const key = sanitizeText(req.body?.key, 200).trim();
+  if (!all && !/^(ip|user):./.test(key)) return res.status(400).json({ error: "bad_key" });
+  limiter.clear(all ? null : key).then((cleared) => {
+    auditAdmin(req, "ratelimit.clear", "rateLimit", all ? "*" : key, null, { cleared });
+    res.json({ ok:true, cleared });
+  }, next);
+});
+
+app.get(`${API}/admin/tags/aliases`, mustAdmin("tags.manage"), (req, res) => {
+  res.json({ aliases: tagDirectory.aliases() });
+});
+
+// { alias, tag }: threads tagged `alias` (or any variant of it) count as `tag`.
+app.post(`${API}/admin/tags/aliases`, mustAdmin("tags.manage"), (req, res) => {
+  const [alias] = sanitizeTags([req.body?.alias]);
+  const [tag] = sanitizeTags([req.body?.tag]);
+  if (!alias || !tag) return res.status(400).json({ error: "bad_tag" });
+  const before = store.tagAliases.get(tagKey(alias)) || null;
+  const { error, alias: rec } = store.batch(() => {
+    const out = tagDirectory.setAlias(alias, tag, req.admin.id);
+    if (out.alias) auditAdmin(req, "tag.alias.set", "tagAlias", out.alias.id, before, out.alias);
+    return out;
+  });
+  if (error) return res.status(400).json({ error });
+  res.json({ ok:true, alias: rec });
+});
+
+app.delete(`${API}/admin/tags/aliases/:key`, mustAdmin("tags.manage"), (req, res) => {
+  const rec = store.tagAliases.get(tagKey(req.params.key));
+  if (!rec) return res.status(404).json({ error: "not_found" });
+  store.batch(() => {
+    store.tagAliases.remove(rec.id);
+    auditAdmin(req, "tag.alias.delete", "tagAlias", rec.id, rec, null);
+  });
+  res.json({ ok:true });
+});
+
+app.get(`${API}/admin/filter/rules`, mustAdmin("filter.manage"), (req, res) => {
+  res.json({ rules: contentFilter.rules() });
+});
+
+app.post(`${API}/admin/filter/rules`, mustAdmin("filter.manage"), (req, res) => {
+  const { error, rule } = store.batch(() => {
+    const out = contentFilter.create(req.body || {}, req.admin.id);
+    if (out.rule) auditAdmin(req, "filter.rule.create", "filterRule", out.rule.id, null, out.rule);
+    return out;
+  });
+  if (error) return res.status(400).json({ error });
+  res.json({ ok:true, rule });
+});
+
+app.patch(`${API}/admin/filter/rules/:id`, mustAdmin("filter.manage"), (req, res) => {
+  const current = store.filterRules.get(req.params.id);
+  if (!current) return res.status(404).json({ error: "not_found" });
+  const { error, rule } = store.batch(() => {
+    const out = contentFilter.update(current, req.body || {});
+    if (out.rule) auditAdmin(req, "filter.rule.update", "filterRule", current.id, current, out.rule);
+    return out;
+  });
+  if (error) return res.status(400).json({ error });
+  res.json({ ok:true, rule });
+});
+
+app.delete(`${API}/admin/filter/rules/:id`, mustAdmin("filter.manage"), (req, res) => {
+  const current = store.filterRules.get(req.params.id);
+  if (!current) return res.status(404).json({ error: "not_found" });
+  store.batch(() => {
+    store.filterRules.remove(current.id);
+    auditAdmin(req, "filter.rule.delete", "filterRule", current.id, current, null);
+  });
+  res.json({ ok:true });
+});
+
+// Dry run: { title?, body?, tags?, authorId?, rule? } against the saved rules, or only the draft `rule`.
+app.post(`${API}/admin/filter/test`, mustAdmin("filter.manage"), (req, res) => {
+  const content = {};
+  if (req.body?.title !== undefined) content.title = sanitizeText(req.body.title, 80);
+  if (req.body?.body !== undefined) content.body = sanitizeText(req.body.body, 8000);
+  if (req.body?.tags !== undefined) content.tags = sanitizeTags(req.body.tags);
+  let rules;
+  if (req.body?.rule) {
+    const { error, rule } = parseRule(req.body.rule);
+    if (error) return res.status(400).json({ error });
+    rules = [rule];
+  }
+  res.json(contentFilter.check(content, { authorId: String(req.body?.authorId || ""), rules }));
+});
+
+app.get(`${API}/admin/filter/held`, mustAdmin("filter.review"), (req, res) => {
+  const held = (rec) => rec.hidden && rec.hiddenBy === "filter" && !rec.deletedAt;
+  const byHeldAt = (a, b) => String(a.heldAt).localeCompare(String(b.heldAt));
+  const threads = store.threads.all().filter(held).sort(byHeldAt)
+    .map((t) => ({ id: t.id, title: t.title, tags: t.tags || [], creatorId: t.creatorId, creatorName: authorName(t.creatorId), body: threadPosts(t.id, { includeRemoved: true })[0]?.body || "", createdAt: t.createdAt, heldAt: t.heldAt, heldFor: t.heldFor || [] }));
+  const posts = store.posts.all().filter(held).sort(byHeldAt)
+    .map((p) => ({ id: p.id, threadId: p.threadId, threadTitle: store.threads.get(p.threadId)?.title || "", no: p.no, authorId: p.authorId, authorName: authorName(p.authorId), body: p.body, labels: p.labels || [], createdAt: p.createdAt, heldAt: p.heldAt, heldFor: p.heldFor || [] }));
+  const titles = store.threads.all().filter((t) => t.pendingTitle && !t.deletedAt)
+    .sort((a, b) => String(a.pendingTitle.heldAt).localeCompare(String(b.pendingTitle.heldAt)))
+    .map((t) => ({ id: t.id, title: t.title, pendingTitle: t.pendingTitle.title, creatorId: t.creatorId, creatorName: authorName(t.creatorId), heldAt: t.pendingTitle.heldAt, heldFor: t.pendingTitle.heldFor || [] }));
+  res.json({ threads, posts, titles });
+});
+
+// { targetType: "thread" | "post" | "title", id, action: "approve" | "reject" }: approving unhides,
+// rejecting soft-deletes. For "title" (a held rename, id is the thread's) approving renames the
+// thread and rejecting drops the new title.
+app.post(`${API}/admin/filter/held/resolve`, mustAdmin("filter.review"), (req, res) => {
+  const targetType = String(req.body?.targetType || "");
+  const action = String(req.body?.action || "");
   if (action !== "approve" && action !== "reject") return res.status(400).json({ error: "bad_action" });
+  if (targetType === "title") {
+    const t = store.threads.get(String(req.body?.id || ""));
+    if (!t || t.deletedAt || !t.pendingTitle) return res.status(404).json({ error: "not_found" });
+    const before = snapshot(t);
+    store.batch(() => {
+      if (action === "approve") renameThread(t, t.pendingTitle.title, t.pendingTitle.editorId, nowISO());
+      else delete t.pendingTitle;
+      store.threads.put(t);
+      auditAdmin(req, action === "approve" ? "thread.title.approve" : "thread.title.reject", "thread", t.id, before, t);
+    });
+    return res.json({ ok:true, thread: { id: t.id, title: t.title, updatedAt: t.updatedAt } });
+  }
+  const rec = targetType === "thread" ? store.threads.get(String(req.body?.id || "")) : targetType === "post" ? store.posts.get(String(req.body?.id || "")) : null;
+  if (!rec || rec.deletedAt || !rec.hidden || rec.hiddenBy !== "filter") return res.status(404).json({ error: "not_found" });
+  const thread = targetType === "thread" ? rec : store.threads.get(rec.threadId);
+
+  if (action === "reject") {
+    if (targetType === "thread") softDeleteThread(req, rec);
+    else softDeletePost(req, thread, rec);
+    return res.json({ ok:true });
+  }
+  if (targetType === "thread") {
+    setThreadHidden(req, rec, false);
+    return res.json({ ok:true });
+  }
+  store.batch(() => {
+    setPostHidden(req, rec, false);
+    notifyReply(thread, rec);
+  });
+  if (isPublicThread(thread)) live.publish(`thread:${thread.id}`, "post", postView(rec));
+  res.json({ ok:true });
+});
 
+// Shared ?status=&threadId=&requesterId=&minAgeHours=&maxAgeHours=&claim=&order=&limit=&cursor=
+// handling for the review queues; null on a malformed cursor. status=all lists every status.
+function adminQueuePage(req, queue) {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  const cursor = decodeCursor(req.query.cursor);
+  if (req.query.cursor && (typeof cursor?.id !== "string" || typeof cursor?.createdAt !== "string")) return null;
+  const status = String(req.query.status || "pending");
+  const hours = (v) => Math.max(Number(v) || 0, 0) * 60*60*1000;
+  const { page, more, total } = queue.page({
+    status: status === "all" ? "" : status,
+    threadId: String(req.query.threadId || ""),
+    ownerId: String(req.query.requesterId || ""),
+    minAgeMs: hours(req.query.minAgeHours),
+    maxAgeMs: hours(req.query.maxAgeHours),
+    claim: String(req.query.claim || ""),
+    adminId: req.admin.id,
+    order: String(req.query.order || ""),
+    after: cursor,
+    limit,
+  });
+  const last = page[page.length - 1];
+  return { page, total, nextCursor: more ? encodeCursor({ id: last.id, createdAt: last.createdAt }) : null };
+}
+function claimView(rec, queue) {
+  const holder = queue.holderOf(rec);
+  return holder ? { adminId: holder, adminName: store.admins.get(holder)?.name || "", until: rec.claimedUntil } : null;
+}
+// Queue entries carry metadata and preview links only, never file contents.
+function adminAttachmentView(a) {
+  const { name, type, size, thumbs = [] } = a.file || {};
+  return {
+    id: a.id, status: a.status, threadId: a.threadId, threadTitle: store.threads.get(a.threadId)?.title || "", postId: a.postId,
+    requesterId: a.requesterId, requesterName: authorName(a.requesterId), requesterVerified: dbIsVerified(a.requesterId),
+    createdAt: a.createdAt, reviewedAt: a.reviewedAt || "", reviewedBy: a.reviewedBy || "", note: a.note || "", resubmitOf: a.resubmitOf || "",
+    file: { name, type, size }, fileUrl: `${API}/admin/attachments/${a.id}/file`,
+    thumbnails: thumbs.map((t) => ({ size: t.size, width: t.width, height: t.height, url: `${API}/admin/attachments/${a.id}/thumb/${t.size}` })),
+    claim: claimView(a, attachmentQueue),
+  };
+}
+function adminVerifyView(v) {
+  const { name, type, size } = v.file || {};
+  return {
+    id: v.id, status: v.status, userId: v.userId, userName: authorName(v.userId),
+    createdAt: v.createdAt, reviewedAt: v.reviewedAt || "", reviewedBy: v.reviewedBy || "", note: v.note || "", resubmitOf: v.resubmitOf || "",
+    file: { name, type, size }, fileUrl: `${API}/admin/verify/${v.id}/file`,
+    claim: claimView(v, verifyQueue),
+  };
+}
+
+const REVIEW_ERROR_STATUS = { not_found: 404, bad_action: 400, already_reviewed: 400, claimed: 409, requester_not_verified: 409 };
+
+// Each applies one decision and returns an error code, or "" once reviewed.
+function reviewAttachment(req, att, action, note) {
+  if (att.status !== "pending") return "already_reviewed";
+  const holder = attachmentQueue.holderOf(att);
+  if (holder && holder !== req.admin.id) return "claimed";
+  if (action === "approve" && !dbIsVerified(att.requesterId)) return "requester_not_verified";
+
+  const before = snapshot(att);
   att.status = action === "approve" ? "approved" : "rejected";
   att.note = note;
   att.reviewedAt = nowISO();
-  writeDB(db);
-  res.json({ ok:true, attachment: att });
+  att.reviewedBy = req.admin.id;
+  delete att.claimedBy;
+  delete att.claimedUntil;
+  store.batch(() => {
+    store.attachments.put(att);
+    auditAdmin(req, `attachment.${action}`, "attachment", att.id, before, att);
+    notifications.notify({ userId: att.requesterId, type: `attachment.${att.status}`, threadId: att.threadId, postId: att.postId, targetId: att.id, note });
+  });
+  if (att.status === "approved" && isPublicThread(store.threads.get(att.threadId)) && isPublicPost(store.posts.get(att.postId))) {
+    live.publish(`thread:${att.threadId}`, "attachment", { postId: att.postId, attachment: attachmentView(att) });
+  }
+  return "";
+}
+function reviewVerifyRequest(req, vr, action, note) {
+  if (vr.status !== "pending") return "already_reviewed";
+  const holder = verifyQueue.holderOf(vr);
+  if (holder && holder !== req.admin.id) return "claimed";
+
+  const before = snapshot(vr);
+  vr.status = action === "approve" ? "approved" : "rejected";
+  vr.note = note;
+  vr.reviewedAt = nowISO();
+  vr.reviewedBy = req.admin.id;
+  delete vr.claimedBy;
+  delete vr.claimedUntil;
+  store.batch(() => {
+    store.verifyRequests.put(vr);
+    if (action === "approve") store.verifiedUsers.put({ userId: vr.userId, verifiedAt: vr.reviewedAt, requestId: vr.id, expiresAt: VERIFY_TTL_MS ? new Date(Date.now() + VERIFY_TTL_MS).toISOString() : "" });
+    auditAdmin(req, `verify.${action}`, "verifyRequest", vr.id, before, vr);
+    notifications.notify({ userId: vr.userId, type: `verify.${vr.status}`, targetId: vr.id, note });
+  });
+  return "";
+}
+
+function reviewIds(req) {
+  const ids = Array.isArray(req.body?.ids) ? Array.from(new Set(req.body.ids.map(String))) : [];
+  return ids.length && ids.length <= 200 ? ids : null;
+}
+// { ids, action, note } -> one { id, ok, error? } per id; the rest go ahead when some fail.
+function bulkReview(req, res, collection, review) {
+  const ids = reviewIds(req);
+  const action = String(req.body?.action || "");
+  const note = sanitizeText(req.body?.note, 800);
+  if (!ids) return res.status(400).json({ error: "bad_request" });
+  if (action !== "approve" && action !== "reject") return res.status(400).json({ error: "bad_action" });
+
+  const results = [];
+  store.batch(() => {
+    for (const id of ids) {
+      const rec = store[collection].get(id);
+      const error = rec ? review(req, rec, action, note) : "not_found";
+      results.push(error ? { id, ok: false, error } : { id, ok: true });
+    }
+  });
+  res.json({ ok: true, reviewed: results.filter((r) => r.ok).length, results });
+}
+function claimItems(req, res, queue, release) {
+  const ids = reviewIds(req);
+  if (!ids) return res.status(400).json({ error: "bad_request" });
+  res.json({ ok: true, results: queue.claim(ids, req.admin.id, { release }) });
+}
+
+app.get(`${API}/admin/attachments`, mustAdmin("attachments.read"), (req, res) => {
+  const out = adminQueuePage(req, attachmentQueue);
+  if (!out) return res.status(400).json({ error: "bad_cursor" });
+  res.json({ attachments: out.page.map(adminAttachmentView), total: out.total, nextCursor: out.nextCursor });
 });
 
-app.get(`${API}/admin/verify`, mustAdmin, (req, res) => {
-  const status = String(req.query.status || "pending");
-  const db = readDB();
-  const requests = db.verifyRequests
-    .filter(v => (status ? v.status === status : true))
-    .sort((a,b)=>String(b.createdAt||"").localeCompare(String(a.createdAt||"")));
-  res.json({ requests });
+app.get(`${API}/admin/attachments/:id/file`, mustAdmin("attachments.read"), (req, res) => {
+  const att = store.attachments.get(req.params.id);
+  if (!att) return res.status(404).json({ error: "not_found" });
+  sendBlob(res, att.file);
 });
 
-app.post(`${API}/admin/verify/review`, mustAdmin, (req, res) => {
-  const requestId = String(req.body?.requestId || "");
+app.get(`${API}/admin/attachments/:id/thumb/:size`, mustAdmin("attachments.read"), (req, res) => {
+  const thumb = store.attachments.get(req.params.id)?.file?.thumbs?.find((t) => String(t.size) === req.params.size);
+  if (!thumb) return res.status(404).json({ error: "not_found" });
+  sendBlob(res, { type: "image/jpeg", sha256: thumb.sha256 });
+});
+
+app.post(`${API}/admin/attachments/claim`, mustAdmin("attachments.review"), (req, res) => claimItems(req, res, attachmentQueue, false));
+app.post(`${API}/admin/attachments/release`, mustAdmin("attachments.review"), (req, res) => claimItems(req, res, attachmentQueue, true));
+
+app.post(`${API}/admin/attachments/review`, mustAdmin("attachments.review"), (req, res) => {
+  const att = store.attachments.get(String(req.body?.attachmentId || ""));
   const action = String(req.body?.action || "");
-  const note = sanitizeText(req.body?.note, 800);
+  if (!att) return res.status(404).json({ error: "not_found" });
+  if (action !== "approve" && action !== "reject") return res.status(400).json({ error: "bad_action" });
 
-  const db = readDB();
-  const vr = db.verifyRequests.find(v => v.id === requestId);
+  const error = reviewAttachment(req, att, action, sanitizeText(req.body?.note, 800));
+  if (error) return res.status(REVIEW_ERROR_STATUS[error]).json({ error });
+  res.json({ ok:true, attachment: adminAttachmentView(att) });
+});
+
+app.post(`${API}/admin/attachments/review/bulk`, mustAdmin("attachments.review"), (req, res) => bulkReview(req, res, "attachments", reviewAttachment));
+
+app.get(`${API}/admin/verify`, mustAdmin("verify.read"), (req, res) => {
+  const out = adminQueuePage(req, verifyQueue);
+  if (!out) return res.status(400).json({ error: "bad_cursor" });
+  res.json({ requests: out.page.map(adminVerifyView), total: out.total, nextCursor: out.nextCursor });
+});
+
+app.get(`${API}/admin/verify/:id/file`, mustAdmin("verify.read"), (req, res) => {
+  const vr = store.verifyRequests.get(req.params.id);
+  if (!vr) return res.status(404).json({ error: "not_found" });
+  sendBlob(res, vr.file);
+});
+
+app.post(`${API}/admin/verify/claim`, mustAdmin("verify.review"), (req, res) => claimItems(req, res, verifyQueue, false));
+app.post(`${API}/admin/verify/release`, mustAdmin("verify.review"), (req, res) => claimItems(req, res, verifyQueue, true));
+
+app.post(`${API}/admin/verify/review`, mustAdmin("verify.review"), (req, res) => {
+  const vr = store.verifyRequests.get(String(req.body?.requestId || ""));
+  const action = String(req.body?.action || "");
   if (!vr) return res.status(404).json({ error: "not_found" });
-  if (vr.status !== "pending") return res.status(400).json({ error: "already_reviewed" });
   if (action !== "approve" && action !== "reject") return res.status(400).json({ error: "bad_action" });
 
-  vr.status = action === "approve" ? "approved" : "rejected";
-  vr.note = note;
-  vr.reviewedAt = nowISO();
-  if (action === "approve"){
-    db.verifiedUsers ||= {};
-    db.verifiedUsers[vr.userId] = { verifiedAt: nowISO(), requestId: vr.id };
-  }
-  writeDB(db);
+  const error = reviewVerifyRequest(req, vr, action, sanitizeText(req.body?.note, 800));
+  if (error) return res.status(REVIEW_ERROR_STATUS[error]).json({ error });
   res.json({ ok:true });
 });
 
+app.post(`${API}/admin/verify/review/bulk`, mustAdmin("verify.review"), (req, res) => bulkReview(req, res, "verifyRequests", reviewVerifyRequest));
+
+// Takes a user's verification away; they may apply again afterwards.
+app.post(`${API}/admin/verify/revoke`, mustAdmin("verify.review"), (req, res) => {
+  const userId = String(req.body?.userId || "");
+  const note = sanitizeText(req.body?.note, 800);
+
+  const vu = store.verifiedUsers.get(userId);
+  if (!vu) return res.status(404).json({ error: "not_verified" });
+  const vr = store.verifyRequests.get(vu.requestId);
+  const before = snapshot(vr || vu);
+  store.batch(() => {
+    store.verifiedUsers.remove(userId);
+    if (vr) {
+      vr.status = "revoked";
+      vr.note = note;
+      vr.revokedAt = nowISO();
+      vr.revokedBy = req.admin.id;
+      store.verifyRequests.put(vr);
+    }
+    auditAdmin(req, "verify.revoke", "user", userId, before, vr || null);
+    notifications.notify({ userId, type: "verify.revoked", targetId: vu.requestId || "", note });
+  });
+  res.json({ ok:true });
+});
+
+// Claim requests for pre-account content, with what the legacy id wrote so the
+// evidence can be checked against it.
+app.get(`${API}/admin/claims`, mustAdmin("claims.review"), (req, res) => {
+  const status = String(req.query.status || "pending");
+  const items = store.claimRequests.find("status", status).sort(newestFirst).map((c) => {
+    const threads = store.threads.find("creatorId", c.legacyId);
+    const posts = store.posts.find("authorId", c.legacyId);
+    return {
+      ...claimRequestView(c),
+      userId: c.userId, userName: authorName(c.userId), reviewedBy: c.reviewedBy,
+      legacy: {
+        threads: threads.length, posts: posts.length,
+        titles: threads.slice(0, 10).map((t) => t.title),
+        firstAt: posts.map((p) => p.createdAt).sort()[0] || "",
+        claimedBy: store.claims.get(c.legacyId)?.userId || "",
+      },
+    };
+  });
+  res.json({ items });
+});
+
+// action: "approve" moves the legacy content to the requester (other open requests for
+// the same id are rejected), "reject" closes the request.
+app.post(`${API}/admin/claims/:id/review`, mustAdmin("claims.review"), (req, res) => {
+  const c = store.claimRequests.get(req.params.id);
+  const action = String(req.body?.action || "");
+  const note = sanitizeText(req.body?.note, 800);
+  if (!c) return res.status(404).json({ error: "not_found" });
+  if (action !== "approve" && action !== "reject") return res.status(400).json({ error: "bad_action" });
+  if (c.status !== "pending") return res.status(409).json({ error: "already_reviewed" });
+  if (action === "approve" && store.claims.has(c.legacyId)) return res.status(409).json({ error: "already_claimed" });
+
+  const before = snapshot(c);
+  let moved = null;
+  store.batch(() => {
+    if (action === "approve") {
+      moved = claimLegacyContent(c.legacyId, c.userId);
+      for (const other of store.claimRequests.find("legacyId", c.legacyId)) {
+        if (other.id !== c.id && other.status === "pending") closeClaimRequest(other, "rejected", req.admin.id, "claimed by another account");
+      }
+    }
+    closeClaimRequest(c, action === "approve" ? "approved" : "rejected", req.admin.id, note);
+    auditAdmin(req, `claim.${action}`, "claim", c.id, before, { ...c, moved });
+  });
+  res.json({ ok:true, claim: claimRequestView(c), moved });
+});
+
 app.get("/", (req, res) => res.send("ok"));
-app.listen(PORT, () => console.log(`listening :${PORT}`));
\ No newline at end of file
+
+// A write the store refused (lib/validate.js) has already been undone, in memory too.
+app.use((err, req, res, next) => {
+  if (err?.code !== "invalid_record") return next(err);
+  console.error(`refused write on ${req.method} ${req.path}: ${err.message}`);
+  res.status(400).json({ error: "invalid_record" });
+});
+
+assertSafeConfig();
+if (MIGRATE_DRY_RUN) {
+  const { invalid } = migrate({ log: console.log });
+  if (invalid.length) console.log(`${invalid.length} invalid records after migrating:\n${describeInvalid(invalid)}`);
+  console.log("dry run: nothing was written");
+  process.exit(invalid.length ? 1 : 0);
+}
+// The data is snapshotted before migrations touch it.
+if (store.count()) takeSnapshot(pendingMigrations(store).length ? "pre-migrate" : "startup");
+store.subscribe(() => { changedSinceSnapshot = true; });
+const { invalid } = migrate({ log: console.log });
+if (invalid.length) throw new Error(`${DB_PATH}: ${invalid.length} invalid records; fix them or restore a backup before starting\n${describeInvalid(invalid)}`);
+store.validator = validateRecord;
+search.rebuild();
+store.subscribe(search.onWrite);
+for (const t of store.threads.all()) liveState.set(t.id, liveStateOf(t));
+store.subscribe(liveOnWrite);
+seedOwner();
+purgeDeleted();
+setInterval(purgeDeleted, 60*60*1000).unref();
+if (BACKUP_INTERVAL_MS) setInterval(() => changedSinceSnapshot && takeSnapshot(), BACKUP_INTERVAL_MS).unref();
+counters.start();
+for (const sig of ["SIGINT", "SIGTERM"]) {
+  process.once(sig, () => {
+    counters.flush();
+    process.exit(0);
+  });
+}
+const server = app.listen(PORT, () => console.log(`listening :${server.address().port}`));
\ No newline at end of file
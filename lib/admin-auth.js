@@ -0,0 +1,50 @@
+import crypto from "crypto";
+
+// Permission names are "<area>.<action>"; "*" grants everything.
+export const ADMIN_ROLES = {
+  owner: ["*"],
+  moderator: ["threads.read", "threads.hide", "threads.pin", "posts.delete", "posts.hide", "reports.read", "reports.resolve", "filter.review", "ratelimit.manage", "attachments.read", "attachments.review", "verify.read", "verify.review", "stats.read"],
+  media_reviewer: ["attachments.read", "attachments.review", "verify.read", "verify.review"],
+};
+
+export function isAdminRole(role) { return Object.hasOwn(ADMIN_ROLES, role); }
+
+export function hasPermission(roles, perm) {
+  if (!perm) return true;
+  for (const role of (Array.isArray(roles) ? roles : [])) {
+    const perms = ADMIN_ROLES[role] || [];
+    if (perms.includes("*") || perms.includes(perm)) return true;
+  }
+  return false;
+}
+
+export function newRefreshToken() { return crypto.randomBytes(32).toString("base64url"); }
+export function hashRefreshToken(t) { return crypto.createHash("sha256").update(String(t || "")).digest("hex"); }
+
+// Counts failed logins per key; once `maxFailures` land within `windowMs` the key
+// is locked for `lockMs`. In-memory: a restart clears it.
+export function createLoginThrottle({ maxFailures = 5, windowMs = 15*60*1000, lockMs = 15*60*1000 } = {}) {
+  const entries = new Map();
+  const entry = (key, now) => {
+    let e = entries.get(key);
+    if (!e || (now - e.first > windowMs && e.lockedUntil <= now)) {
+      e = { first: now, failures: 0, lockedUntil: 0 };
+      entries.set(key, e);
+    }
+    return e;
+  };
+  return {
+    // seconds until the key may try again, 0 if allowed
+    retryAfter(key) {
+      const e = entries.get(key);
+      const now = Date.now();
+      return e && e.lockedUntil > now ? Math.ceil((e.lockedUntil - now) / 1000) : 0;
+    },
+    fail(key) {
+      const now = Date.now();
+      const e = entry(key, now);
+      if (++e.failures >= maxFailures) e.lockedUntil = now + lockMs;
+    },
+    succeed(key) { entries.delete(key); },
+  };
+}
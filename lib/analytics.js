@@ -0,0 +1,142 @@
+import { addDays } from "./calendar.js";
+
+// Time series for thread authors and the admin dashboard. Views come from the
+// counters (day buckets for the last two months, month buckets for good); likes,
+// threads, posts and activity are counted from the stored records, which are kept.
+// Days and months are the counters' calendar keys (see lib/calendar.js).
+export const SERIES_DAYS = 60;
+const DAY_MS = 24*60*60*1000;
+
+// The last `days` day keys up to `today`, oldest first.
+function dayKeys(days, today) {
+  return Array.from({ length: days }, (_, i) => addDays(today, i - days + 1));
+}
+// Every month key from the oldest one in `keys` through `last`.
+function monthKeys(keys, last) {
+  const first = Array.from(keys).sort()[0];
+  if (!first) return [];
+  const out = [];
+  let [y, m] = first.split("-").map(Number);
+  for (let key = first; key <= last; key = `${y}-${String(m).padStart(2, "0")}`) {
+    out.push(key);
+    if (++m > 12) { m = 1; y++; }
+  }
+  return out;
+}
+
+// tally: key -> { field: n }
+function bump(tally, key, field, n = 1) {
+  if (!key) return;
+  const row = tally.get(key) || {};
+  row[field] = (row[field] || 0) + n;
+  tally.set(key, row);
+}
+function rows(tally, keys, name, fields) {
+  return keys.map((key) => {
+    const row = { [name]: key };
+    for (const f of fields) row[f] = tally.get(key)?.[f] || 0;
+    return row;
+  });
+}
+
+// RFC 4180 CSV with a header row of `columns`.
+export function toCsv(list, columns) {
+  const cell = (v) => {
+    const s = String(v ?? "");
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [columns, ...list.map((row) => columns.map((c) => row[c]))].map((r) => r.map(cell).join(",")).join("\r\n") + "\r\n";
+}
+
+// `postVisible(post)` is the thread views' rule for which posts show (not hidden, held or deleted).
+export function createAnalytics(store, { counters, calendar, postVisible }) {
+  const dayOf = (iso) => {
+    const ms = Date.parse(iso || "");
+    return Number.isFinite(ms) ? calendar.dayKey(ms) : "";
+  };
+  const monthOf = (iso) => dayOf(iso).slice(0, 7);
+  const likesOf = (targetId) => store.reactions.find("targetId", targetId).filter((r) => r.kind === "like");
+
+  // { count, oldestAt } of a queue; `field` dates each item.
+  function backlog(list, field = "createdAt") {
+    const oldestAt = list.map((r) => String(r[field] || "")).filter(Boolean).sort()[0] || "";
+    return { count: list.length, oldestAt };
+  }
+
+  return {
+    // Daily views, likes and replies for the last SERIES_DAYS days, monthly ones since the
+    // thread began, and totals. pv counts a viewer once per day (daily) or month (monthly).
+    thread(t, now = Date.now()) {
+      const views = counters.history(t.id, now - SERIES_DAYS * DAY_MS);
+      const daily = new Map();
+      const monthly = new Map();
+      for (const [day, n] of Object.entries(views.day)) bump(daily, day, "pv", n);
+      for (const [month, n] of Object.entries(views.month)) bump(monthly, month, "pv", n);
+      const likes = likesOf(t.id);
+      for (const r of likes) {
+        bump(daily, dayOf(r.createdAt), "likes");
+        bump(monthly, monthOf(r.createdAt), "likes");
+      }
+      const replies = store.posts.find("threadId", t.id).filter((p) => p.no > 1 && postVisible(p));
+      for (const p of replies) {
+        bump(daily, dayOf(p.createdAt), "replies");
+        bump(monthly, monthOf(p.createdAt), "replies");
+      }
+      const fields = ["pv", "likes", "replies"];
+      return {
+        threadId: t.id,
+        daily: rows(daily, dayKeys(SERIES_DAYS, calendar.dayKey(now)), "date", fields),
+        monthly: rows(monthly, monthKeys([...monthly.keys(), monthOf(t.createdAt)], calendar.monthKey(now)), "month", fields),
+        totals: { pv: views.total, likes: likes.length, replies: replies.length, uniqueViewers: views.viewers },
+      };
+    },
+
+    // Site-wide: new threads and posts, likes, views and active users (anyone who started a
+    // thread, posted or reacted) per day and per month, plus the moderation backlog. Posts
+    // follow postVisible like thread replies do, opening posts included; threads are every
+    // thread started.
+    site(now = Date.now()) {
+      const daily = new Map();
+      const monthly = new Map();
+      const active = new Map(); // day or month key -> Set(userId)
+      const seen = (key, userId) => {
+        if (!key || !userId) return;
+        if (!active.has(key)) active.set(key, new Set());
+        active.get(key).add(userId);
+      };
+      const count = (iso, field, userId) => {
+        const day = dayOf(iso);
+        const month = monthOf(iso);
+        if (field) { bump(daily, day, field); bump(monthly, month, field); }
+        seen(day, userId);
+        seen(month, userId);
+      };
+      for (const t of store.threads.all()) {
+        count(t.createdAt, "threads", t.creatorId);
+        const views = counters.history(t.id, now);
+        for (const [day, n] of Object.entries(views.day)) bump(daily, day, "pv", n);
+        for (const [month, n] of Object.entries(views.month)) bump(monthly, month, "pv", n);
+      }
+      const posts = store.posts.all();
+      for (const p of posts) count(p.createdAt, postVisible(p) ? "posts" : "", p.authorId);
+      for (const r of store.reactions.all()) count(r.createdAt, r.kind === "like" ? "likes" : "", r.userId);
+      for (const [key, users] of active) bump(key.length > 7 ? daily : monthly, key, "activeUsers", users.size);
+
+      const fields = ["threads", "posts", "likes", "pv", "activeUsers"];
+      const held = (rec) => rec.hidden && rec.hiddenBy === "filter" && !rec.deletedAt;
+      return {
+        daily: rows(daily, dayKeys(SERIES_DAYS, calendar.dayKey(now)), "date", fields),
+        monthly: rows(monthly, monthKeys(monthly.keys(), calendar.monthKey(now)), "month", fields),
+        totals: { users: store.users.size, threads: store.threads.size, posts: posts.filter(postVisible).length },
+        queue: {
+          attachments: backlog(store.attachments.find("status", "pending")),
+          verifyRequests: backlog(store.verifyRequests.find("status", "pending")),
+          reports: backlog(store.reports.find("status", "open")),
+          heldThreads: backlog(store.threads.all().filter(held), "heldAt"),
+          heldPosts: backlog(store.posts.all().filter(held), "heldAt"),
+          heldTitles: backlog(store.threads.all().filter((t) => t.pendingTitle && !t.deletedAt).map((t) => t.pendingTitle), "heldAt"),
+        },
+      };
+    },
+  };
+}
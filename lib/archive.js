@@ -0,0 +1,173 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { SCHEMA } from "./store.js";
+import { normalizeDump } from "./store-json.js";
+import { SCHEMA_VERSION } from "./migrations.js";
+import { nowISO, writeFileAtomic } from "./util.js";
+
+// Full exports: { format, version, exportedAt, collections: { name: [records] }, counters,
+// media: { sha256: base64 } }. media is only present when asked for. A plain db.json
+// dump is accepted on import as version 0.
+export const ARCHIVE_FORMAT = "diary-archive";
+export const ARCHIVE_VERSION = 1;
+// Sessions only mean something to the server that issued them.
+const NOT_ARCHIVED = ["adminSessions"];
+export const ARCHIVED_COLLECTIONS = Object.keys(SCHEMA).filter((name) => !NOT_ARCHIVED.includes(name));
+
+// Password hashes leave the server only when asked for (`credentials`). An import of
+// records without them keeps the ones already stored.
+const CREDENTIAL_FIELDS = { users: ["passwordHash"], admins: ["passwordHash"] };
+
+export function buildArchive(store, counters, { credentials = false } = {}) {
+  const collections = {};
+  for (const name of ARCHIVED_COLLECTIONS) {
+    const fields = credentials ? [] : CREDENTIAL_FIELDS[name] || [];
+    collections[name] = store[name].all().map((rec) => (fields.length ? omit(rec, fields) : rec));
+  }
+  return { format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, exportedAt: nowISO(), credentials, collections, counters: counters.dump() };
+}
+function omit(rec, fields) {
+  const out = { ...rec };
+  for (const f of fields) delete out[f];
+  return out;
+}
+// `rec` with the credentials of `old` (the stored record it replaces) where it has none.
+function withCredentials(name, rec, old) {
+  const missing = (CREDENTIAL_FIELDS[name] || []).filter((f) => rec[f] === undefined && old?.[f] !== undefined);
+  return missing.length ? { ...rec, ...Object.fromEntries(missing.map((f) => [f, old[f]])) } : rec;
+}
+
+// Blob hashes of the files (and thumbnails) of attachments and verification requests.
+export function mediaHashes(collections) {
+  const out = new Set();
+  for (const name of ["attachments", "verifyRequests"]) {
+    for (const rec of collections[name] || []) {
+      if (rec.file?.sha256) out.add(rec.file.sha256);
+      for (const t of rec.file?.thumbs || []) out.add(t.sha256);
+    }
+  }
+  return out;
+}
+
+// Streams `doc` as JSON with a `media` member holding each blob in `hashes`, read one at a time.
+export async function writeWithMedia(out, doc, { blobs, hashes }) {
+  const write = (s) => out.write(s) || new Promise((resolve) => { out.once("drain", resolve); out.once("close", resolve); });
+  await write(JSON.stringify(doc).slice(0, -1) + ',"media":{');
+  let first = true;
+  for (const hash of hashes) {
+    if (out.destroyed) return;
+    if (!blobs.has(hash)) continue;
+    await write(`${first ? "" : ","}"${hash}":"${fs.readFileSync(blobs.pathOf(hash)).toString("base64")}"`);
+    first = false;
+  }
+  out.end("}}");
+}
+
+// { error } or { version, schema, collections, counters, media } from an uploaded archive or
+// db.json dump. `schema` is the migration version of the data (0 when it does not say).
+export function parseArchive(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { error: "bad_archive" };
+  if (raw.format === undefined) {
+    if (!Array.isArray(raw.threads)) return { error: "bad_archive" };
+    const collections = normalizeDump(raw);
+    const schema = dataSchema(collections);
+    if (schema > SCHEMA_VERSION) return { error: "unsupported_schema" };
+    return { version: 0, schema, collections, counters: null, media: {} };
+  }
+  if (raw.format !== ARCHIVE_FORMAT) return { error: "bad_archive" };
+  if (!Number.isInteger(raw.version) || raw.version < 1 || raw.version > ARCHIVE_VERSION) return { error: "unsupported_version" };
+  const collections = {};
+  for (const [name, rows] of Object.entries(raw.collections || {})) {
+    if (!ARCHIVED_COLLECTIONS.includes(name) || !Array.isArray(rows)) return { error: "bad_collection", collection: name };
+    const key = SCHEMA[name].key;
+    if (!rows.every((r) => r && typeof r === "object" && String(r[key] ?? ""))) return { error: "bad_record", collection: name };
+    collections[name] = rows;
+  }
+  const schema = dataSchema(collections);
+  if (schema > SCHEMA_VERSION) return { error: "unsupported_schema" };
+  const media = raw.media && typeof raw.media === "object" ? raw.media : {};
+  return { version: raw.version, schema, collections, counters: raw.counters || null, media };
+}
+function dataSchema(collections) {
+  const v = (collections.meta || []).find((r) => r?.id === "schema")?.version;
+  return Number.isInteger(v) && v > 0 ? v : 0;
+}
+
+// The audit log is only ever appended to: an import adds the entries it does not have yet,
+// replace or not, and never changes or removes one.
+const APPEND_ONLY = ["audit"];
+
+// Loads `collections` into the store. `replace` makes every archived collection match the
+// archive exactly (except APPEND_ONLY ones); otherwise records already present are kept and
+// only new ones added. Returns { name: { added, replaced, removed, kept } }.
+export function applyArchive(store, collections, { replace = false } = {}) {
+  const stats = {};
+  store.batch(() => {
+    for (const name of ARCHIVED_COLLECTIONS) {
+      const col = store[name];
+      const rows = collections[name] || [];
+      const s = stats[name] = { added: 0, replaced: 0, removed: 0, kept: 0 };
+      const replacing = replace && !APPEND_ONLY.includes(name);
+      if (replacing) {
+        const incoming = new Set(rows.map((r) => String(r[col.key])));
+        for (const rec of col.all()) {
+          if (incoming.has(String(rec[col.key]))) continue;
+          col.remove(rec[col.key]);
+          s.removed++;
+        }
+      }
+      for (const rec of rows) {
+        const old = col.get(rec[col.key]);
+        if (old && !replacing) { s.kept++; continue; }
+        col.put(withCredentials(name, rec, old));
+        s[old ? "replaced" : "added"]++;
+      }
+    }
+  });
+  return stats;
+}
+
+// Writes archived media into the blob store; entries whose bytes do not hash to their key are skipped.
+export function restoreMedia(blobs, media) {
+  const out = { stored: 0, bad: 0 };
+  for (const [hash, b64] of Object.entries(media)) {
+    if (typeof b64 !== "string" || blobs.has(hash)) continue;
+    const buf = Buffer.from(b64, "base64");
+    if (crypto.createHash("sha256").update(buf).digest("hex") !== hash) { out.bad++; continue; }
+    blobs.put(buf);
+    out.stored++;
+  }
+  return out;
+}
+
+// Timestamped archives (without media) in `dir`; only the newest `keep` are kept. The
+// files are readable by the server's user only, since some hold password hashes.
+export function createSnapshots({ dir, keep = 14 }) {
+  const NAME = /^snapshot-\d{8}T\d{9}Z(-[a-z-]+)?\.json$/;
+  const names = () => (fs.existsSync(dir) ? fs.readdirSync(dir) : []).filter((n) => NAME.test(n)).sort().reverse();
+
+  return {
+    list() {
+      return names().map((name) => {
+        const st = fs.statSync(path.join(dir, name));
+        return { name, size: st.size, createdAt: st.mtime.toISOString() };
+      });
+    },
+
+    // `label` ("pre-import" and the like) is appended to the file name.
+    take(archive, label = "") {
+      const stamp = new Date().toISOString().replace(/[-:.]/g, "");
+      const name = `snapshot-${stamp}${label ? `-${label}` : ""}.json`;
+      writeFileAtomic(path.join(dir, name), JSON.stringify(archive), { mode: 0o600 });
+      for (const old of names().slice(keep)) fs.rmSync(path.join(dir, old), { force: true });
+      return name;
+    },
+
+    // The parsed archive, or null when there is no such snapshot.
+    read(name) {
+      if (!NAME.test(String(name)) || !fs.existsSync(path.join(dir, name))) return null;
+      return JSON.parse(fs.readFileSync(path.join(dir, name), "utf-8"));
+    },
+  };
+}
@@ -0,0 +1,56 @@
+import { uid, nowISO, sanitizeText } from "./util.js";
+
+const SECRET_FIELDS = new Set(["passwordHash", "refreshHash"]);
+
+// Deep copy for before/after snapshots, minus credentials.
+export function snapshot(rec) {
+  if (rec === undefined || rec === null) return null;
+  return JSON.parse(JSON.stringify(rec, (k, v) => (SECRET_FIELDS.has(k) ? undefined : v)));
+}
+
+// Append-only: entries are written once and never updated or removed.
+export function createAuditLog(store) {
+  return {
+    record({ actor, action, targetType, targetId, before, after, reason }) {
+      const entry = {
+        id: uid("L"),
+        at: nowISO(),
+        actorId: actor?.id || "system",
+        actorName: actor?.name || "system",
+        action,
+        targetType,
+        targetId: String(targetId ?? ""),
+        reason: sanitizeText(reason, 800),
+        before: snapshot(before),
+        after: snapshot(after),
+      };
+      store.audit.put(entry);
+      return entry;
+    },
+
+    // Newest first. `cursor` is the id of the last entry of the previous page.
+    query({ actorId, action, targetType, targetId, since, until, cursor, limit = 100 } = {}) {
+      let rows = targetId ? store.audit.find("targetId", targetId)
+        : actorId ? store.audit.find("actorId", actorId)
+        : store.audit.all();
+      const sinceMs = since ? Date.parse(since) : NaN;
+      const untilMs = until ? Date.parse(until) : NaN;
+      rows = rows.filter((e) => {
+        if (actorId && e.actorId !== actorId) return false;
+        if (action && e.action !== action) return false;
+        if (targetType && e.targetType !== targetType) return false;
+        const t = Date.parse(e.at);
+        if (Number.isFinite(sinceMs) && t < sinceMs) return false;
+        if (Number.isFinite(untilMs) && t > untilMs) return false;
+        return true;
+      }).reverse();
+      if (cursor) {
+        const i = rows.findIndex((e) => e.id === cursor);
+        rows = i >= 0 ? rows.slice(i + 1) : [];
+      }
+      const entries = rows.slice(0, limit);
+      const nextCursor = rows.length > limit ? entries[entries.length - 1].id : "";
+      return { entries, nextCursor };
+    },
+  };
+}
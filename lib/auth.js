@@ -0,0 +1,54 @@
+import crypto from "crypto";
+
+const SCRYPT = { N: 16384, r: 8, p: 1 };
+const KEYLEN = 32;
+
+// Stored as scrypt$N$r$p$<salt b64url>$<hash b64url> so cost can be raised later.
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, KEYLEN, SCRYPT);
+  return ["scrypt", SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString("base64url"), hash.toString("base64url")].join("$");
+}
+
+export function verifyPassword(password, stored) {
+  try {
+    const [alg, N, r, p, salt, hash] = String(stored || "").split("$");
+    if (alg !== "scrypt") return false;
+    const expected = Buffer.from(hash, "base64url");
+    const actual = crypto.scryptSync(String(password), Buffer.from(salt, "base64url"), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+    return crypto.timingSafeEqual(actual, expected);
+  } catch {
+    return false;
+  }
+}
+
+// Same shape as the admin token: base64url("<role>:<subject>:<expiresMs>:<hmac>").
+export function createTokenSigner(role, secret, ttlMs) {
+  const mac = (payload) => crypto.createHmac("sha256", secret).update(payload).digest("hex");
+  return {
+    sign(subject) {
+      const payload = `${role}:${subject}:${Date.now() + ttlMs}`;
+      return Buffer.from(`${payload}:${mac(payload)}`).toString("base64url");
+    },
+    // Returns the subject, or "" for anything expired, forged or malformed.
+    verify(token) {
+      try {
+        const parts = Buffer.from(String(token || ""), "base64url").toString("utf-8").split(":");
+        if (parts.length !== 4) return "";
+        const [r, subject, exp, sig] = parts;
+        if (r !== role || !subject) return "";
+        if (!(Number(exp) > Date.now())) return "";
+        const expected = mac(`${r}:${subject}:${exp}`);
+        if (sig.length !== expected.length) return "";
+        return crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected)) ? subject : "";
+      } catch {
+        return "";
+      }
+    },
+  };
+}
+
+// Login names compare case- and width-insensitively.
+export function loginKey(name) {
+  return String(name ?? "").normalize("NFKC").trim().toLowerCase();
+}
@@ -0,0 +1,40 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// data:<type>[;param...];base64,<payload>
+export function decodeDataUrl(s) {
+  if (typeof s !== "string" || !s.startsWith("data:")) return null;
+  const comma = s.indexOf(",");
+  if (comma < 0) return null;
+  const meta = s.slice(5, comma).split(";");
+  if (!meta.includes("base64")) return null;
+  const payload = s.slice(comma + 1);
+  if (!/^[A-Za-z0-9+/=\s]*$/.test(payload)) return null;
+  return { type: meta[0].toLowerCase(), buf: Buffer.from(payload, "base64") };
+}
+
+// Blobs live at <dir>/<first two hex chars>/<sha256>, so identical uploads share one file.
+// A `readOnly` store hashes what it is given but never touches the disk (dry runs).
+export function createBlobStore(dir, { readOnly = false } = {}) {
+  const isHash = (h) => typeof h === "string" && /^[0-9a-f]{64}$/.test(h);
+  const pathOf = (hash) => path.join(dir, hash.slice(0, 2), hash);
+
+  return {
+    dir,
+    pathOf,
+    has(hash) { return isHash(hash) && fs.existsSync(pathOf(hash)); },
+    remove(hash) { if (isHash(hash) && !readOnly) fs.rmSync(pathOf(hash), { force: true }); },
+    put(buf) {
+      const hash = crypto.createHash("sha256").update(buf).digest("hex");
+      const file = pathOf(hash);
+      if (!readOnly && !fs.existsSync(file)) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, buf);
+        fs.renameSync(tmp, file);
+      }
+      return hash;
+    },
+  };
+}
@@ -0,0 +1,43 @@
+// Calendar bucket keys in one IANA time zone (DST included): days and weeks are
+// "YYYY-MM-DD" (a week is named after its first day), months "YYYY-MM".
+
+const DAY_MS = 24*60*60*1000;
+export const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+// 0-6 (0 = Sunday) or a weekday name.
+export function parseWeekStart(v) {
+  const s = String(v ?? "").trim().toLowerCase();
+  const n = /^[0-6]$/.test(s) ? Number(s) : WEEKDAYS.indexOf(s);
+  if (n < 0) throw new Error(`bad week start: ${v} (use 0-6 or a weekday name)`);
+  return n;
+}
+
+// Whole days from `key` ("YYYY-MM-DD"); calendar arithmetic, so DST does not matter.
+export function addDays(key, days) {
+  return new Date(Date.parse(`${key}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+export function createCalendar({ timeZone = "Asia/Tokyo", weekStart = 1 } = {}) {
+  let fmt;
+  try {
+    fmt = new Intl.DateTimeFormat("en-US", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" });
+  } catch {
+    throw new Error(`unknown time zone: ${timeZone}`);
+  }
+  // The week (its first day) that the day key `day` falls in.
+  const weekOf = (day) => addDays(day, -((new Date(`${day}T00:00:00Z`).getUTCDay() - weekStart + 7) % 7));
+  const dayKey = (nowMs) => {
+    const p = {};
+    for (const { type, value } of fmt.formatToParts(new Date(nowMs ?? Date.now()))) p[type] = value;
+    return `${p.year}-${p.month}-${p.day}`;
+  };
+
+  return {
+    timeZone,
+    weekStart,
+    dayKey,
+    monthKey: (nowMs) => dayKey(nowMs).slice(0, 7),
+    weekKey: (nowMs) => weekOf(dayKey(nowMs)),
+    weekOf,
+  };
+}
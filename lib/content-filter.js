@@ -0,0 +1,135 @@
+import { uid, nowISO, sanitizeText } from "./util.js";
+import { foldText } from "./search.js";
+
+// Admin-managed rules checked against new threads, posts and tags.
+//
+//   word       pattern occurs in the text (folded like search: NFKC, case, kana)
+//   regex      new RegExp(pattern, flags) matches the text
+//   links      the text holds more than `max` links
+//   duplicate  the author posted the same body within `windowMinutes`
+//   length     the text is shorter than `min` or longer than `max` characters
+//
+// A hit can reject the content, hold it (hidden until an admin approves) or add `tag`.
+export const FILTER_KINDS = ["word", "regex", "links", "duplicate", "length"];
+export const FILTER_ACTIONS = ["reject", "hold", "tag"];
+export const FILTER_FIELDS = ["title", "body", "tags"];
+const SEVERITY = { allow: 0, hold: 1, reject: 2 };
+const LINK = /\bhttps?:\/\/|\bwww\./gi;
+
+const squash = (s) => String(s ?? "").replace(/\s+/g, " ").trim();
+
+// Validates and normalizes a rule draft; returns { error } or { rule } (without id/timestamps).
+export function parseRule(input, base = {}) {
+  const r = { ...base, ...input };
+  const kind = String(r.kind || "");
+  const action = String(r.action || "");
+  if (!FILTER_KINDS.includes(kind)) return { error: "bad_kind" };
+  if (!FILTER_ACTIONS.includes(action)) return { error: "bad_action" };
+  const fields = Array.isArray(r.fields) && r.fields.length ? r.fields.map(String) : kind === "duplicate" || kind === "length" ? ["body"] : FILTER_FIELDS;
+  if (!fields.every((f) => FILTER_FIELDS.includes(f))) return { error: "bad_fields" };
+  const rule = { kind, action, fields, enabled: r.enabled !== false, note: sanitizeText(r.note, 200) };
+  if (action === "tag") {
+    rule.tag = sanitizeText(r.tag, 24).trim();
+    if (!rule.tag) return { error: "bad_tag" };
+  }
+  if (kind === "word" || kind === "regex") {
+    rule.pattern = sanitizeText(r.pattern, 500);
+    if (!rule.pattern.trim()) return { error: "bad_pattern" };
+  }
+  if (kind === "regex") {
+    rule.flags = String(r.flags ?? "i").replace(/[^imsu]/g, "");
+    try { new RegExp(rule.pattern, rule.flags); } catch { return { error: "bad_pattern" }; }
+  }
+  const num = (v) => (v === undefined || v === null || v === "" ? undefined : Number(v));
+  if (kind === "links") {
+    rule.max = num(r.max) ?? 2;
+    if (!Number.isInteger(rule.max) || rule.max < 0) return { error: "bad_limit" };
+  }
+  if (kind === "length") {
+    rule.min = num(r.min) ?? 0;
+    rule.max = num(r.max) ?? 0; // 0 = no upper bound
+    if (!Number.isInteger(rule.min) || !Number.isInteger(rule.max) || rule.min < 0 || rule.max < 0 || (!rule.min && !rule.max)) return { error: "bad_limit" };
+  }
+  if (kind === "duplicate") {
+    rule.windowMinutes = num(r.windowMinutes) ?? 1440;
+    if (!(rule.windowMinutes > 0)) return { error: "bad_limit" };
+  }
+  return { rule };
+}
+
+export function createContentFilter(store) {
+  const compiled = new Map(); // rule id -> { sig, re }
+  const regexOf = (rule) => {
+    const sig = `${rule.pattern}/${rule.flags}`;
+    let c = compiled.get(rule.id);
+    if (!c || c.sig !== sig) compiled.set(rule.id, c = { sig, re: new RegExp(rule.pattern, rule.flags) });
+    return c.re;
+  };
+
+  // Detail string when `rule` hits `text` in `field`, else "".
+  function hit(rule, field, text, { authorId, excludePostId }) {
+    if (rule.kind === "word") return foldText(text).norm.includes(foldText(rule.pattern).norm) ? rule.pattern : "";
+    if (rule.kind === "regex") {
+      const re = rule.id ? regexOf(rule) : new RegExp(rule.pattern, rule.flags);
+      return re.test(text) ? rule.pattern : "";
+    }
+    if (rule.kind === "links") {
+      const n = (text.match(LINK) || []).length;
+      return n > rule.max ? `${n} links` : "";
+    }
+    if (rule.kind === "length") {
+      const n = Array.from(text).length;
+      return n < rule.min || (rule.max && n > rule.max) ? `${n} chars` : "";
+    }
+    if (rule.kind === "duplicate" && field === "body" && authorId) {
+      const body = squash(text);
+      if (!body) return "";
+      const since = Date.now() - rule.windowMinutes * 60*1000;
+      const dup = store.posts.find("authorId", authorId).find((p) => p.id !== excludePostId && !p.deletedAt && Date.parse(p.createdAt) >= since && squash(p.body) === body);
+      return dup ? dup.id : "";
+    }
+    return "";
+  }
+
+  return {
+    rules: () => store.filterRules.all().sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+
+    // `content` maps field -> text (tags as an array). Only fields present are checked.
+    // Returns { action: "allow" | "hold" | "reject", tags, matches }.
+    check(content, { authorId = "", excludePostId = "", rules } = {}) {
+      const out = { action: "allow", tags: [], matches: [] };
+      for (const rule of rules || store.filterRules.all()) {
+        if (rule.enabled === false) continue;
+        for (const field of rule.fields) {
+          if (content[field] === undefined) continue;
+          const texts = field === "tags" ? content.tags : [content[field]];
+          const detail = texts.map((t) => hit(rule, field, String(t ?? ""), { authorId, excludePostId })).find(Boolean);
+          if (!detail) continue;
+          out.matches.push({ ruleId: rule.id || "", kind: rule.kind, action: rule.action, field, detail });
+          if (rule.action === "tag") { if (!out.tags.includes(rule.tag)) out.tags.push(rule.tag); }
+          else if (SEVERITY[rule.action] > SEVERITY[out.action]) out.action = rule.action;
+          break;
+        }
+      }
+      return out;
+    },
+
+    create(input, adminId) {
+      const { error, rule } = parseRule(input);
+      if (error) return { error };
+      const ts = nowISO();
+      const rec = { id: uid("F"), ...rule, createdAt: ts, updatedAt: ts, createdBy: adminId };
+      store.filterRules.put(rec);
+      return { rule: rec };
+    },
+
+    update(rec, input) {
+      const { id, createdAt, createdBy } = rec;
+      const { error, rule } = parseRule(input, rec);
+      if (error) return { error };
+      const next = { id, ...rule, createdAt, createdBy, updatedAt: nowISO() };
+      store.filterRules.put(next);
+      return { rule: next };
+    },
+  };
+}
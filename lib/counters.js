@@ -0,0 +1,316 @@
+import fs from "fs";
+import { nowISO, writeFileAtomic, parseJsonEnv } from "./util.js";
+import { createCalendar } from "./calendar.js";
+
+// Page views and likes per thread, kept out of the main store so that reading a
+// thread never rewrites the database. Aggregates live in memory and are written
+// to their own file every `flushMs` (and on flush()) when something changed.
+//
+// Per thread: pv = { total, day, week, month, hour, byUser } with calendar bucket keys
+// (see lib/calendar.js), and likes = { userId: iso } (pruned after a month; lifetime
+// likes are reactions). A viewer counts at most once per day/week/month bucket. Day
+// and week buckets are pruned after two months; month buckets are the long-term
+// rollup and are kept. `hour` (UTC hours, a month of them) feeds rolling windows and
+// decay; a view lands in it when it counts for the day. Views counted before hour
+// buckets existed are moved into them from the day buckets when the file is loaded.
+//
+// `pvWindows` and `likeWindows` pick what pvDay/likeDay and friends mean: "calendar"
+// counts the current day/week/month, "rolling" the last 24 hours, 7 days and 30 days.
+
+const DAY_MS = 24*60*60*1000;
+const HOUR_MS = 60*60*1000;
+const LIKE_KEEP_MS = 31 * DAY_MS;
+const PV_KEEP_MS = 62 * DAY_MS;
+export const RANKING_WINDOWS = ["calendar", "rolling"];
+const ROLLING_MS = { Day: DAY_MS, Week: 7*DAY_MS, Month: 30*DAY_MS };
+
+// 1 for something that happened at `now`, halving every `halfLifeMs` before it.
+export function decayWeight(ms, halfLifeMs, now) {
+  return Number.isFinite(ms) ? 0.5 ** (Math.max(0, now - ms) / halfLifeMs) : 0;
+}
+
+// `defaults` ({ pv, like, reply }) with the HOT_WEIGHTS overrides in `raw` (JSON). Each
+// override must name a known weight and be a number above 0.
+export function parseHotWeights(raw, defaults) {
+  const overrides = parseJsonEnv("HOT_WEIGHTS", raw);
+  for (const [k, v] of Object.entries(overrides)) {
+    if (!Object.hasOwn(defaults, k)) throw new Error(`HOT_WEIGHTS: unknown weight ${k} (use ${Object.keys(defaults).join(", ")})`);
+    if (typeof v !== "number" || !Number.isFinite(v) || v <= 0) throw new Error(`HOT_WEIGHTS: ${k} must be a number above 0`);
+  }
+  return { ...defaults, ...overrides };
+}
+
+const hourKey = (ms) => new Date(ms).toISOString().slice(0, 13);
+const hourMs = (key) => Date.parse(`${key}:00:00Z`);
+
+function emptyEntry() {
+  return { pv: { total: 0, day: {}, week: {}, month: {}, hour: {}, byUser: {} }, likes: {} };
+}
+function withinMs(iso, ms, now) {
+  const t = Date.parse(iso || "");
+  return Number.isFinite(t) && now - t <= ms;
+}
+
+function pruneEntry(e, now) {
+  const pv = e.pv;
+  const cutoff = now - PV_KEEP_MS;
+  const out = {};
+  for (const [uid, rec] of Object.entries(pv.byUser)){
+    const t = Date.parse(rec?.ts || "");
+    if (Number.isFinite(t) && t >= cutoff) out[uid] = rec;
+  }
+  pv.byUser = out;
+  // day/week keys are local YYYY-MM-DD dates
+  const pruneBucket = (bucket)=>{
+    const outB = {};
+    for (const [k, v] of Object.entries(bucket)){
+      const t = Date.parse(k + "T00:00:00Z");
+      if (Number.isFinite(t) && t >= cutoff) outB[k] = v;
+    }
+    return outB;
+  };
+  pv.day = pruneBucket(pv.day);
+  pv.week = pruneBucket(pv.week);
+  const hours = {};
+  for (const [k, v] of Object.entries(pv.hour)) if (hourMs(k) >= now - LIKE_KEEP_MS) hours[k] = v;
+  pv.hour = hours;
+  const likes = {};
+  for (const [k, iso] of Object.entries(e.likes)) if (withinMs(iso, LIKE_KEEP_MS, now)) likes[k] = iso;
+  e.likes = likes;
+}
+
+// `readOnly` counters never write their file (dry runs).
+export function createCounters({ file, flushMs = 5000, readOnly = false, calendar = createCalendar(), pvWindows = "calendar", likeWindows = "rolling" }) {
+  for (const windows of [pvWindows, likeWindows]) {
+    if (!RANKING_WINDOWS.includes(windows)) throw new Error(`bad ranking windows: ${windows} (use ${RANKING_WINDOWS.join(" or ")})`);
+  }
+  const threads = new Map(); // threadId -> entry
+  let dirty = false;
+  let timer = null;
+
+  const hourDays = new Map(); // hour key -> the day key it falls in
+  const dayOfHour = (k) => {
+    if (!hourDays.has(k)) hourDays.set(k, calendar.dayKey(hourMs(k) + HOUR_MS / 2));
+    return hourDays.get(k);
+  };
+  // An hour inside the day key `day`, not after `now`.
+  const hourIn = (day, now) => {
+    const noon = Date.parse(`${day}T12:00:00Z`);
+    const ms = [noon, noon - 12 * HOUR_MS, noon + 12 * HOUR_MS].find((t) => calendar.dayKey(t) === day) ?? noon;
+    return hourKey(Math.min(ms, now));
+  };
+  // Day-bucket views the hour buckets do not have yet (counted before they existed)
+  // go into an hour of their day, so rolling windows and decay see them. Returns
+  // whether anything moved.
+  const backfillHours = (pv, now) => {
+    const counted = new Map();
+    for (const [k, n] of Object.entries(pv.hour)) counted.set(dayOfHour(k), (counted.get(dayOfHour(k)) || 0) + n);
+    let moved = false;
+    for (const [day, n] of Object.entries(pv.day)) {
+      const missing = n - (counted.get(day) || 0);
+      if (missing <= 0 || Date.parse(`${day}T00:00:00Z`) < now - LIKE_KEEP_MS) continue;
+      const k = hourIn(day, now);
+      pv.hour[k] = (pv.hour[k] || 0) + missing;
+      moved = true;
+    }
+    return moved;
+  };
+
+  const load = (raw) => {
+    const now = Date.now();
+    for (const [id, e] of Object.entries(raw?.threads || {})) {
+      const entry = emptyEntry();
+      Object.assign(entry.pv, e.pv || {});
+      entry.pv.hour = { ...entry.pv.hour };
+      entry.likes = { ...(e.likes || {}) };
+      if (backfillHours(entry.pv, now)) dirty = true;
+      threads.set(id, entry);
+    }
+  };
+  if (fs.existsSync(file)) load(JSON.parse(fs.readFileSync(file, "utf-8")));
+
+  const entry = (threadId) => {
+    let e = threads.get(threadId);
+    if (!e) threads.set(threadId, e = emptyEntry());
+    return e;
+  };
+
+  function flush() {
+    if (!dirty || readOnly) return;
+    const now = Date.now();
+    const out = {};
+    for (const [id, e] of threads) {
+      pruneEntry(e, now);
+      out[id] = e;
+    }
+    writeFileAtomic(file, JSON.stringify({ threads: out }));
+    dirty = false;
+  }
+
+  return {
+    // Creator views are not counted (prevents easy inflation).
+    view(threadId, viewerId, creatorId) {
+      if (!viewerId) return;
+      if (creatorId && String(viewerId) === String(creatorId)) return;
+      const pv = entry(threadId).pv;
+      const now = Date.now();
+      const dayKey = calendar.dayKey(now);
+      const weekKey = calendar.weekOf(dayKey);
+      const monthKey = dayKey.slice(0, 7);
+      const rec = pv.byUser[viewerId] || { day:"", week:"", month:"", ts: "" };
+      let bumped = false;
+      if (rec.day !== dayKey){
+        pv.day[dayKey] = (pv.day[dayKey] || 0) + 1;
+        pv.total = (pv.total || 0) + 1;
+        pv.hour[hourKey(now)] = (pv.hour[hourKey(now)] || 0) + 1;
+        rec.day = dayKey;
+        bumped = true;
+      }
+      if (rec.week !== weekKey){
+        pv.week[weekKey] = (pv.week[weekKey] || 0) + 1;
+        rec.week = weekKey;
+        bumped = true;
+      }
+      if (rec.month !== monthKey){
+        pv.month[monthKey] = (pv.month[monthKey] || 0) + 1;
+        rec.month = monthKey;
+        bumped = true;
+      }
+      if (bumped){
+        rec.ts = nowISO();
+        pv.byUser[viewerId] = rec;
+        dirty = true;
+      }
+    },
+
+    // Windows and decay only: whether a user has liked a thread is kept with the reactions.
+    like(threadId, userId) {
+      entry(threadId).likes[userId] = nowISO();
+      dirty = true;
+    },
+    unlike(threadId, userId) {
+      const e = threads.get(threadId);
+      if (!e || !(userId in e.likes)) return;
+      delete e.likes[userId];
+      dirty = true;
+    },
+    // { userId: iso } of likes still inside the windows
+    likedBy(threadId) {
+      return { ...(threads.get(threadId)?.likes || {}) };
+    },
+
+    pv(threadId) {
+      const pv = threads.get(threadId)?.pv;
+      const now = Date.now();
+      const out = { pvDay: 0, pvWeek: 0, pvMonth: 0, pvTotal: pv?.total || 0 };
+      if (!pv) return out;
+      if (pvWindows === "rolling") {
+        for (const [k, n] of Object.entries(pv.hour)) {
+          const age = now - hourMs(k);
+          for (const [w, ms] of Object.entries(ROLLING_MS)) if (age < ms) out[`pv${w}`] += n;
+        }
+        return out;
+      }
+      const day = calendar.dayKey(now);
+      out.pvDay = pv.day[day] || 0;
+      out.pvWeek = pv.week[calendar.weekOf(day)] || 0;
+      out.pvMonth = pv.month[day.slice(0, 7)] || 0;
+      return out;
+    },
+
+    // Day and month view buckets (copies), and how many distinct viewers were seen since `sinceMs`.
+    history(threadId, sinceMs) {
+      const pv = threads.get(threadId)?.pv;
+      const viewers = Object.values(pv?.byUser || {}).filter((rec) => Date.parse(rec?.ts || "") >= sinceMs).length;
+      return { total: pv?.total || 0, day: { ...pv?.day }, month: { ...pv?.month }, viewers };
+    },
+
+    likes(threadId) {
+      const likes = Object.values(threads.get(threadId)?.likes || {});
+      const now = Date.now();
+      if (likeWindows === "rolling") {
+        const count = (ms) => likes.filter((iso) => withinMs(iso, ms, now)).length;
+        return { likeDay: count(ROLLING_MS.Day), likeWeek: count(ROLLING_MS.Week), likeMonth: count(ROLLING_MS.Month) };
+      }
+      const day = calendar.dayKey(now);
+      const week = calendar.weekOf(day);
+      const out = { likeDay: 0, likeWeek: 0, likeMonth: 0 };
+      for (const iso of likes) {
+        const ms = Date.parse(iso || "");
+        if (!Number.isFinite(ms)) continue;
+        const d = calendar.dayKey(ms);
+        if (d === day) out.likeDay++;
+        if (calendar.weekOf(d) === week) out.likeWeek++;
+        if (d.slice(0, 7) === day.slice(0, 7)) out.likeMonth++;
+      }
+      return out;
+    },
+
+    // Views (per day-counted viewer) and likes, each weighted 0.5^(age / halfLifeMs).
+    decayed(threadId, halfLifeMs, now = Date.now()) {
+      const e = threads.get(threadId);
+      const out = { pv: 0, likes: 0 };
+      if (!e) return out;
+      for (const [k, n] of Object.entries(e.pv.hour)) out.pv += n * decayWeight(hourMs(k) + HOUR_MS / 2, halfLifeMs, now);
+      for (const iso of Object.values(e.likes)) out.likes += decayWeight(Date.parse(iso || ""), halfLifeMs, now);
+      return out;
+    },
+
+    // Moves a user's views and likes to another id; returns { likes, views } moved.
+    renameUser(fromId, toId) {
+      const moved = { likes: 0, views: 0 };
+      const moveKey = (obj, counter) => {
+        if (!(fromId in obj)) return;
+        if (!(toId in obj)) obj[toId] = obj[fromId];
+        delete obj[fromId];
+        moved[counter]++;
+      };
+      for (const e of threads.values()) {
+        moveKey(e.likes, "likes");
+        moveKey(e.pv.byUser, "views");
+      }
+      if (moved.likes || moved.views) dirty = true;
+      return moved;
+    },
+
+    dropThread(threadId) {
+      if (threads.delete(threadId)) dirty = true;
+    },
+
+    // Takes over counters that older databases kept on the thread record itself.
+    // Merges with max() so importing the same thread twice does not double count.
+    importLegacy(thread) {
+      if (!thread.pv && !thread.likesByUser) return false;
+      const e = entry(thread.id);
+      const pv = thread.pv || {};
+      e.pv.total = Math.max(e.pv.total, pv.total || 0);
+      for (const k of ["day", "week", "month"]) {
+        for (const [key, n] of Object.entries(pv[k] || {})) e.pv[k][key] = Math.max(e.pv[k][key] || 0, n);
+      }
+      Object.assign(e.pv.byUser, pv.byUser || {});
+      backfillHours(e.pv, Date.now());
+      Object.assign(e.likes, thread.likesByUser || {});
+      dirty = true;
+      return true;
+    },
+
+    // The file's contents, for backups; restore() takes them back (all of it with `replace`,
+    // else only threads not counted here yet).
+    dump() {
+      return JSON.parse(JSON.stringify({ threads: Object.fromEntries(threads) }));
+    },
+    restore(raw, { replace = false } = {}) {
+      if (replace) threads.clear();
+      const fresh = Object.fromEntries(Object.entries(raw?.threads || {}).filter(([id]) => !threads.has(id)));
+      load({ threads: fresh });
+      dirty = true;
+      flush();
+    },
+
+    flush,
+    start() {
+      timer ||= setInterval(flush, flushMs);
+      timer.unref();
+    },
+  };
+}
@@ -0,0 +1,61 @@
+// Server-Sent Events fan-out. Events go to a named channel and are kept in a
+// bounded in-memory buffer so a client reconnecting with Last-Event-ID gets what
+// it missed. Ids are "<boot>.<seq>": after a restart, or once the buffer has moved
+// past the client's id, it gets a `reset` event and should refetch instead.
+
+export function createEventHub({ bufferSize = 1000, heartbeatMs = 25000 } = {}) {
+  const boot = Date.now().toString(36);
+  let seq = 0;
+  const buffer = []; // { seq, id, channel, type, data }
+  const channels = new Map(); // channel -> Set(res)
+
+  const write = (res, ev) => res.write(`id: ${ev.id}\nevent: ${ev.type}\ndata: ${JSON.stringify(ev.data)}\n\n`);
+
+  const heartbeat = setInterval(() => {
+    for (const set of channels.values()) for (const res of set) res.write(": ping\n\n");
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  function publish(channel, type, data) {
+    const ev = { seq: ++seq, id: `${boot}.${seq}`, channel, type, data };
+    buffer.push(ev);
+    if (buffer.length > bufferSize) buffer.shift();
+    for (const res of channels.get(channel) || []) write(res, ev);
+  }
+
+  // Turns the response into a stream on `channel`, replaying buffered events after `lastEventId`.
+  function open(req, res, channel, lastEventId) {
+    res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive", "X-Accel-Buffering": "no" });
+    res.flushHeaders();
+    res.write("retry: 3000\n\n");
+
+    if (lastEventId) {
+      const [b, n] = String(lastEventId).split(".");
+      const from = Number(n);
+      const missed = b !== boot || !Number.isInteger(from) || from > seq || (buffer.length && buffer[0].seq > from + 1);
+      if (missed) write(res, { id: `${boot}.${seq}`, type: "reset", data: {} });
+      else for (const ev of buffer) if (ev.seq > from && ev.channel === channel) write(res, ev);
+    }
+
+    if (!channels.has(channel)) channels.set(channel, new Set());
+    channels.get(channel).add(res);
+    req.on("close", () => {
+      const set = channels.get(channel);
+      set?.delete(res);
+      if (set && !set.size) channels.delete(channel);
+    });
+  }
+
+  // Sends a last event to everyone on `channel` and ends their streams.
+  function close(channel, type, data) {
+    const set = channels.get(channel);
+    if (!set) return;
+    channels.delete(channel);
+    for (const res of set) {
+      write(res, { id: `${boot}.${seq}`, type, data });
+      res.end();
+    }
+  }
+
+  return { publish, open, close };
+}
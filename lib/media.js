@@ -0,0 +1,344 @@
+import { Worker } from "worker_threads";
+import jpeg from "jpeg-js";
+import { PNG } from "pngjs";
+
+// Accepted upload types and their size caps (decoded bytes). The type is taken
+// from the file's magic bytes; the client's MIME string only has to agree.
+export const MEDIA_LIMITS = {
+  "image/jpeg": 10*1024*1024,
+  "image/png": 10*1024*1024,
+  "image/webp": 10*1024*1024,
+  "image/gif": 5*1024*1024,
+  "video/mp4": 18*1024*1024,
+  "video/quicktime": 18*1024*1024,
+  "video/webm": 18*1024*1024,
+};
+// Recognised but refused. HEIC/AVIF keep their EXIF (GPS included) in a form this
+// code cannot strip, and most browsers cannot show HEIC; clients convert photos to
+// JPEG first (iOS does so for uploads unless told to keep the original). Audio is
+// not diary media.
+export const REFUSED_TYPES = ["image/heic", "image/avif", "audio/mp4"];
+export const THUMB_SIZES = [640, 320, 160];
+// 6000x4000; decoding is done on the thumbnail worker, but still in memory.
+const MAX_DECODE_PIXELS = 24_000_000;
+
+const ascii = (buf, at, len) => buf.toString("latin1", at, at + len);
+
+// ISO base media (ftyp) brands that say what a file is. Generic brands (isom, mp42,
+// mif1, ...) are listed by video and HEIF images alike and decide nothing on their own.
+const FTYP_BRANDS = {
+  "video/quicktime": ["qt  "],
+  "video/mp4": ["avc1", "M4V ", "M4VH", "M4VP", "mmp4", "dash", "f4v ", "3gp4", "3gp5", "3gp6", "3g2a", "MSNV", "XAVC"],
+  "image/heic": ["heic", "heix", "heim", "heis", "hevc", "hevx"],
+  "image/avif": ["avif", "avis"],
+  "audio/mp4": ["M4A ", "M4B ", "M4P ", "F4A ", "F4B "],
+};
+const GENERIC_VIDEO_BRANDS = ["isom", "iso2", "iso3", "iso4", "iso5", "iso6", "mp41", "mp42"];
+
+// The major brand first, then the compatible ones: the first telling brand wins; a file
+// with only generic video brands is MP4, and one with only generic HEIF brands unknown.
+function ftypType(buf) {
+  const end = Math.min(buf.readUInt32BE(0), buf.length);
+  const brands = [ascii(buf, 8, 4)];
+  for (let at = 16; at + 4 <= end; at += 4) brands.push(ascii(buf, at, 4));
+  for (const brand of brands) {
+    const type = Object.keys(FTYP_BRANDS).find((t) => FTYP_BRANDS[t].includes(brand));
+    if (type) return type;
+  }
+  return brands.some((b) => GENERIC_VIDEO_BRANDS.includes(b)) ? "video/mp4" : "";
+}
+
+export function sniffType(buf) {
+  if (buf.length >= 3 && buf[0] === 0xFF && buf[1] === 0xD8 && buf[2] === 0xFF) return "image/jpeg";
+  if (buf.length >= 8 && buf.readUInt32BE(0) === 0x89504E47 && buf.readUInt32BE(4) === 0x0D0A1A0A) return "image/png";
+  if (buf.length >= 6 && (ascii(buf, 0, 6) === "GIF87a" || ascii(buf, 0, 6) === "GIF89a")) return "image/gif";
+  if (buf.length >= 12 && ascii(buf, 0, 4) === "RIFF" && ascii(buf, 8, 4) === "WEBP") return "image/webp";
+  if (buf.length >= 4 && buf.readUInt32BE(0) === 0x1A45DFA3) return "video/webm";
+  if (buf.length >= 12 && ascii(buf, 4, 4) === "ftyp") return ftypType(buf);
+  return "";
+}
+
+// Clients send image/jpg and the like; map them onto the sniffed names.
+export function normalizeMime(type) {
+  const t = String(type || "").toLowerCase();
+  return t === "image/jpg" || t === "image/pjpeg" ? "image/jpeg" : t;
+}
+
+// EXIF orientation (1-8) of a JPEG, 1 when absent.
+function jpegOrientation(buf) {
+  for (const seg of jpegSegments(buf).segments) {
+    if (seg.marker !== 0xE1 || ascii(buf, seg.start + 4, 6) !== "Exif\0\0") continue;
+    const tiff = seg.start + 10;
+    const le = ascii(buf, tiff, 2) === "II";
+    const u16 = (at) => le ? buf.readUInt16LE(at) : buf.readUInt16BE(at);
+    const u32 = (at) => le ? buf.readUInt32LE(at) : buf.readUInt32BE(at);
+    try {
+      const ifd = tiff + u32(tiff + 4);
+      const n = u16(ifd);
+      for (let i = 0; i < n; i++) {
+        const e = ifd + 2 + i*12;
+        if (u16(e) === 0x0112) {
+          const v = u16(e + 8);
+          return v >= 1 && v <= 8 ? v : 1;
+        }
+      }
+    } catch {
+      return 1;
+    }
+  }
+  return 1;
+}
+
+// Marker segments before the scan data: { marker, start, end } (end exclusive).
+function jpegSegments(buf) {
+  const out = [];
+  let i = 2;
+  while (i + 4 <= buf.length && buf[i] === 0xFF) {
+    const marker = buf[i + 1];
+    if (marker === 0xFF) { i++; continue; }
+    if (marker === 0xDA || marker === 0xD9) break;
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) { i += 2; continue; }
+    const end = i + 2 + buf.readUInt16BE(i + 2);
+    if (end > buf.length) break;
+    out.push({ marker, start: i, end });
+    i = end;
+  }
+  return { segments: out, scanAt: i };
+}
+
+// APP1 carrying only the orientation tag, so photos still display upright.
+function orientationApp1(orientation) {
+  const seg = Buffer.alloc(36);
+  seg.writeUInt16BE(0xFFE1, 0);
+  seg.writeUInt16BE(34, 2);
+  seg.write("Exif\0\0MM\0\x2A", 4, "latin1");
+  seg.writeUInt32BE(8, 14);
+  seg.writeUInt16BE(1, 18);
+  seg.writeUInt16BE(0x0112, 20);
+  seg.writeUInt16BE(3, 22);
+  seg.writeUInt32BE(1, 24);
+  seg.writeUInt16BE(orientation, 28);
+  return seg;
+}
+
+// Keeps JFIF (APP0), ICC (APP2) and Adobe (APP14); drops EXIF/XMP/IPTC and comments.
+function stripJpeg(buf) {
+  const { segments, scanAt } = jpegSegments(buf);
+  const orientation = jpegOrientation(buf);
+  const parts = [buf.subarray(0, 2)];
+  let inserted = orientation === 1;
+  for (const s of segments) {
+    const drop = s.marker === 0xE1 || (s.marker >= 0xE3 && s.marker <= 0xED) || s.marker === 0xEF || s.marker === 0xFE;
+    if (!inserted && s.marker !== 0xE0) { parts.push(orientationApp1(orientation)); inserted = true; }
+    if (!drop) parts.push(buf.subarray(s.start, s.end));
+  }
+  if (!inserted) parts.push(orientationApp1(orientation));
+  parts.push(buf.subarray(scanAt));
+  return Buffer.concat(parts);
+}
+
+const PNG_DROP = new Set(["eXIf", "tEXt", "zTXt", "iTXt", "tIME"]);
+function stripPng(buf) {
+  const parts = [buf.subarray(0, 8)];
+  let i = 8;
+  while (i + 12 <= buf.length) {
+    const len = buf.readUInt32BE(i);
+    const type = ascii(buf, i + 4, 4);
+    const end = i + 12 + len;
+    if (end > buf.length) return buf;
+    if (!PNG_DROP.has(type)) parts.push(buf.subarray(i, end));
+    i = end;
+    if (type === "IEND") break;
+  }
+  return Buffer.concat(parts);
+}
+
+function stripWebp(buf) {
+  const parts = [];
+  let i = 12;
+  while (i + 8 <= buf.length) {
+    const type = ascii(buf, i, 4);
+    const end = i + 8 + buf.readUInt32LE(i + 4) + (buf.readUInt32LE(i + 4) & 1);
+    if (type !== "EXIF" && type !== "XMP ") {
+      const chunk = Buffer.from(buf.subarray(i, Math.min(end, buf.length)));
+      if (type === "VP8X") chunk[8] &= ~0x0C; // clear the EXIF and XMP flags
+      parts.push(chunk);
+    }
+    i = end;
+  }
+  const body = Buffer.concat(parts);
+  const head = Buffer.alloc(12);
+  head.write("RIFF", 0, "latin1");
+  head.writeUInt32LE(body.length + 4, 4);
+  head.write("WEBP", 8, "latin1");
+  return Buffer.concat([head, body]);
+}
+
+// Location and other tags live in udta/meta boxes; renaming them to "free" keeps
+// every offset in the file valid, so players simply skip them.
+function stripMp4(buf) {
+  const out = Buffer.from(buf);
+  const walk = (start, end, depth) => {
+    let i = start;
+    while (i + 8 <= end) {
+      let size = out.readUInt32BE(i);
+      let header = 8;
+      if (size === 1 && i + 16 <= end) { size = Number(out.readBigUInt64BE(i + 8)); header = 16; }
+      else if (size === 0) size = end - i;
+      if (size < header || i + size > end) return;
+      const type = ascii(out, i + 4, 4);
+      if (type === "udta" || type === "meta") out.write("free", i + 4, "latin1");
+      else if (depth < 3 && (type === "moov" || type === "trak")) walk(i + header, i + size, depth + 1);
+      i += size;
+    }
+  };
+  walk(0, out.length, 0);
+  return out;
+}
+
+// GIF and WebM carry no location data worth stripping and are returned as-is.
+export function stripMetadata(buf, type) {
+  try {
+    if (type === "image/jpeg") return stripJpeg(buf);
+    if (type === "image/png") return stripPng(buf);
+    if (type === "image/webp") return stripWebp(buf);
+    if (type === "video/mp4" || type === "video/quicktime") return stripMp4(buf);
+  } catch {
+    // malformed container: keep the original bytes rather than corrupt them
+  }
+  return buf;
+}
+
+function decodeRgba(buf, type) {
+  if (type === "image/jpeg") {
+    const img = jpeg.decode(buf, { useTArray: true, maxResolutionInMP: MAX_DECODE_PIXELS / 1e6, maxMemoryUsageInMB: 512 });
+    return { width: img.width, height: img.height, data: img.data, orientation: jpegOrientation(buf) };
+  }
+  if (type === "image/png") {
+    if (buf.readUInt32BE(16) * buf.readUInt32BE(20) > MAX_DECODE_PIXELS) throw new Error("too_many_pixels");
+    const img = PNG.sync.read(buf);
+    return { width: img.width, height: img.height, data: img.data, orientation: 1 };
+  }
+  return null;
+}
+
+// Area-average downscale; also flattens alpha onto white for JPEG output.
+function resize(src, width, height) {
+  const data = new Uint8Array(width * height * 4);
+  const sx = src.width / width;
+  const sy = src.height / height;
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * sy);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * sy));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * sx);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * sx));
+      let r = 0, g = 0, b = 0, n = 0;
+      for (let yy = y0; yy < y1; yy++) {
+        for (let xx = x0; xx < x1; xx++) {
+          const p = (yy * src.width + xx) * 4;
+          const a = src.data[p + 3] / 255;
+          r += src.data[p] * a + 255 * (1 - a);
+          g += src.data[p + 1] * a + 255 * (1 - a);
+          b += src.data[p + 2] * a + 255 * (1 - a);
+          n++;
+        }
+      }
+      const q = (y * width + x) * 4;
+      data[q] = r / n;
+      data[q + 1] = g / n;
+      data[q + 2] = b / n;
+      data[q + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+// Applies an EXIF orientation so thumbnails need no metadata to display upright.
+function orient(img, o) {
+  if (o === 1) return img;
+  const swap = o >= 5;
+  const width = swap ? img.height : img.width;
+  const height = swap ? img.width : img.height;
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // source coordinates for each of the eight EXIF orientations
+      const [sx, sy] =
+        o === 2 ? [img.width - 1 - x, y] :
+        o === 3 ? [img.width - 1 - x, img.height - 1 - y] :
+        o === 4 ? [x, img.height - 1 - y] :
+        o === 5 ? [y, x] :
+        o === 6 ? [y, img.height - 1 - x] :
+        o === 7 ? [img.width - 1 - y, img.height - 1 - x] :
+        [img.width - 1 - y, x];
+      const p = (sy * img.width + sx) * 4;
+      const q = (y * width + x) * 4;
+      data[q] = img.data[p];
+      data[q + 1] = img.data[p + 1];
+      data[q + 2] = img.data[p + 2];
+      data[q + 3] = img.data[p + 3];
+    }
+  }
+  return { width, height, data };
+}
+
+// JPEG thumbnails for every size in THUMB_SIZES smaller than the image's long edge:
+// [{ size, width, height, buf }]. Only JPEG and PNG are decoded; other types get none.
+export function makeThumbnails(buf, type) {
+  let src;
+  try {
+    src = decodeRgba(buf, type);
+  } catch {
+    return [];
+  }
+  if (!src) return [];
+  const out = [];
+  let img = src;
+  for (const size of THUMB_SIZES) {
+    const long = Math.max(img.width, img.height);
+    if (size >= long) continue;
+    const scale = size / long;
+    img = resize(img, Math.max(1, Math.round(img.width * scale)), Math.max(1, Math.round(img.height * scale)));
+    if (!out.length) img = orient(img, src.orientation);
+    out.push({ size, width: img.width, height: img.height, buf: jpeg.encode(img, 80).data });
+  }
+  return out;
+}
+
+// makeThumbnails() on a worker thread, one image at a time, so that decoding a large
+// upload does not hold up requests. make() resolves to the same list; if the worker
+// dies, what it had is rejected and the next call starts a new one.
+export function createThumbnailer() {
+  let worker = null;
+  let seq = 0;
+  const waiting = new Map(); // job id -> { resolve, reject }
+
+  const start = () => {
+    worker = new Worker(new URL("./thumbnail-worker.js", import.meta.url));
+    worker.unref();
+    worker.on("message", ({ id, thumbs }) => {
+      waiting.get(id)?.resolve(thumbs.map((t) => ({ ...t, buf: Buffer.from(t.buf) })));
+      waiting.delete(id);
+    });
+    worker.on("exit", (code) => {
+      for (const job of waiting.values()) job.reject(new Error(`thumbnail worker exited (${code})`));
+      waiting.clear();
+      worker = null;
+    });
+  };
+
+  return {
+    make(buf, type) {
+      if (!worker) start();
+      const id = ++seq;
+      return new Promise((resolve, reject) => {
+        waiting.set(id, { resolve, reject });
+        worker.postMessage({ id, buf, type });
+      });
+    },
+    close() {
+      return worker?.terminate();
+    },
+  };
+}
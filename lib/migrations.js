@@ -0,0 +1,213 @@
+import fs from "fs";
+import { decodeDataUrl } from "./blobs.js";
+import { sniffType, stripMetadata, makeThumbnails } from "./media.js";
+import { parseAnchors } from "./replies.js";
+
+// Ordered, numbered data migrations. The store remembers the last one applied in
+// meta/schema; at startup (and after an import) every later one runs, in order.
+// A migration must be safe to run again: a crash before the version is recorded
+// reruns it. ctx is { blobs, counters, reactions }.
+
+const MEDIA_COLLECTIONS = ["attachments", "verifyRequests"];
+
+function storeThumbnails(blobs, buf, type) {
+  return makeThumbnails(buf, type).map(({ size, width, height, buf: thumb }) => ({ size, width, height, sha256: blobs.put(thumb) }));
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "post-numbers",
+    // Posts carry a per-thread `no` that never changes once given, so anchors and
+    // cursors survive deletions. Older records are numbered in creation order.
+    up(store) {
+      store.batch(() => {
+        for (const t of store.threads.all()) {
+          const posts = store.posts.find("threadId", t.id);
+          if (posts.every((p) => p.no) && t.postSeq) continue;
+          posts.sort((a, b) => String(a.createdAt || "").localeCompare(String(b.createdAt || "")));
+          let seq = Math.max(0, ...posts.map((p) => p.no || 0));
+          for (const p of posts) {
+            if (p.no) continue;
+            p.no = ++seq;
+            store.posts.put(p);
+          }
+          t.postSeq = seq;
+          store.threads.put(t);
+        }
+      });
+    },
+  },
+  {
+    version: 2,
+    name: "thread-creator-id",
+    // The oldest threads named their creator `authorId`, like posts do.
+    up(store) {
+      store.batch(() => {
+        for (const t of store.threads.all()) {
+          if (!("authorId" in t)) continue;
+          t.creatorId ||= t.authorId;
+          delete t.authorId;
+          store.threads.put(t);
+        }
+      });
+    },
+  },
+  {
+    version: 3,
+    name: "inline-media",
+    // Older records carried the upload inline as file.dataUrl; move those into the blob store.
+    up(store, { blobs }) {
+      store.batch(() => {
+        for (const name of MEDIA_COLLECTIONS) {
+          for (const rec of store[name].all()) {
+            if (!rec.file?.dataUrl) continue;
+            const { dataUrl, ...meta } = rec.file;
+            const decoded = decodeDataUrl(dataUrl);
+            rec.file = decoded ? { ...meta, size: decoded.buf.length, sha256: blobs.put(decoded.buf) } : meta;
+            store[name].put(rec);
+          }
+        }
+      });
+    },
+  },
+  {
+    version: 4,
+    name: "clean-media",
+    // Files stored before uploads were checked still carry their metadata: strip it,
+    // add thumbnails to attachments, and drop the original blobs once nothing uses them.
+    up(store, { blobs }) {
+      const replaced = new Set();
+      store.batch(() => {
+        for (const name of MEDIA_COLLECTIONS) {
+          for (const rec of store[name].all()) {
+            if (!rec.file?.sha256 || rec.file.clean || !blobs.has(rec.file.sha256)) continue;
+            const orig = fs.readFileSync(blobs.pathOf(rec.file.sha256));
+            const type = sniffType(orig) || rec.file.type;
+            const buf = stripMetadata(orig, type);
+            const sha256 = blobs.put(buf);
+            if (sha256 !== rec.file.sha256) replaced.add(rec.file.sha256);
+            rec.file = { ...rec.file, size: buf.length, sha256, clean: true };
+            if (name === "attachments") rec.file.thumbs = storeThumbnails(blobs, buf, type);
+            store[name].put(rec);
+          }
+        }
+      });
+      for (const name of MEDIA_COLLECTIONS) {
+        for (const rec of store[name].all()) replaced.delete(rec.file?.sha256);
+      }
+      for (const hash of replaced) blobs.remove(hash);
+    },
+  },
+  {
+    version: 5,
+    name: "legacy-counters",
+    // Threads used to keep pv/likesByUser themselves; hand them to the counters and drop them.
+    // Counters are flushed before the threads are rewritten so a crash in between loses nothing.
+    up(store, { counters }) {
+      const legacy = store.threads.all().filter((t) => counters.importLegacy(t));
+      if (!legacy.length) return;
+      counters.flush();
+      store.batch(() => {
+        for (const t of legacy) {
+          delete t.pv;
+          delete t.likesByUser;
+          store.threads.put(t);
+        }
+      });
+    },
+  },
+  {
+    version: 6,
+    name: "likes-to-reactions",
+    // Likes used to live only in the counters, which forget them after a month. Any the
+    // counters still hold become lasting "like" reactions.
+    up(store, { counters, reactions }) {
+      store.batch(() => {
+        for (const t of store.threads.all()) {
+          for (const [userId, at] of Object.entries(counters.likedBy(t.id))) {
+            reactions.set(userId, { targetType: "thread", targetId: t.id, threadId: t.id }, "like", true, at);
+          }
+        }
+      });
+    },
+  },
+  {
+    version: 7,
+    name: "record-defaults",
+    // Fields that older records may lack and readers used to default one by one.
+    up(store) {
+      const fill = (name, rec, defaults) => {
+        const missing = Object.entries(defaults).filter(([k]) => rec[k] === undefined);
+        if (!missing.length) return;
+        for (const [k, v] of missing) rec[k] = v;
+        store[name].put(rec);
+      };
+      store.batch(() => {
+        for (const t of store.threads.all()) fill("threads", t, { title: "", tags: [], hidden: false, updatedAt: t.createdAt });
+        for (const p of store.posts.all()) fill("posts", p, { body: "", updatedAt: p.createdAt });
+        for (const name of MEDIA_COLLECTIONS) {
+          for (const rec of store[name].all()) fill(name, rec, { reviewedAt: "", note: "" });
+        }
+      });
+    },
+  },
+  {
+    version: 8,
+    name: "reply-anchors",
+    // ">>N" in bodies written before replies were tracked become anchors where they
+    // point at an earlier post of the same thread.
+    up(store) {
+      store.batch(() => {
+        for (const t of store.threads.all()) {
+          const posts = store.posts.find("threadId", t.id);
+          const nos = new Set(posts.map((p) => p.no));
+          for (const p of posts) {
+            if (p.anchors) continue;
+            const anchors = parseAnchors(p.body).filter((no) => no < p.no && nos.has(no));
+            if (!anchors.length) continue;
+            p.anchors = anchors;
+            store.posts.put(p);
+          }
+        }
+      });
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export function schemaVersion(store) {
+  return store.meta.get("schema")?.version || 0;
+}
+export function setSchemaVersion(store, version) {
+  store.meta.put({ id: "schema", version });
+}
+
+// Migrations the store has not had yet. Refuses a store written by a newer server.
+export function pendingMigrations(store) {
+  const version = schemaVersion(store);
+  if (version > SCHEMA_VERSION) throw new Error(`database schema version ${version} is newer than this server's (${SCHEMA_VERSION}); upgrade the server`);
+  return MIGRATIONS.filter((m) => m.version > version);
+}
+
+// Applies the pending migrations in order; returns [{ version, name, writes }].
+export function runMigrations(store, ctx, { log = () => {} } = {}) {
+  const report = [];
+  for (const m of pendingMigrations(store)) {
+    let writes = 0;
+    const stop = store.subscribe(() => { writes++; });
+    try {
+      m.up(store, ctx);
+    } catch (e) {
+      e.message = `migration ${m.version} (${m.name}) failed: ${e.message}`;
+      throw e;
+    } finally {
+      stop();
+    }
+    setSchemaVersion(store, m.version);
+    report.push({ version: m.version, name: m.name, writes });
+    log(`migration ${m.version} (${m.name}): ${writes} writes`);
+  }
+  return report;
+}
@@ -0,0 +1,60 @@
+import { uid, nowISO } from "./util.js";
+import { pageAfter, newestFirst } from "./paging.js";
+
+// Types that concern a thread the user wrote; muting the thread silences these.
+// Review outcomes of the user's own requests are always delivered.
+const THREAD_TYPES = ["reply", "like"];
+const KEEP_PER_USER = 500;
+
+export function createNotifications(store) {
+  const forUser = (userId) => store.notifications.find("userId", userId).sort(newestFirst);
+  const muteId = (userId, threadId) => `${userId}:${threadId}`;
+  const isMuted = (userId, threadId) => store.threadMutes.has(muteId(userId, threadId));
+
+  return {
+    isMuted,
+
+    setMuted(userId, threadId, muted) {
+      const id = muteId(userId, threadId);
+      if (!muted) store.threadMutes.remove(id);
+      else if (!store.threadMutes.has(id)) store.threadMutes.put({ id, userId, threadId, createdAt: nowISO() });
+    },
+
+    // Returns the notification, or null when it was not sent (self-action or muted thread).
+    notify({ userId, type, actorId = "", threadId = "", postId = "", targetId = "", note = "" }) {
+      if (!userId || userId === actorId) return null;
+      if (THREAD_TYPES.includes(type) && threadId && isMuted(userId, threadId)) return null;
+      const n = { id: uid("N"), userId, type, actorId, threadId, postId, targetId, note, read: false, createdAt: nowISO() };
+      store.batch(() => {
+        store.notifications.put(n);
+        for (const old of forUser(userId).slice(KEEP_PER_USER)) store.notifications.remove(old.id);
+      });
+      return n;
+    },
+
+    inbox(userId, { unreadOnly = false, after, limit = 20 } = {}) {
+      const list = forUser(userId).filter((n) => !unreadOnly || !n.read);
+      return pageAfter(list, { after, limit, cmp: newestFirst });
+    },
+
+    unreadCount(userId) {
+      return store.notifications.find("userId", userId).filter((n) => !n.read).length;
+    },
+
+    // `ids` null marks everything read; returns how many changed.
+    markRead(userId, ids) {
+      const want = ids && new Set(ids);
+      let changed = 0;
+      store.batch(() => {
+        for (const n of store.notifications.find("userId", userId)) {
+          if (n.read || (want && !want.has(n.id))) continue;
+          n.read = true;
+          n.readAt = nowISO();
+          store.notifications.put(n);
+          changed++;
+        }
+      });
+      return changed;
+    },
+  };
+}
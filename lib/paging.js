@@ -0,0 +1,40 @@
+// Opaque cursors are base64url JSON; clients must treat them as strings.
+export function encodeCursor(pos) {
+  return Buffer.from(JSON.stringify(pos)).toString("base64url");
+}
+
+export function decodeCursor(s) {
+  if (!s) return null;
+  try {
+    const pos = JSON.parse(Buffer.from(String(s), "base64url").toString("utf-8"));
+    return pos && typeof pos === "object" ? pos : null;
+  } catch {
+    return null;
+  }
+}
+
+// `items` must already be sorted by `cmp`, which has to be a total order (end
+// on a unique tie-breaker). `after` is an item-shaped position: the page starts at
+// the first item that sorts strictly after it, so it survives inserts and removals.
+export function pageAfter(items, { after, limit, cmp }) {
+  const start = after ? items.findIndex((it) => cmp(it, after) > 0) : 0;
+  const rest = start < 0 ? [] : items.slice(start);
+  if (!limit) return { page: rest, more: false };
+  return { page: rest.slice(0, limit), more: rest.length > limit };
+}
+
+// Newest first by createdAt; id breaks ties so a cursor position is unambiguous.
+export const newestFirst = (a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id);
+
+// ?fields=a,b,c -> Set, or null when absent (all fields).
+export function parseFields(raw, always = ["id"]) {
+  const list = String(raw ?? "").split(",").map((s) => s.trim()).filter(Boolean);
+  return list.length ? new Set([...always, ...list]) : null;
+}
+
+export function pickFields(obj, fields) {
+  if (!fields) return obj;
+  const out = {};
+  for (const k of Object.keys(obj)) if (fields.has(k)) out[k] = obj[k];
+  return out;
+}
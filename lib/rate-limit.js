@@ -0,0 +1,119 @@
+import { parseJsonEnv } from "./util.js";
+
+// Token-bucket rate limiting with temporary bans for repeat offenders.
+//
+// State lives in a key/value store with per-key TTLs. The in-memory one below is
+// enough for a single process; a shared store (Redis and the like) only has to
+// offer the same get/set/delete/entries, and may return promises.
+
+export function createMemoryLimitStore() {
+  const rows = new Map(); // key -> { value, expires }
+  const live = (key, now = Date.now()) => {
+    const row = rows.get(key);
+    if (row && row.expires <= now) rows.delete(key);
+    return row && row.expires > now ? row : null;
+  };
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const key of rows.keys()) live(key, now);
+  }, 60*1000);
+  sweep.unref();
+
+  return {
+    get(key) { return live(key)?.value; },
+    set(key, value, ttlMs) { rows.set(key, { value, expires: Date.now() + Math.max(ttlMs, 1) }); },
+    delete(key) { rows.delete(key); },
+    *entries() {
+      for (const key of Array.from(rows.keys())) {
+        const row = live(key);
+        if (row) yield [key, row.value];
+      }
+    },
+  };
+}
+
+// `defaults` (route class -> { burst, perMinute }) with the RATE_LIMITS overrides in `raw`
+// (JSON). Each override must name a known class and set burst and/or perMinute above 0.
+export function parseRateLimits(raw, defaults) {
+  const overrides = parseJsonEnv("RATE_LIMITS", raw);
+  const out = { ...defaults };
+  for (const [cls, limits] of Object.entries(overrides)) {
+    if (!Object.hasOwn(defaults, cls)) throw new Error(`RATE_LIMITS: unknown class ${cls} (use ${Object.keys(defaults).join(", ")})`);
+    if (!limits || typeof limits !== "object" || Array.isArray(limits)) throw new Error(`RATE_LIMITS: ${cls} must be an object like {"burst":10,"perMinute":6}`);
+    for (const [k, v] of Object.entries(limits)) {
+      if (k !== "burst" && k !== "perMinute") throw new Error(`RATE_LIMITS: unknown setting ${cls}.${k} (use burst, perMinute)`);
+      if (typeof v !== "number" || !Number.isFinite(v) || v <= 0) throw new Error(`RATE_LIMITS: ${cls}.${k} must be a number above 0`);
+    }
+    out[cls] = { ...defaults[cls], ...limits };
+  }
+  return out;
+}
+
+// `classes` maps a route class to { burst, perMinute }. Each rejected request is a
+// violation for the key; `banAfter` of them within `banWindowMs` ban it for `banMs`.
+export function createRateLimiter({ classes, store = createMemoryLimitStore(), banAfter = 5, banWindowMs = 10*60*1000, banMs = 15*60*1000 }) {
+  async function violation(key, cls, now) {
+    const v = (await store.get(`violations:${key}`)) || { count: 0, first: now };
+    v.count++;
+    v.last = now;
+    v.cls = cls;
+    if (v.count < banAfter) {
+      await store.set(`violations:${key}`, v, banWindowMs - (now - v.first));
+      return false;
+    }
+    await store.set(`ban:${key}`, { since: now, until: now + banMs, reason: cls, violations: v.count }, banMs);
+    await store.delete(`violations:${key}`);
+    return true;
+  }
+
+  return {
+    // Takes one token for every key (e.g. ip and user); { ok } or { ok: false, banned, retryAfter } in seconds.
+    async take(cls, keys) {
+      const now = Date.now();
+      for (const key of keys) {
+        const ban = await store.get(`ban:${key}`);
+        if (ban && ban.until > now) return { ok: false, banned: true, retryAfter: Math.ceil((ban.until - now) / 1000) };
+      }
+      const { burst, perMinute } = classes[cls];
+      const perMs = perMinute / 60000;
+      const refillMs = (tokens) => (burst - tokens + 1) / perMs;
+      // Every key is checked before any token is spent: a request one key refuses costs the others nothing.
+      const buckets = [];
+      for (const key of keys) {
+        const b = (await store.get(`bucket:${cls}:${key}`)) || { tokens: burst, ts: now };
+        buckets.push({ key, tokens: Math.min(burst, b.tokens + (now - b.ts) * perMs) });
+      }
+      const empty = buckets.find((b) => b.tokens < 1);
+      if (empty) {
+        await store.set(`bucket:${cls}:${empty.key}`, { tokens: empty.tokens, ts: now }, refillMs(empty.tokens));
+        const banned = await violation(empty.key, cls, now);
+        return { ok: false, banned, retryAfter: Math.ceil((banned ? banMs : (1 - empty.tokens) / perMs) / 1000) };
+      }
+      for (const { key, tokens } of buckets) await store.set(`bucket:${cls}:${key}`, { tokens: tokens - 1, ts: now }, refillMs(tokens));
+      return { ok: true };
+    },
+
+    // Current bans and keys that have collected violations.
+    async blocks() {
+      const bans = [];
+      const watch = [];
+      for await (const [k, v] of store.entries()) {
+        if (k.startsWith("ban:")) bans.push({ key: k.slice(4), ...v, until: new Date(v.until).toISOString(), since: new Date(v.since).toISOString() });
+        else if (k.startsWith("violations:")) watch.push({ key: k.slice(11), count: v.count, cls: v.cls, last: new Date(v.last).toISOString() });
+      }
+      return { bans, watch };
+    },
+
+    // Forgets bans, violations and buckets for `key`, or for everyone when key is null.
+    async clear(key) {
+      let n = 0;
+      for await (const [k] of store.entries()) {
+        const owner = k.startsWith("bucket:") ? k.slice(k.indexOf(":", 7) + 1) : k.slice(k.indexOf(":") + 1);
+        if (key && owner !== key) continue;
+        await store.delete(k);
+        if (!k.startsWith("bucket:")) n++;
+      }
+      return n;
+    },
+  };
+}
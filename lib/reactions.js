@@ -0,0 +1,96 @@
+import { nowISO } from "./util.js";
+import { pageAfter, newestFirst } from "./paging.js";
+
+// Reactions a user can leave on a thread or a post, one of each kind per target.
+// "like" is the classic like: it also feeds the like_* windows in counters.
+export const REACTIONS = { like: "👍", love: "❤️", laugh: "😂", wow: "😮", sad: "😢", thanks: "🙏" };
+
+// Reactions are kept for good, so the counts here are lifetime totals; unreacting removes the record.
+export function createReactions(store) {
+  const reactionId = (targetId, userId, kind) => `${targetId}:${userId}:${kind}`;
+
+  return {
+    // `target` is { targetType, targetId, threadId }. Returns false when nothing changed.
+    set(userId, { targetType, targetId, threadId }, kind, on, at = nowISO()) {
+      const id = reactionId(targetId, userId, kind);
+      if (!on) {
+        if (!store.reactions.has(id)) return false;
+        store.reactions.remove(id);
+        return true;
+      }
+      if (store.reactions.has(id)) return false;
+      store.reactions.put({ id, targetType, targetId, threadId, userId, kind, createdAt: at });
+      return true;
+    },
+
+    // { kind: count } for kinds with at least one reaction.
+    counts(targetId) {
+      const out = {};
+      for (const r of store.reactions.find("targetId", targetId)) out[r.kind] = (out[r.kind] || 0) + 1;
+      return out;
+    },
+
+    mine(targetId, userId) {
+      if (!userId) return [];
+      return store.reactions.find("targetId", targetId).filter((r) => r.userId === userId).map((r) => r.kind);
+    },
+
+    // Drops every reaction on the thread and its posts (the thread is being purged).
+    dropThread(threadId) {
+      for (const r of store.reactions.find("threadId", threadId)) store.reactions.remove(r.id);
+    },
+    dropTarget(targetId) {
+      for (const r of store.reactions.find("targetId", targetId)) store.reactions.remove(r.id);
+    },
+
+    // Re-keys a user's reactions; ones the new id already has are dropped. Returns how many moved.
+    renameUser(fromId, toId) {
+      let moved = 0;
+      for (const r of store.reactions.find("userId", fromId)) {
+        store.reactions.remove(r.id);
+        const id = reactionId(r.targetId, toId, r.kind);
+        if (store.reactions.has(id)) continue;
+        store.reactions.put({ ...r, id, userId: toId });
+        moved++;
+      }
+      return moved;
+    },
+  };
+}
+
+// Private per-user bookmarks of threads.
+export function createBookmarks(store) {
+  const bookmarkId = (userId, threadId) => `${userId}:${threadId}`;
+
+  return {
+    has: (userId, threadId) => !!userId && store.bookmarks.has(bookmarkId(userId, threadId)),
+
+    set(userId, threadId, on) {
+      const id = bookmarkId(userId, threadId);
+      if (!on) store.bookmarks.remove(id);
+      else if (!store.bookmarks.has(id)) store.bookmarks.put({ id, userId, threadId, createdAt: nowISO() });
+    },
+
+    // Newest first; `visible(threadId)` leaves out threads the user can no longer open.
+    list(userId, { visible, after, limit = 20 }) {
+      const list = store.bookmarks.find("userId", userId).filter((b) => visible(b.threadId)).sort(newestFirst);
+      return pageAfter(list, { after, limit, cmp: newestFirst });
+    },
+
+    dropThread(threadId) {
+      for (const b of store.bookmarks.find("threadId", threadId)) store.bookmarks.remove(b.id);
+    },
+
+    renameUser(fromId, toId) {
+      let moved = 0;
+      for (const b of store.bookmarks.find("userId", fromId)) {
+        store.bookmarks.remove(b.id);
+        const id = bookmarkId(toId, b.threadId);
+        if (store.bookmarks.has(id)) continue;
+        store.bookmarks.put({ ...b, id, userId: toId });
+        moved++;
+      }
+      return moved;
+    },
+  };
+}
@@ -0,0 +1,69 @@
+// Posts point at earlier posts of their thread by number: `replyTo` is the one they
+// answer (given explicitly), `anchors` the ">>N" references in the body (full-width
+// "＞＞１２" too). A post's parent in the nested view is replyTo, else its first anchor.
+
+const ANCHOR = /[>＞]{2}\s*([0-9０-９]{1,6})(?![0-9０-９])/g;
+export const MAX_ANCHORS = 10;
+
+// Distinct anchor numbers in order of appearance.
+export function parseAnchors(body) {
+  const out = [];
+  for (const m of String(body ?? "").matchAll(ANCHOR)) {
+    const no = Number(m[1].normalize("NFKC"));
+    if (no > 0 && !out.includes(no)) out.push(no);
+    if (out.length >= MAX_ANCHORS) break;
+  }
+  return out;
+}
+
+export const replyParent = (p) => p.replyTo || p.anchors?.[0] || 0;
+// Every number the post refers to, replyTo first.
+export const replyRefs = (p) => Array.from(new Set([p.replyTo, ...(p.anchors || [])].filter(Boolean)));
+
+// The first of `nos` that is not an earlier post in `posts` (those the reply may refer to), or 0.
+export function missingRef(nos, posts, beforeNo) {
+  const known = new Set(posts.map((p) => p.no));
+  return nos.find((no) => no >= beforeNo || !known.has(no)) || 0;
+}
+
+// no -> [numbers of the posts in `posts` that refer to it], ascending.
+export function backReferences(posts) {
+  const out = new Map();
+  for (const p of [...posts].sort((a, b) => a.no - b.no)) {
+    for (const no of replyRefs(p)) {
+      if (!out.has(no)) out.set(no, []);
+      out.get(no).push(p.no);
+    }
+  }
+  return out;
+}
+
+// Replies nest at most this deep; deeper ones are listed with their parent, at that depth.
+export const MAX_NEST_DEPTH = 8;
+
+// { roots, children }: roots are the posts without an (earlier) parent among `posts`,
+// children maps a post number to its direct replies; both in post order. A reply to a
+// post already `maxDepth` deep goes under that post's parent instead, so the tree never
+// gets deeper than maxDepth however long a chain of replies is.
+export function nestPosts(posts, { maxDepth = MAX_NEST_DEPTH } = {}) {
+  const sorted = [...posts].sort((a, b) => a.no - b.no);
+  const roots = [];
+  const children = new Map();
+  const depth = new Map(); // no -> depth, 0 for roots
+  const under = new Map(); // no -> the no its replies are listed under
+  for (const p of sorted) {
+    const parent = replyParent(p);
+    if (!depth.has(parent) || parent >= p.no) {
+      roots.push(p);
+      depth.set(p.no, 0);
+      under.set(p.no, p.no);
+      continue;
+    }
+    const holder = under.get(parent);
+    if (!children.has(holder)) children.set(holder, []);
+    children.get(holder).push(p);
+    depth.set(p.no, depth.get(holder) + 1);
+    under.set(p.no, depth.get(p.no) < maxDepth ? p.no : holder);
+  }
+  return { roots, children };
+}
@@ -0,0 +1,59 @@
+import { uid, nowISO, sanitizeText } from "./util.js";
+
+export const REPORT_CATEGORIES = ["spam", "harassment", "hate", "sexual", "violence", "personal_info", "copyright", "other"];
+
+export function createReports(store) {
+  const openFor = (targetId) => store.reports.find("targetId", targetId).filter((r) => r.status === "open");
+
+  return {
+    openFor,
+
+    // One open report per reporter and target: reporting again only updates the category/detail.
+    file({ targetType, targetId, threadId, reporterId, category, detail }) {
+      const existing = openFor(targetId).find((r) => r.reporterId === reporterId);
+      const ts = nowISO();
+      if (existing) {
+        existing.category = category;
+        existing.detail = sanitizeText(detail, 800);
+        existing.updatedAt = ts;
+        store.reports.put(existing);
+        return { report: existing, duplicate: true };
+      }
+      const report = { id: uid("R"), targetType, targetId, threadId, reporterId, category, detail: sanitizeText(detail, 800), status: "open", createdAt: ts, updatedAt: ts, resolvedAt: "", resolvedBy: "", resolution: "" };
+      store.reports.put(report);
+      return { report, duplicate: false };
+    },
+
+    resolve(targetId, { status, by, resolution }) {
+      const list = openFor(targetId);
+      const ts = nowISO();
+      for (const r of list) {
+        r.status = status;
+        r.resolvedAt = ts;
+        r.resolvedBy = by;
+        r.resolution = resolution;
+        store.reports.put(r);
+      }
+      return list.length;
+    },
+
+    // Open reports grouped by target, most-reported first.
+    queue({ targetType } = {}) {
+      const groups = new Map();
+      for (const r of store.reports.find("status", "open")) {
+        if (targetType && r.targetType !== targetType) continue;
+        let g = groups.get(r.targetId);
+        if (!g) {
+          g = { targetType: r.targetType, targetId: r.targetId, threadId: r.threadId, reportCount: 0, reasons: {}, firstReportedAt: r.createdAt, lastReportedAt: r.updatedAt, reports: [] };
+          groups.set(r.targetId, g);
+        }
+        g.reportCount++;
+        g.reasons[r.category] = (g.reasons[r.category] || 0) + 1;
+        if (r.createdAt < g.firstReportedAt) g.firstReportedAt = r.createdAt;
+        if (r.updatedAt > g.lastReportedAt) g.lastReportedAt = r.updatedAt;
+        g.reports.push({ id: r.id, reporterId: r.reporterId, category: r.category, detail: r.detail, createdAt: r.createdAt });
+      }
+      return Array.from(groups.values()).sort((a, b) => (b.reportCount - a.reportCount) || b.lastReportedAt.localeCompare(a.lastReportedAt));
+    },
+  };
+}
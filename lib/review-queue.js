@@ -0,0 +1,58 @@
+import { pageAfter, newestFirst } from "./paging.js";
+
+const oldestFirst = (a, b) => newestFirst(b, a);
+
+// Paging and claiming over a collection of reviewable records (status "pending"
+// until reviewed). A claim reserves a pending item for one admin until it expires
+// or is released; reviewing the item clears it.
+export function createReviewQueue(store, name, { ownerField, claimTtlMs }) {
+  const col = store[name];
+  const holderOf = (rec, now = Date.now()) => (rec.claimedBy && Date.parse(rec.claimedUntil) > now ? rec.claimedBy : "");
+
+  return {
+    holderOf,
+
+    // `claim`: "mine" = claimed by adminId, "free" = not claimed by anyone else.
+    page({ status, threadId, ownerId, minAgeMs, maxAgeMs, claim, adminId, order, after, limit }) {
+      const now = Date.now();
+      const cmp = order === "oldest" ? oldestFirst : newestFirst;
+      const list = (status ? col.find("status", status) : col.all()).filter((r) => {
+        if (threadId && r.threadId !== threadId) return false;
+        if (ownerId && r[ownerField] !== ownerId) return false;
+        const age = now - Date.parse(r.createdAt);
+        if (minAgeMs && !(age >= minAgeMs)) return false;
+        if (maxAgeMs && !(age <= maxAgeMs)) return false;
+        const holder = holderOf(r, now);
+        if (claim === "mine" && holder !== adminId) return false;
+        if (claim === "free" && holder && holder !== adminId) return false;
+        return true;
+      }).sort(cmp);
+      return { ...pageAfter(list, { after, limit, cmp }), total: list.length };
+    },
+
+    // One result per id: { id, ok, error?, claimedBy?, claimedUntil? }.
+    claim(ids, adminId, { release = false } = {}) {
+      const until = new Date(Date.now() + claimTtlMs).toISOString();
+      const results = [];
+      store.batch(() => {
+        for (const id of ids) {
+          const r = col.get(id);
+          if (!r) { results.push({ id, ok: false, error: "not_found" }); continue; }
+          if (r.status !== "pending") { results.push({ id, ok: false, error: "already_reviewed" }); continue; }
+          const holder = holderOf(r);
+          if (holder && holder !== adminId) { results.push({ id, ok: false, error: "claimed", claimedBy: holder }); continue; }
+          if (release) {
+            delete r.claimedBy;
+            delete r.claimedUntil;
+          } else {
+            r.claimedBy = adminId;
+            r.claimedUntil = until;
+          }
+          col.put(r);
+          results.push(release ? { id, ok: true } : { id, ok: true, claimedUntil: until });
+        }
+      });
+      return results;
+    },
+  };
+}
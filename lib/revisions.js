@@ -0,0 +1,55 @@
+import { uid, nowISO } from "./util.js";
+
+// Revisions of a post body or thread title. The original text becomes rev 1 on
+// the first edit, so an unedited record has no revisions at all.
+export function createRevisions(store) {
+  const list = (targetId) => store.revisions.find("targetId", targetId).sort((a, b) => a.rev - b.rev);
+
+  return {
+    list,
+
+    record({ targetType, targetId, field, previous, next, originalAt, authorId, editorId }) {
+      const revs = list(targetId);
+      const ts = nowISO();
+      store.batch(() => {
+        if (!revs.length) {
+          const first = { id: uid("E"), targetType, targetId, field, rev: 1, text: previous, editorId: authorId, editedAt: originalAt };
+          store.revisions.put(first);
+          revs.push(first);
+        }
+        const rev = { id: uid("E"), targetType, targetId, field, rev: revs[revs.length - 1].rev + 1, text: next, editorId, editedAt: ts };
+        store.revisions.put(rev);
+        revs.push(rev);
+      });
+      return revs;
+    },
+  };
+}
+
+// Line diff via LCS: [{ op: "=" | "-" | "+", text }].
+export function diffLines(a, b) {
+  const x = String(a ?? "").split("\n");
+  const y = String(b ?? "").split("\n");
+  const n = x.length;
+  const m = y.length;
+  if (n * m > 4_000_000) {
+    return [...x.map((text) => ({ op: "-", text })), ...y.map((text) => ({ op: "+", text }))];
+  }
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (x[i] === y[j]) { out.push({ op: "=", text: x[i] }); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) out.push({ op: "-", text: x[i++] });
+    else out.push({ op: "+", text: y[j++] });
+  }
+  while (i < n) out.push({ op: "-", text: x[i++] });
+  while (j < m) out.push({ op: "+", text: y[j++] });
+  return out;
+}
@@ -0,0 +1,261 @@
+// In-memory inverted index over thread titles, tags and post bodies.
+//
+// Text is folded per character (NFKC, lowercase, katakana -> hiragana) so that
+// full-width/half-width and kana variants match. Japanese has no word breaks, so
+// CJK/kana runs are indexed as unigrams plus bigrams; other letters and digits as
+// whole words. A query run of 2+ CJK chars looks up its bigrams, a single char
+// its unigram, which makes every query term an exact substring requirement.
+
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}々〆ー]/u;
+const WORD = /[\p{L}\p{N}_]/u;
+const FIELD_WEIGHT = { title: 3, tags: 2, body: 1 };
+const K1 = 1.2;
+const B = 0.75;
+
+function foldChar(ch) {
+  return ch.normalize("NFKC").toLowerCase().replace(/[ァ-ヶ]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0x60));
+}
+
+// Half-width (semi-)voiced sound marks, folded together with the kana before them.
+const HALF_WIDTH_MARK = /^[\uFF9E\uFF9F]$/;
+
+// Folded text plus, for every folded char, the [start, end) of the original char it came from.
+export function foldText(text) {
+  let norm = "";
+  const spans = [];
+  let i = 0;
+  const chars = Array.from(String(text ?? ""));
+  for (let k = 0; k < chars.length; k++) {
+    let ch = chars[k];
+    if (HALF_WIDTH_MARK.test(chars[k + 1] || "")) ch += chars[++k];
+    for (const c of foldChar(ch)) {
+      norm += c;
+      spans.push([i, i + ch.length]);
+    }
+    i += ch.length;
+  }
+  return { norm, spans };
+}
+
+// Splits folded text into runs: { kind: "cjk" | "word", text }.
+function runs(norm) {
+  const out = [];
+  let cur = null;
+  for (const c of norm) {
+    const kind = CJK.test(c) ? "cjk" : WORD.test(c) ? "word" : "";
+    if (cur && cur.kind === kind) { cur.text += c; continue; }
+    if (cur) out.push(cur);
+    cur = kind ? { kind, text: c } : null;
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+function docTerms(norm) {
+  const terms = new Map();
+  const add = (t) => terms.set(t, (terms.get(t) || 0) + 1);
+  for (const r of runs(norm)) {
+    if (r.kind === "word") { add(r.text); continue; }
+    const chars = Array.from(r.text);
+    chars.forEach((c, i) => {
+      add(c);
+      if (i + 1 < chars.length) add(c + chars[i + 1]);
+    });
+  }
+  return terms;
+}
+
+export function queryTerms(q) {
+  const { norm } = foldText(q);
+  const terms = new Set();
+  const needles = [];
+  for (const r of runs(norm)) {
+    needles.push(r.text);
+    if (r.kind === "word") { terms.add(r.text); continue; }
+    const chars = Array.from(r.text);
+    if (chars.length === 1) terms.add(chars[0]);
+    for (let i = 0; i + 1 < chars.length; i++) terms.add(chars[i] + chars[i + 1]);
+  }
+  return { terms: Array.from(terms), needles };
+}
+
+// A window of `text` around the first needle hit. `highlights` are [start, end) offsets
+// into the returned text; `before`/`after` say whether it was cut.
+export function snippet(text, needles, width = 120) {
+  const src = String(text ?? "");
+  const { norm, spans } = foldText(src);
+  const hits = [];
+  for (const n of needles) {
+    if (!n) continue;
+    for (let i = norm.indexOf(n); i >= 0; i = norm.indexOf(n, i + n.length)) hits.push([i, i + n.length]);
+  }
+  hits.sort((a, b) => a[0] - b[0]);
+  if (!spans.length) return { text: "", highlights: [], before: false, after: false };
+  const first = hits[0]?.[0] ?? 0;
+  const lo = Math.max(0, first - Math.floor(width / 3));
+  const hi = Math.min(spans.length, lo + width);
+  const start = spans[lo][0];
+  const end = spans[hi - 1][1];
+  const highlights = hits
+    .filter(([a, b]) => a >= lo && b <= hi)
+    .map(([a, b]) => [spans[a][0] - start, spans[b - 1][1] - start]);
+  return { text: src.slice(start, end), highlights, before: start > 0, after: end < src.length };
+}
+
+// threadSearchable(thread) and postSearchable(post) decide what the public may find;
+// tagKey(tag) is what tag filters compare.
+export function createSearchIndex(store, { threadSearchable, postSearchable, tagKey = (g) => foldText(g).norm }) {
+  const postings = new Map(); // term -> Map(docId -> tf)
+  const docs = new Map(); // docId -> { threadId, postId, field, len, authorId, createdAt, terms }
+  const byThread = new Map(); // threadId -> Set(docId)
+  const sigs = new Map(); // threadId | postId -> signature of the indexed state
+  let totalLen = 0;
+
+  function removeDoc(docId) {
+    const d = docs.get(docId);
+    if (!d) return;
+    for (const term of d.terms.keys()) {
+      const p = postings.get(term);
+      p.delete(docId);
+      if (!p.size) postings.delete(term);
+    }
+    totalLen -= d.len;
+    docs.delete(docId);
+    byThread.get(d.threadId)?.delete(docId);
+  }
+
+  function addDoc(docId, meta, text) {
+    removeDoc(docId);
+    const terms = docTerms(foldText(text).norm);
+    if (!terms.size) return;
+    let len = 0;
+    for (const [term, tf] of terms) {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(docId, tf);
+      len += tf;
+    }
+    docs.set(docId, { ...meta, len, terms });
+    totalLen += len;
+    if (!byThread.has(meta.threadId)) byThread.set(meta.threadId, new Set());
+    byThread.get(meta.threadId).add(docId);
+  }
+
+  function indexPost(p, t) {
+    const docId = `p:${p.id}`;
+    const visible = !!t && threadSearchable(t) && postSearchable(p);
+    sigs.set(p.id, JSON.stringify([visible, p.body, p.authorId]));
+    if (!visible) return removeDoc(docId);
+    addDoc(docId, { threadId: t.id, postId: p.id, field: "body", authorId: p.authorId, createdAt: p.createdAt }, p.body);
+  }
+
+  function indexThread(t) {
+    const visible = threadSearchable(t);
+    const wasVisible = JSON.parse(sigs.get(t.id) || "[null]")[0];
+    sigs.set(t.id, JSON.stringify([visible, t.title, t.tags || [], t.creatorId]));
+    const meta = { threadId: t.id, postId: "", authorId: t.creatorId, createdAt: t.createdAt };
+    if (visible) {
+      addDoc(`t:${t.id}`, { ...meta, field: "title" }, t.title);
+      addDoc(`g:${t.id}`, { ...meta, field: "tags" }, (t.tags || []).join(" "));
+    } else {
+      removeDoc(`t:${t.id}`);
+      removeDoc(`g:${t.id}`);
+    }
+    if (visible !== wasVisible) {
+      for (const p of store.posts.find("threadId", t.id)) indexPost(p, t);
+    }
+  }
+
+  function onWrite(name, id, rec) {
+    if (name === "threads") {
+      if (!rec) {
+        for (const docId of Array.from(byThread.get(id) || [])) removeDoc(docId);
+        byThread.delete(id);
+        sigs.delete(id);
+        return;
+      }
+      const t = rec;
+      if (sigs.get(t.id) !== JSON.stringify([threadSearchable(t), t.title, t.tags || [], t.creatorId])) indexThread(t);
+    } else if (name === "posts") {
+      if (!rec) {
+        removeDoc(`p:${id}`);
+        sigs.delete(id);
+        return;
+      }
+      const t = store.threads.get(rec.threadId);
+      const visible = !!t && threadSearchable(t) && postSearchable(rec);
+      if (sigs.get(rec.id) !== JSON.stringify([visible, rec.body, rec.authorId])) indexPost(rec, t);
+    }
+  }
+
+  function rebuild() {
+    postings.clear();
+    docs.clear();
+    byThread.clear();
+    sigs.clear();
+    totalLen = 0;
+    for (const t of store.threads.all()) indexThread(t);
+  }
+
+  // Every query term must occur somewhere in the thread (title, tags or a post).
+  function search({ q, tags = [], from, to, authorId, limit = 20, offset = 0 }) {
+    const { terms, needles } = queryTerms(q);
+    const fromMs = from ? Date.parse(from) : NaN;
+    const toMs = to ? Date.parse(to) : NaN;
+    const docOk = (d) => {
+      if (authorId && d.authorId !== authorId) return false;
+      const t = Date.parse(d.createdAt);
+      if (Number.isFinite(fromMs) && !(t >= fromMs)) return false;
+      if (Number.isFinite(toMs) && !(t <= toMs)) return false;
+      return true;
+    };
+    const tagSet = tags.map(tagKey);
+    const threadOk = (threadId) => {
+      if (!tagSet.length) return true;
+      const have = new Set((store.threads.get(threadId)?.tags || []).map(tagKey));
+      return tagSet.every((g) => have.has(g));
+    };
+
+    const results = new Map(); // threadId -> { score, matched: Set(term), docs: Map(docId -> score) }
+    if (terms.length) {
+      const avgLen = docs.size ? totalLen / docs.size : 1;
+      for (const term of terms) {
+        const p = postings.get(term);
+        if (!p) return { total: 0, results: [] };
+        const idf = Math.log(1 + (docs.size - p.size + 0.5) / (p.size + 0.5));
+        for (const [docId, tf] of p) {
+          const d = docs.get(docId);
+          if (!docOk(d) || !threadOk(d.threadId)) continue;
+          const s = FIELD_WEIGHT[d.field] * idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * d.len / avgLen));
+          let r = results.get(d.threadId);
+          if (!r) results.set(d.threadId, r = { score: 0, matched: new Set(), docs: new Map() });
+          r.score += s;
+          r.matched.add(term);
+          r.docs.set(docId, (r.docs.get(docId) || 0) + s);
+        }
+      }
+      for (const [threadId, r] of results) if (r.matched.size < terms.length) results.delete(threadId);
+    } else if (tagSet.length) {
+      for (const threadId of byThread.keys()) {
+        const d = docs.get(`t:${threadId}`);
+        if (d && docOk(d) && threadOk(threadId)) results.set(threadId, { score: 0, docs: new Map() });
+      }
+    }
+
+    const ranked = Array.from(results, ([threadId, r]) => ({ threadId, ...r }))
+      .sort((a, b) => (b.score - a.score) || String(store.threads.get(b.threadId)?.updatedAt || "").localeCompare(String(store.threads.get(a.threadId)?.updatedAt || "")));
+    const page = ranked.slice(offset, offset + limit).map((r) => {
+      const best = Array.from(r.docs).sort((a, b) => b[1] - a[1]).slice(0, 3);
+      const matches = best.map(([docId]) => {
+        const d = docs.get(docId);
+        const text = d.field === "body" ? store.posts.get(d.postId)?.body
+          : d.field === "title" ? store.threads.get(d.threadId)?.title
+          : (store.threads.get(d.threadId)?.tags || []).join(" ");
+        return { field: d.field, postId: d.postId, snippet: snippet(text, needles) };
+      });
+      return { threadId: r.threadId, score: Number(r.score.toFixed(4)), matches };
+    });
+    return { total: ranked.length, results: page };
+  }
+
+  return { onWrite, rebuild, search };
+}
@@ -0,0 +1,49 @@
+import fs from "fs";
+import { writeFileAtomic } from "./util.js";
+
+// Accepts both the current layout and the original db.json one, where posts
+// were embedded in their thread and verifiedUsers was an object keyed by user id.
+export function normalizeDump(raw) {
+  const out = { threads: [], posts: [] };
+  for (const [name, rows] of Object.entries(raw || {})) {
+    if (name !== "threads" && name !== "posts" && Array.isArray(rows)) out[name] = rows;
+  }
+  for (const t of (Array.isArray(raw?.threads) ? raw.threads : [])) {
+    const { posts, ...thread } = t || {};
+    out.threads.push(thread);
+    for (const p of (Array.isArray(posts) ? posts : [])) out.posts.push({ ...p, threadId: thread.id });
+  }
+  if (Array.isArray(raw?.posts)) out.posts.push(...raw.posts);
+  const vu = raw?.verifiedUsers;
+  out.verifiedUsers = Array.isArray(vu) ? vu : Object.entries(vu || {}).map(([userId, v]) => ({ ...v, userId }));
+  return out;
+}
+
+export function readDumpFile(file) {
+  return normalizeDump(JSON.parse(fs.readFileSync(file, "utf-8")));
+}
+
+export function createJsonBackend(file) {
+  let dirty = false;
+  return {
+    kind: "json",
+    file,
+    // A missing file is a new database; an unreadable one stops startup, since
+    // carrying on empty would overwrite it with the first write.
+    load() {
+      if (!fs.existsSync(file)) return normalizeDump({});
+      try {
+        return readDumpFile(file);
+      } catch (e) {
+        throw new Error(`${file}: database is unreadable (${e.message}); fix it or restore a backup before starting`);
+      }
+    },
+    write() { dirty = true; },
+    flush(store) {
+      if (!dirty) return;
+      writeFileAtomic(file, JSON.stringify(store.snapshot(), null, 2));
+      dirty = false;
+    },
+    close(store) { this.flush(store); },
+  };
+}
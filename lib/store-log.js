@@ -0,0 +1,93 @@
+import fs from "fs";
+import path from "path";
+import { fsyncDir } from "./util.js";
+
+// Append-only log: one JSON line per put ({c, k, v}) or delete ({c, k, d:1}).
+// Replayed into memory on open and compacted once it holds mostly stale entries.
+export function createLogBackend(file, { compactSlack = 1000 } = {}) {
+  let fd = null;
+  let ops = 0;
+
+  function open() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fd = fs.openSync(file, "a");
+  }
+
+  function compact(store) {
+    const tmp = file + ".tmp";
+    const lines = [];
+    for (const [name, rows] of Object.entries(store.snapshot())) {
+      const key = store[name].key;
+      for (const v of rows) lines.push(JSON.stringify({ c: name, k: String(v[key]), v }));
+    }
+    // The new log is on disk before it replaces the old one, and the rename before more is appended.
+    const out = fs.openSync(tmp, "w");
+    try {
+      fs.writeFileSync(out, lines.length ? lines.join("\n") + "\n" : "", "utf-8");
+      fs.fsyncSync(out);
+    } finally {
+      fs.closeSync(out);
+    }
+    if (fd !== null) fs.closeSync(fd);
+    fs.renameSync(tmp, file);
+    fsyncDir(path.dirname(file));
+    ops = lines.length;
+    open();
+  }
+
+  return {
+    kind: "log",
+    file,
+    compact,
+    load() {
+      const data = {};
+      const apply = (op) => {
+        ops++;
+        const rows = (data[op.c] ||= new Map());
+        if (op.d) rows.delete(op.k);
+        else rows.set(op.k, op.v);
+      };
+      const buf = fs.existsSync(file) ? fs.readFileSync(file) : Buffer.alloc(0);
+      const end = buf.lastIndexOf(0x0a) + 1;
+      buf.toString("utf-8", 0, end).split("\n").forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+          apply(JSON.parse(line));
+        } catch (e) {
+          throw new Error(`${file}:${i + 1}: ${e.message}`);
+        }
+      });
+      // Anything after the last newline is an interrupted append. Keep it if it is
+      // whole, otherwise cut it off, so the next append starts on a line of its own.
+      const tail = buf.toString("utf-8", end);
+      if (tail.trim()) {
+        let op = null;
+        try {
+          op = JSON.parse(tail);
+        } catch {}
+        if (op) {
+          apply(op);
+          fs.appendFileSync(file, "\n");
+        } else {
+          fs.truncateSync(file, end);
+        }
+      }
+      open();
+      const out = {};
+      for (const [name, rows] of Object.entries(data)) out[name] = Array.from(rows.values());
+      return out;
+    },
+    write(name, id, rec) {
+      const op = rec ? { c: name, k: id, v: rec } : { c: name, k: id, d: 1 };
+      fs.writeSync(fd, JSON.stringify(op) + "\n");
+      ops++;
+    },
+    flush(store) {
+      if (ops > store.count() * 2 + compactSlack) compact(store);
+    },
+    close() {
+      if (fd !== null) fs.closeSync(fd);
+      fd = null;
+    },
+  };
+}
@@ -0,0 +1,268 @@
+import fs from "fs";
+import path from "path";
+import { createJsonBackend, readDumpFile } from "./store-json.js";
+import { createLogBackend } from "./store-log.js";
+import { fsyncDir } from "./util.js";
+
+// Collections, their primary key and the fields kept in secondary indexes.
+export const SCHEMA = {
+  threads: { key: "id", indexes: ["creatorId"] },
+  posts: { key: "id", indexes: ["threadId", "authorId"] },
+  attachments: { key: "id", indexes: ["threadId", "postId", "requesterId", "status"] },
+  verifyRequests: { key: "id", indexes: ["userId", "status"] },
+  verifiedUsers: { key: "userId", indexes: [] },
+  users: { key: "id", indexes: ["login"] },
+  claims: { key: "legacyId", indexes: ["userId"] },
+  claimRequests: { key: "id", indexes: ["legacyId", "userId", "status"] },
+  admins: { key: "id", indexes: ["login"] },
+  adminSessions: { key: "id", indexes: ["adminId", "refreshHash"] },
+  audit: { key: "id", indexes: ["actorId", "targetId"] },
+  reports: { key: "id", indexes: ["targetId", "reporterId", "status"] },
+  revisions: { key: "id", indexes: ["targetId"] },
+  notifications: { key: "id", indexes: ["userId"] },
+  threadMutes: { key: "id", indexes: ["userId"] },
+  filterRules: { key: "id", indexes: [] },
+  tagAliases: { key: "id", indexes: [] },
+  reactions: { key: "id", indexes: ["targetId", "userId", "threadId"] },
+  bookmarks: { key: "id", indexes: ["userId", "threadId"] },
+  // { id: "schema", version } records which migrations (lib/migrations.js) have run.
+  meta: { key: "id", indexes: [] },
+};
+
+class Collection {
+  constructor(name, def, store) {
+    this.name = name;
+    this.key = def.key;
+    this.fields = def.indexes;
+    this.store = store;
+    this.rows = new Map();
+    this.indexed = new Map(); // id -> { field: value } as last indexed
+    this.indexes = new Map(this.fields.map((f) => [f, new Map()]));
+    // id -> a copy of the record as last written. Callers change the live record and
+    // then put() it, so this is what a refused put or a failed batch goes back to.
+    this.saved = new Map();
+  }
+
+  get size() { return this.rows.size; }
+  get(id) { return this.rows.get(String(id ?? "")); }
+  has(id) { return this.rows.has(String(id ?? "")); }
+  all() { return Array.from(this.rows.values()); }
+
+  // Records whose indexed `field` equals `value`, in insertion order.
+  find(field, value) {
+    const idx = this.indexes.get(field);
+    if (!idx) throw new Error(`${this.name}.${field} is not indexed`);
+    const ids = idx.get(String(value ?? ""));
+    return ids ? Array.from(ids, (id) => this.rows.get(id)) : [];
+  }
+
+  put(rec) {
+    const id = String(rec?.[this.key] ?? "");
+    if (!id) throw new Error(`${this.name}: missing ${this.key}`);
+    const problem = this.store.validator?.(this.name, rec);
+    if (problem) {
+      this.revert(id);
+      throw Object.assign(new Error(`${this.name}/${id}: ${problem}`), { code: "invalid_record" });
+    }
+    this.store.touch(this, id);
+    this.load(id, rec);
+    this.store.write(this.name, id, rec);
+    return rec;
+  }
+
+  remove(id) {
+    id = String(id ?? "");
+    if (!this.rows.has(id)) return false;
+    this.store.touch(this, id);
+    this.unindex(id);
+    this.rows.delete(id);
+    this.saved.delete(id);
+    this.store.write(this.name, id, null);
+    return true;
+  }
+
+  // Undoes in-place changes to the live record of `id` that were never written.
+  revert(id) {
+    const live = this.rows.get(id);
+    if (live) restoreInto(live, this.saved.get(id));
+  }
+
+  // Back to `saved` (an earlier copy, or undefined: the record did not exist), in memory
+  // and in the backend. Used when a batch fails.
+  reset(id, saved) {
+    const live = this.rows.get(id);
+    if (!saved) {
+      if (!live) return;
+      this.unindex(id);
+      this.rows.delete(id);
+      this.saved.delete(id);
+      this.store.write(this.name, id, null);
+      return;
+    }
+    const rec = live ? restoreInto(live, saved) : structuredClone(saved);
+    this.load(id, rec);
+    this.store.write(this.name, id, rec);
+  }
+
+  // In-memory only; used by put() and when a backend replays its contents.
+  load(id, rec) {
+    const prev = this.indexed.get(id) || {};
+    const next = {};
+    for (const f of this.fields) {
+      const v = String(rec[f] ?? "");
+      next[f] = v;
+      if (prev[f] === v) continue;
+      if (f in prev) this.dropIndex(f, prev[f], id);
+      const idx = this.indexes.get(f);
+      if (!idx.has(v)) idx.set(v, new Set());
+      idx.get(v).add(id);
+    }
+    this.indexed.set(id, next);
+    this.rows.set(id, rec);
+    this.saved.set(id, structuredClone(rec));
+  }
+
+  unindex(id) {
+    const prev = this.indexed.get(id) || {};
+    for (const [f, v] of Object.entries(prev)) this.dropIndex(f, v, id);
+    this.indexed.delete(id);
+  }
+
+  dropIndex(field, value, id) {
+    const idx = this.indexes.get(field);
+    const ids = idx.get(value);
+    if (!ids) return;
+    ids.delete(id);
+    if (!ids.size) idx.delete(value);
+  }
+}
+
+// Makes `target` a copy of `source` again, keeping the object (others may hold it).
+function restoreInto(target, source) {
+  for (const k of Object.keys(target)) delete target[k];
+  return Object.assign(target, structuredClone(source));
+}
+
+class Store {
+  constructor(backend) {
+    this.backend = backend;
+    this.depth = 0;
+    // While a batch runs: "collection/id" -> { col, id, saved } as they were before it.
+    this.journal = null;
+    this.listeners = [];
+    // validator(collection, record) -> "" or a problem; checked on every put once set.
+    this.validator = null;
+    for (const [name, def] of Object.entries(SCHEMA)) this[name] = new Collection(name, def, this);
+    const data = backend.load();
+    for (const name of Object.keys(SCHEMA)) {
+      const col = this[name];
+      for (const rec of data[name] || []) {
+        const id = String(rec?.[col.key] ?? "");
+        if (!id) throw new Error(`${backend.file}: a ${name} record has no ${col.key}: ${JSON.stringify(rec).slice(0, 200)}`);
+        col.load(id, rec);
+      }
+    }
+  }
+
+  write(name, id, rec) {
+    this.backend.write(name, id, rec);
+    if (!this.depth) this.backend.flush(this);
+    for (const fn of this.listeners) fn(name, id, rec);
+  }
+
+  // fn(collection, id, record) after every put; record is null for a remove.
+  subscribe(fn) {
+    this.listeners.push(fn);
+    return () => { this.listeners = this.listeners.filter((f) => f !== fn); };
+  }
+
+  // Group several writes into one flush (the JSON backend rewrites the whole file per
+  // flush). If fn throws, every record the batch wrote or removed is put back as it was.
+  batch(fn) {
+    const outer = this.depth++ === 0;
+    if (outer) this.journal = new Map();
+    try {
+      return fn(this);
+    } catch (e) {
+      if (outer) this.rollback();
+      throw e;
+    } finally {
+      if (--this.depth === 0) {
+        this.journal = null;
+        this.backend.flush(this);
+      }
+    }
+  }
+
+  // Remembers how a record was before the running batch first changed it.
+  touch(col, id) {
+    const k = `${col.name}/${id}`;
+    if (this.journal && !this.journal.has(k)) this.journal.set(k, { col, id, saved: col.saved.get(id) });
+  }
+
+  rollback() {
+    const changed = Array.from(this.journal.values()).reverse();
+    this.journal = null;
+    for (const { col, id, saved } of changed) col.reset(id, saved);
+  }
+
+  // Runs fn with put() validation off, for loading data that has not been migrated yet.
+  unchecked(fn) {
+    const validator = this.validator;
+    this.validator = null;
+    try {
+      return fn(this);
+    } finally {
+      this.validator = validator;
+    }
+  }
+
+  snapshot() {
+    const out = {};
+    for (const name of Object.keys(SCHEMA)) out[name] = this[name].all();
+    return out;
+  }
+
+  count() {
+    let n = 0;
+    for (const name of Object.keys(SCHEMA)) n += this[name].size;
+    return n;
+  }
+
+  close() { this.backend.close?.(this); }
+}
+
+export function createBackend(kind, file) {
+  if (kind === "json") return createJsonBackend(file);
+  if (kind === "log") return createLogBackend(file);
+  throw new Error(`unknown store backend: ${kind}`);
+}
+
+// Reads like `backend` but never writes (dry runs).
+function readOnly(backend) {
+  return { ...backend, write() {}, flush() {}, close() {} };
+}
+
+export function openStore({ backend, file, readOnly: dry = false }) {
+  const b = typeof backend === "string" ? createBackend(backend, file) : backend;
+  return new Store(dry ? readOnly(b) : b);
+}
+
+// Copies a db.json dump into a new `backend` store at `file`; returns the record count
+// per collection. The copy is built beside the target and renamed into place, so an
+// interrupted copy leaves no half-written store behind.
+export function copyDump(from, { backend, file }) {
+  const tmp = `${file}.copy`;
+  fs.rmSync(tmp, { force: true });
+  const dump = readDumpFile(from);
+  const store = openStore({ backend, file: tmp });
+  store.batch(() => {
+    for (const name of Object.keys(SCHEMA)) {
+      for (const rec of dump[name] || []) store[name].put(rec);
+    }
+  });
+  store.close();
+  fs.renameSync(tmp, file);
+  fsyncDir(path.dirname(file));
+  return Object.fromEntries(Object.keys(SCHEMA).map((name) => [name, store[name].size]));
+}
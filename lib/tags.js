@@ -0,0 +1,109 @@
+import { nowISO } from "./util.js";
+import { foldText } from "./search.js";
+
+// Tags are compared by key: folded like search text (NFKC, case, katakana -> hiragana)
+// with whitespace squashed, so "ＪＳ", "js" and "Js" are one tag. An admin alias maps
+// another key onto a canonical tag ("javascript" -> "JavaScript").
+export const TREND_WINDOWS = { day: ["pvDay", "likeDay"], week: ["pvWeek", "likeWeek"], month: ["pvMonth", "likeMonth"] };
+const LIKE_WEIGHT = 5;
+
+export function tagKey(tag) {
+  return foldText(String(tag ?? "").replace(/\s+/g, " ").trim()).norm;
+}
+
+// listed(thread) decides which threads count; stats(threadId) returns counters.pv + counters.likes.
+export function createTagDirectory(store, { listed, stats }) {
+  const canonical = (tag) => {
+    const key = tagKey(tag);
+    return store.tagAliases.get(key)?.targetKey || key;
+  };
+
+  // key -> { key, tag, threads: [thread], aliases }. The display name is the alias
+  // target when one exists, else the most used spelling.
+  function collect() {
+    const out = new Map();
+    const spellings = new Map(); // key -> Map(spelling -> count)
+    for (const t of store.threads.all()) {
+      if (!listed(t)) continue;
+      const seen = new Set();
+      for (const tag of t.tags || []) {
+        const key = canonical(tag);
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+        if (!out.has(key)) out.set(key, { key, tag, threads: [], aliases: [] });
+        out.get(key).threads.push(t);
+        if (!spellings.has(key)) spellings.set(key, new Map());
+        const s = spellings.get(key);
+        s.set(tag, (s.get(tag) || 0) + 1);
+      }
+    }
+    for (const [key, s] of spellings) out.get(key).tag = Array.from(s).sort((a, b) => b[1] - a[1])[0][0];
+    for (const a of store.tagAliases.all()) {
+      const entry = out.get(a.targetKey);
+      if (!entry) continue;
+      entry.tag = a.target;
+      entry.aliases.push(a.alias);
+    }
+    return out;
+  }
+
+  return {
+    canonical,
+
+    // Whether the thread carries every tag in `tags`.
+    hasTags(t, tags) {
+      const have = new Set((t.tags || []).map(canonical));
+      return tags.every((g) => have.has(canonical(g)));
+    },
+
+    // [{ tag, key, threads, aliases }], most used first; `q` matches keys by prefix.
+    directory({ q = "" } = {}) {
+      const prefix = tagKey(q);
+      return Array.from(collect().values())
+        .filter((e) => !prefix || e.key.startsWith(prefix) || e.aliases.some((a) => tagKey(a).startsWith(prefix)))
+        .map((e) => ({ tag: e.tag, key: e.key, threads: e.threads.length, aliases: e.aliases }))
+        .sort((a, b) => (b.threads - a.threads) || a.key.localeCompare(b.key));
+    },
+
+    // Tags ranked by the PV and likes of their threads in the day/week/month window.
+    trending(window) {
+      const [pvField, likeField] = TREND_WINDOWS[window];
+      const out = [];
+      for (const e of collect().values()) {
+        let pv = 0;
+        let likes = 0;
+        for (const t of e.threads) {
+          const s = stats(t.id);
+          pv += s[pvField] || 0;
+          likes += s[likeField] || 0;
+        }
+        const score = pv + likes * LIKE_WEIGHT;
+        if (score > 0) out.push({ tag: e.tag, key: e.key, score, pv, likes, threads: e.threads.length });
+      }
+      return out.sort((a, b) => (b.score - a.score) || (b.threads - a.threads) || a.key.localeCompare(b.key));
+    },
+
+    aliases: () => store.tagAliases.all().sort((a, b) => a.targetKey.localeCompare(b.targetKey) || a.id.localeCompare(b.id)),
+
+    // Points `alias` at `target` (resolved through existing aliases). Aliases that pointed
+    // at `alias` itself follow it to the new target. Returns { error } or { alias }.
+    setAlias(alias, target, adminId) {
+      const key = tagKey(alias);
+      const targetKey = canonical(target);
+      if (!key || !targetKey) return { error: "bad_tag" };
+      if (key === targetKey) return { error: "same_tag" };
+      const via = store.tagAliases.get(tagKey(target));
+      const rec = { id: key, alias, target: via ? via.target : target, targetKey, createdAt: nowISO(), createdBy: adminId };
+      store.batch(() => {
+        store.tagAliases.put(rec);
+        for (const a of store.tagAliases.all()) {
+          if (a.targetKey !== key) continue;
+          a.targetKey = targetKey;
+          a.target = rec.target;
+          store.tagAliases.put(a);
+        }
+      });
+      return { alias: rec };
+    },
+  };
+}
@@ -0,0 +1,8 @@
+import { parentPort } from "worker_threads";
+import { makeThumbnails } from "./media.js";
+
+// The thread behind createThumbnailer() (lib/media.js).
+parentPort.on("message", ({ id, buf, type }) => {
+  const thumbs = makeThumbnails(Buffer.from(buf.buffer, buf.byteOffset, buf.byteLength), type);
+  parentPort.postMessage({ id, thumbs });
+});
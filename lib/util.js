@@ -0,0 +1,55 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+export function uid(prefix) { return prefix + crypto.randomBytes(10).toString("hex"); }
+export function nowISO() { return new Date().toISOString(); }
+
+// Writes to a temp file, syncs it and renames it over `file`, so readers and crashes
+// only ever see the old or the new contents. `mode` sets the file's permissions.
+export function writeFileAtomic(file, data, { mode } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, "w");
+  try {
+    if (mode !== undefined) fs.fchmodSync(fd, mode);
+    fs.writeFileSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+  fsyncDir(path.dirname(file));
+}
+
+// Makes a rename inside `dir` survive a crash. Some platforms cannot open a directory;
+// there is nothing more to do on those.
+export function fsyncDir(dir) {
+  let fd = null;
+  try {
+    fd = fs.openSync(dir, "r");
+    fs.fsyncSync(fd);
+  } catch {
+    // not supported here
+  } finally {
+    if (fd !== null) fs.closeSync(fd);
+  }
+}
+
+export function sanitizeText(s, maxLen) {
+  const t = String(s ?? "").replace(/\r/g, "");
+  return t.length > maxLen ? t.slice(0, maxLen) : t;
+}
+
+// The JSON object in environment variable `name` (raw value `raw`); unset or empty is {}.
+export function parseJsonEnv(name, raw) {
+  if (!raw) return {};
+  let v;
+  try {
+    v = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`${name} is not valid JSON (${e.message})`);
+  }
+  if (!v || typeof v !== "object" || Array.isArray(v)) throw new Error(`${name} must be a JSON object`);
+  return v;
+}
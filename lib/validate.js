@@ -0,0 +1,66 @@
+// Record shapes checked when the store loads (after migrations) and on every put.
+// Only the fields the server relies on are described; anything else is left alone.
+
+// Each check returns "" when the value is fine, else what is wrong with it.
+const id = (v) => (typeof v === "string" && v ? "" : "must be a non-empty string");
+const string = (v) => (typeof v === "string" ? "" : "must be a string");
+const bool = (v) => (typeof v === "boolean" ? "" : "must be true or false");
+const time = (v) => (typeof v === "string" && Number.isFinite(Date.parse(v)) ? "" : "must be an ISO timestamp");
+const count = (v) => (Number.isInteger(v) && v >= 0 ? "" : "must be a non-negative integer");
+const positive = (v) => (Number.isInteger(v) && v > 0 ? "" : "must be a positive integer");
+const positives = (v) => (Array.isArray(v) && v.every((n) => !positive(n)) ? "" : "must be a list of positive integers");
+const strings = (v) => (Array.isArray(v) && v.every((s) => typeof s === "string") ? "" : "must be a list of strings");
+const oneOf = (...values) => (v) => (values.includes(v) ? "" : `must be one of ${values.join(", ")}`);
+const optional = (check) => (v) => (v === undefined ? "" : check(v));
+// "" for "not yet" (reviewedAt and the like), else a timestamp.
+const maybeTime = (v) => (v === "" ? "" : time(v));
+const file = (v) => {
+  if (!v || typeof v !== "object" || Array.isArray(v)) return "must be an object";
+  if (v.dataUrl !== undefined) return "still carries an inline dataUrl";
+  if (id(v.sha256)) return `sha256 ${id(v.sha256)}`;
+  return string(v.type) && `type ${string(v.type)}`;
+};
+
+const REVIEW_STATUS = ["pending", "approved", "rejected", "withdrawn"];
+
+export const SHAPES = {
+  threads: {
+    id, title: string, creatorId: id, createdAt: time, updatedAt: time, tags: strings, postSeq: count, hidden: bool,
+    visibility: optional(oneOf("public", "unlisted", "private")), locked: optional(bool), deletedAt: optional(maybeTime),
+  },
+  posts: {
+    id, threadId: id, no: positive, authorId: id, body: string, createdAt: time, updatedAt: time,
+    replyTo: optional(positive), anchors: optional(positives), hidden: optional(bool), deletedAt: optional(maybeTime),
+  },
+  attachments: {
+    id, threadId: id, postId: id, requesterId: id, status: oneOf(...REVIEW_STATUS), createdAt: time, reviewedAt: maybeTime, note: string, file,
+  },
+  verifyRequests: {
+    id, userId: id, status: oneOf(...REVIEW_STATUS, "revoked"), createdAt: time, reviewedAt: maybeTime, note: string, file,
+  },
+};
+
+// "" when `rec` fits the shape of collection `name` (or the collection has none), else the first problem.
+export function validateRecord(name, rec) {
+  const shape = SHAPES[name];
+  if (!shape) return "";
+  if (!rec || typeof rec !== "object" || Array.isArray(rec)) return "must be an object";
+  for (const [field, check] of Object.entries(shape)) {
+    const problem = check(rec[field]);
+    if (problem) return `${field} ${problem}`;
+  }
+  return "";
+}
+
+// [{ collection, id, problem }] for every stored record that does not fit its shape.
+export function findInvalid(store) {
+  const out = [];
+  for (const name of Object.keys(SHAPES)) {
+    const col = store[name];
+    for (const rec of col.all()) {
+      const problem = validateRecord(name, rec);
+      if (problem) out.push({ collection: name, id: String(rec[col.key]), problem });
+    }
+  }
+  return out;
+}
@@ -0,0 +1,29 @@
+// One-shot copy of a db.json file into another store backend.
+//   node scripts/migrate-db.js [--from db.json] [--to db.log] [--backend log] [--force]
+import fs from "fs";
+import path from "path";
+import { copyDump } from "../lib/store.js";
+
+function arg(name, def) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i >= 0 ? process.argv[i + 1] : def;
+}
+
+const from = path.resolve(arg("from", "db.json"));
+const to = path.resolve(arg("to", "db.log"));
+const backend = arg("backend", "log");
+const force = process.argv.includes("--force");
+
+if (!fs.existsSync(from)) {
+  console.error(`source not found: ${from}`);
+  process.exit(1);
+}
+if (fs.existsSync(to) && !force) {
+  console.error(`target exists: ${to} (use --force to overwrite)`);
+  process.exit(1);
+}
+if (force) fs.rmSync(to, { force: true });
+
+const counts = copyDump(from, { backend, file: to });
+for (const [name, n] of Object.entries(counts)) console.log(`${name}: ${n}`);
+console.log(`migrated ${from} -> ${to}`);
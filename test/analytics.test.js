@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openStore } from "../lib/store.js";
+import { createCounters } from "../lib/counters.js";
+import { createCalendar } from "../lib/calendar.js";
+import { createReactions } from "../lib/reactions.js";
+import { createAnalytics, toCsv, SERIES_DAYS } from "../lib/analytics.js";
+
+const DAY_MS = 24*60*60*1000;
+// Noon UTC `n` days ago.
+const daysAgo = (n) => new Date(Date.parse(new Date().toISOString().slice(0, 10) + "T12:00:00Z") - n * DAY_MS).toISOString();
+const isPublicPost = (p) => !p.hidden && !p.deletedAt;
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "diary-analytics-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = openStore({ backend: { file: "memory", load: () => ({}), write() {}, flush() {} } });
+  const calendar = createCalendar({ timeZone: "UTC" });
+  const counters = createCounters({ file: path.join(dir, "counters.json"), calendar });
+  const analytics = createAnalytics(store, { counters, calendar, postVisible: isPublicPost });
+
+  const post = (id, no, at, extra = {}) => ({ id, threadId: "T1", no, authorId: no === 1 ? "U1" : "U2", body: "", createdAt: at, updatedAt: at, ...extra });
+  store.threads.put({ id: "T1", title: "t", creatorId: "U1", createdAt: daysAgo(5), updatedAt: daysAgo(5), tags: [], postSeq: 4, hidden: false });
+  store.posts.put(post("P1", 1, daysAgo(5)));
+  store.posts.put(post("P2", 2, daysAgo(3)));
+  store.posts.put(post("P3", 3, daysAgo(2), { hidden: true, hiddenBy: "filter", heldAt: daysAgo(2) }));
+  store.posts.put(post("P4", 4, daysAgo(1), { deletedAt: daysAgo(1) }));
+  createReactions(store).set("U3", { targetType: "thread", targetId: "T1", threadId: "T1" }, "like", true, daysAgo(1));
+  counters.view("T1", "U3", "U1");
+  counters.view("T1", "U1", "U1");
+  return { store, analytics };
+}
+
+test("thread stats count visible replies, likes and views per day", (t) => {
+  const { store, analytics } = setup(t);
+  const stats = analytics.thread(store.threads.get("T1"));
+  assert.equal(stats.daily.length, SERIES_DAYS);
+  assert.deepEqual(stats.totals, { pv: 1, likes: 1, replies: 1, uniqueViewers: 1 });
+  const day = (n) => stats.daily.find((r) => r.date === daysAgo(n).slice(0, 10));
+  assert.deepEqual(day(3), { date: daysAgo(3).slice(0, 10), pv: 0, likes: 0, replies: 1 });
+  assert.equal(day(2).replies, 0);
+  assert.equal(day(1).likes, 1);
+  assert.equal(day(0).pv, 1);
+  assert.equal(stats.daily.at(-1).date, daysAgo(0).slice(0, 10));
+});
+
+test("site stats count posts by the same rule as thread stats", (t) => {
+  const { store, analytics } = setup(t);
+  const site = analytics.site();
+  assert.deepEqual(site.totals, { users: 0, threads: 1, posts: 2 });
+  const sum = (field) => site.daily.reduce((n, r) => n + r[field], 0);
+  assert.equal(sum("posts"), 2);
+  // replies in the thread stats are these posts minus the opening one
+  assert.equal(analytics.thread(store.threads.get("T1")).totals.replies, site.totals.posts - 1);
+  // hidden and deleted posts still show their author was active
+  assert.equal(site.daily.find((r) => r.date === daysAgo(2).slice(0, 10)).activeUsers, 1);
+  assert.deepEqual(site.queue.heldPosts, { count: 1, oldestAt: daysAgo(2) });
+  assert.deepEqual(site.queue.heldTitles, { count: 0, oldestAt: "" });
+});
+
+test("toCsv quotes what needs quoting", () => {
+  const csv = toCsv([{ date: "2026-01-01", note: 'a "b", c' }, { date: "2026-01-02", note: "x\ny" }], ["date", "note"]);
+  assert.equal(csv, 'date,note\r\n2026-01-01,"a ""b"", c"\r\n2026-01-02,"x\ny"\r\n');
+});
@@ -0,0 +1,133 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openStore } from "../lib/store.js";
+import { createBlobStore } from "../lib/blobs.js";
+import { createCounters } from "../lib/counters.js";
+import { buildArchive, parseArchive, applyArchive, restoreMedia, createSnapshots } from "../lib/archive.js";
+import { SCHEMA_VERSION, setSchemaVersion } from "../lib/migrations.js";
+
+const thread = (id, title = "t") => ({
+  id, title, creatorId: "U1", createdAt: "2026-01-01T00:00:00.000Z", updatedAt: "2026-01-01T00:00:00.000Z", tags: [], postSeq: 0, hidden: false,
+});
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "diary-archive-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const open = (name) => openStore({ backend: "json", file: path.join(dir, `${name}.json`) });
+  const counters = createCounters({ file: path.join(dir, "counters.json") });
+  return { dir, open, counters };
+}
+
+function seed(store) {
+  store.batch(() => {
+    store.threads.put(thread("T1"));
+    store.users.put({ id: "U1", name: "alice", login: "alice", passwordHash: "scrypt$secret", createdAt: "2026-01-01T00:00:00.000Z" });
+    store.admins.put({ id: "M1", name: "admin", login: "admin", passwordHash: "scrypt$admin", roles: ["owner"], disabled: false, createdAt: "2026-01-01T00:00:00.000Z" });
+    store.adminSessions.put({ id: "S1", adminId: "M1" });
+    setSchemaVersion(store, SCHEMA_VERSION);
+  });
+}
+
+test("an archive round-trips into an empty store", (t) => {
+  const { open, counters } = setup(t);
+  const source = open("source");
+  seed(source);
+  counters.view("T1", "U2", "U1");
+  const raw = JSON.parse(JSON.stringify(buildArchive(source, counters, { credentials: true })));
+
+  const archive = parseArchive(raw);
+  assert.equal(archive.error, undefined);
+  assert.equal(archive.schema, SCHEMA_VERSION);
+  assert.equal(archive.counters.threads.T1.pv.total, 1);
+  const target = open("target");
+  const stats = applyArchive(target, archive.collections);
+  assert.equal(stats.threads.added, 1);
+  assert.deepEqual(target.threads.get("T1"), source.threads.get("T1"));
+  assert.equal(target.users.get("U1").passwordHash, "scrypt$secret");
+  // sessions belong to the server that issued them
+  assert.equal(target.adminSessions.size, 0);
+});
+
+test("password hashes stay out unless asked for, and an import keeps the stored ones", (t) => {
+  const { open, counters } = setup(t);
+  const store = open("db");
+  seed(store);
+  const archive = buildArchive(store, counters);
+  assert.equal(archive.credentials, false);
+  assert.equal(JSON.stringify(archive).includes("passwordHash"), false);
+
+  const parsed = parseArchive(JSON.parse(JSON.stringify(archive)));
+  parsed.collections.threads[0].title = "from the archive";
+  applyArchive(store, parsed.collections, { replace: true });
+  assert.equal(store.threads.get("T1").title, "from the archive");
+  assert.equal(store.users.get("U1").passwordHash, "scrypt$secret");
+  assert.equal(store.admins.get("M1").passwordHash, "scrypt$admin");
+});
+
+test("merge keeps existing records, replace makes the store match", (t) => {
+  const { open } = setup(t);
+  const store = open("db");
+  seed(store);
+  const collections = { threads: [thread("T1", "changed"), thread("T2")] };
+
+  const merged = applyArchive(store, collections);
+  assert.deepEqual(merged.threads, { added: 1, replaced: 0, removed: 0, kept: 1 });
+  assert.equal(store.threads.get("T1").title, "t");
+
+  const replaced = applyArchive(store, { threads: [thread("T2")] }, { replace: true });
+  assert.equal(replaced.threads.removed, 1);
+  assert.deepEqual(store.threads.all().map((r) => r.id), ["T2"]);
+  assert.equal(store.users.size, 0);
+});
+
+test("replace leaves the audit log alone except to add entries", (t) => {
+  const { open } = setup(t);
+  const store = open("db");
+  const entry = (id, action) => ({ id, at: "2026-01-01T00:00:00.000Z", actorId: "M1", actorName: "admin", action, targetType: "thread", targetId: "T1", reason: "", before: null, after: null });
+  store.audit.put(entry("L1", "thread.hide"));
+  const stats = applyArchive(store, { threads: [], audit: [entry("L1", "rewritten"), entry("L2", "thread.unhide")] }, { replace: true });
+  assert.deepEqual(stats.audit, { added: 1, replaced: 0, removed: 0, kept: 1 });
+  assert.deepEqual(store.audit.all().map((e) => [e.id, e.action]), [["L1", "thread.hide"], ["L2", "thread.unhide"]]);
+  applyArchive(store, { audit: [] }, { replace: true });
+  assert.equal(store.audit.size, 2);
+});
+
+test("snapshot files are readable by their owner only", (t) => {
+  const { dir, open, counters } = setup(t);
+  const snapshots = createSnapshots({ dir: path.join(dir, "backups"), keep: 2 });
+  const store = open("db");
+  seed(store);
+  const names = ["a", "b", "c"].map((label) => snapshots.take(buildArchive(store, counters), label));
+  assert.deepEqual(snapshots.list().map((s) => s.name).sort(), names.slice(1).sort());
+  for (const name of names.slice(1)) assert.equal(fs.statSync(path.join(dir, "backups", name)).mode & 0o777, 0o600);
+  assert.equal(snapshots.read(names[2]).credentials, false);
+  assert.equal(snapshots.read("../db.json"), null);
+});
+
+test("parseArchive refuses what it cannot load", () => {
+  assert.equal(parseArchive(null).error, "bad_archive");
+  assert.equal(parseArchive({ format: "other" }).error, "bad_archive");
+  assert.equal(parseArchive({ format: "diary-archive", version: 99 }).error, "unsupported_version");
+  assert.equal(parseArchive({ format: "diary-archive", version: 1, collections: { adminSessions: [] } }).error, "bad_collection");
+  assert.equal(parseArchive({ format: "diary-archive", version: 1, collections: { threads: [{ title: "no id" }] } }).error, "bad_record");
+  const newer = { format: "diary-archive", version: 1, collections: { meta: [{ id: "schema", version: SCHEMA_VERSION + 1 }] } };
+  assert.equal(parseArchive(newer).error, "unsupported_schema");
+  // a plain db.json dump is version 0
+  const dump = parseArchive({ threads: [{ id: "T1", posts: [{ id: "P1" }] }] });
+  assert.equal(dump.version, 0);
+  assert.equal(dump.collections.posts[0].threadId, "T1");
+});
+
+test("restoreMedia stores only files that match their hash", (t) => {
+  const { dir } = setup(t);
+  const blobs = createBlobStore(path.join(dir, "blobs"));
+  const good = Buffer.from("picture");
+  const hash = crypto.createHash("sha256").update(good).digest("hex");
+  const out = restoreMedia(blobs, { [hash]: good.toString("base64"), ["0".repeat(64)]: good.toString("base64") });
+  assert.deepEqual(out, { stored: 1, bad: 1 });
+  assert.ok(blobs.has(hash));
+});
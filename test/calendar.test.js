@@ -0,0 +1,44 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { addDays, createCalendar, parseWeekStart } from "../lib/calendar.js";
+
+const at = (iso) => Date.parse(iso);
+
+test("day keys change at local midnight on both sides of a DST switch", () => {
+  const cal = createCalendar({ timeZone: "America/New_York", weekStart: 1 });
+  // 2026-03-08 is 23 hours long there (05:00Z-04:00Z), 2026-11-01 is 25 (04:00Z-05:00Z)
+  assert.equal(cal.dayKey(at("2026-03-08T04:59:00Z")), "2026-03-07");
+  assert.equal(cal.dayKey(at("2026-03-08T05:00:00Z")), "2026-03-08");
+  assert.equal(cal.dayKey(at("2026-03-09T03:59:00Z")), "2026-03-08");
+  assert.equal(cal.dayKey(at("2026-03-09T04:00:00Z")), "2026-03-09");
+  assert.equal(cal.dayKey(at("2026-11-01T03:59:00Z")), "2026-10-31");
+  assert.equal(cal.dayKey(at("2026-11-01T04:00:00Z")), "2026-11-01");
+  assert.equal(cal.dayKey(at("2026-11-02T04:59:00Z")), "2026-11-01");
+  assert.equal(cal.dayKey(at("2026-11-02T05:00:00Z")), "2026-11-02");
+  assert.equal(cal.monthKey(at("2026-11-01T03:59:00Z")), "2026-10");
+});
+
+test("weeks start on the configured weekday in local time", () => {
+  const monday = createCalendar({ timeZone: "America/New_York", weekStart: 1 });
+  const sunday = createCalendar({ timeZone: "America/New_York", weekStart: parseWeekStart("sunday") });
+  assert.equal(monday.weekOf("2026-03-08"), "2026-03-02");
+  assert.equal(sunday.weekOf("2026-03-08"), "2026-03-08");
+  assert.equal(monday.weekKey(at("2026-03-09T03:30:00Z")), "2026-03-02");
+  assert.equal(monday.weekKey(at("2026-03-09T04:30:00Z")), "2026-03-09");
+  assert.equal(sunday.weekKey(at("2026-11-01T03:30:00Z")), "2026-10-25");
+  assert.equal(sunday.weekKey(at("2026-11-01T04:30:00Z")), "2026-11-01");
+});
+
+test("addDays counts calendar days whatever the day length", () => {
+  assert.equal(addDays("2026-03-07", 1), "2026-03-08");
+  assert.equal(addDays("2026-03-08", 1), "2026-03-09");
+  assert.equal(addDays("2026-11-02", -2), "2026-10-31");
+  assert.equal(addDays("2026-12-31", 1), "2027-01-01");
+});
+
+test("bad zones and week starts are refused", () => {
+  assert.throws(() => createCalendar({ timeZone: "Mars/Olympus" }), /unknown time zone: Mars\/Olympus/);
+  assert.equal(parseWeekStart("6"), 6);
+  assert.equal(parseWeekStart(" Monday "), 1);
+  assert.throws(() => parseWeekStart("7"), /bad week start: 7 \(use 0-6 or a weekday name\)/);
+});
@@ -0,0 +1,111 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { openStore } from "../lib/store.js";
+import { createContentFilter, parseRule } from "../lib/content-filter.js";
+
+const MIN_MS = 60*1000;
+
+function setup() {
+  const store = openStore({ backend: { file: "memory", load: () => ({}), write() {}, flush() {} } });
+  return { store, filter: createContentFilter(store) };
+}
+
+test("rule drafts are checked and filled in with defaults", () => {
+  assert.deepEqual(parseRule({ kind: "word", action: "hold", pattern: "spam" }).rule, { kind: "word", action: "hold", fields: ["title", "body", "tags"], enabled: true, note: "", pattern: "spam" });
+  assert.deepEqual(parseRule({ kind: "duplicate", action: "reject" }).rule.fields, ["body"]);
+  assert.equal(parseRule({ kind: "duplicate", action: "reject" }).rule.windowMinutes, 1440);
+  assert.equal(parseRule({ kind: "links", action: "hold" }).rule.max, 2);
+  assert.equal(parseRule({ kind: "regex", action: "hold", pattern: "a", flags: "gimy" }).rule.flags, "im");
+  assert.equal(parseRule({ kind: "regex", action: "hold", pattern: "a" }).rule.flags, "i");
+  // update drafts start from the stored rule
+  assert.equal(parseRule({ max: 5 }, { kind: "links", action: "hold", max: 1 }).rule.max, 5);
+
+  const errors = [
+    [{ kind: "nope", action: "hold" }, "bad_kind"],
+    [{ kind: "word", action: "ban" }, "bad_action"],
+    [{ kind: "word", action: "hold", pattern: "x", fields: ["author"] }, "bad_fields"],
+    [{ kind: "word", action: "tag", pattern: "x", tag: "  " }, "bad_tag"],
+    [{ kind: "word", action: "hold", pattern: "   " }, "bad_pattern"],
+    [{ kind: "regex", action: "hold", pattern: "(" }, "bad_pattern"],
+    [{ kind: "links", action: "hold", max: -1 }, "bad_limit"],
+    [{ kind: "links", action: "hold", max: "two" }, "bad_limit"],
+    [{ kind: "length", action: "hold" }, "bad_limit"],
+    [{ kind: "length", action: "hold", min: 1.5 }, "bad_limit"],
+    [{ kind: "duplicate", action: "hold", windowMinutes: 0 }, "bad_limit"],
+  ];
+  for (const [draft, error] of errors) assert.deepEqual(parseRule(draft), { error }, JSON.stringify(draft));
+});
+
+test("word rules match folded text and regex rules the raw text", () => {
+  const { filter } = setup();
+  filter.create({ kind: "word", action: "hold", pattern: "スパム" }, "A1");
+  filter.create({ kind: "regex", action: "reject", pattern: "^buy\\b", fields: ["title"] }, "A1");
+  assert.equal(filter.check({ body: "ｽﾊﾟﾑ here" }).action, "hold");
+  assert.equal(filter.check({ body: "すぱむ here" }).action, "hold");
+  assert.equal(filter.check({ body: "SPAM" }).action, "allow");
+  assert.equal(filter.check({ title: "BUY now", body: "すぱむ" }).action, "reject");
+  assert.equal(filter.check({ title: "please buy", body: "" }).action, "allow");
+  // a field the content does not carry is not looked at
+  assert.equal(filter.check({ body: "buy now" }).action, "allow");
+});
+
+test("link counts, lengths and tags are checked per field, and tags are added once", () => {
+  const { filter } = setup();
+  filter.create({ kind: "links", action: "tag", tag: "links", max: 1 }, "A1");
+  filter.create({ kind: "length", action: "hold", min: 2, max: 10, fields: ["body"] }, "A1");
+  filter.create({ kind: "word", action: "tag", tag: "links", pattern: "example" }, "A1");
+  filter.create({ kind: "word", action: "reject", pattern: "nsfw", fields: ["tags"], enabled: false }, "A1");
+  filter.create({ kind: "word", action: "hold", pattern: "banned", fields: ["tags"] }, "A1");
+
+  const v = filter.check({ title: "see https://example.com and www.example.org", body: "ok" });
+  assert.deepEqual(v.tags, ["links"]);
+  assert.equal(v.action, "allow");
+  assert.deepEqual(v.matches.map((m) => [m.kind, m.field, m.detail]), [["links", "title", "2 links"], ["word", "title", "example"]]);
+
+  assert.equal(filter.check({ body: "x" }).action, "hold");
+  assert.equal(filter.check({ body: "日本語の本文です" }).action, "allow");
+  assert.equal(filter.check({ body: "日本語の本文ですよ、長い" }).matches[0].detail, "12 chars");
+  assert.equal(filter.check({ tags: ["diary", "BANNED"] }).action, "hold");
+  assert.equal(filter.check({ tags: ["nsfw"] }).action, "allow");
+});
+
+test("the strictest action wins and rules passed in replace the stored ones", () => {
+  const { filter } = setup();
+  filter.create({ kind: "word", action: "reject", pattern: "a" }, "A1");
+  filter.create({ kind: "word", action: "hold", pattern: "a" }, "A1");
+  assert.equal(filter.check({ body: "a" }).action, "reject");
+  assert.equal(filter.check({ body: "a" }, { rules: [parseRule({ kind: "word", action: "hold", pattern: "a" }).rule] }).action, "hold");
+  assert.equal(filter.check({ body: "a" }, { rules: [] }).action, "allow");
+});
+
+test("duplicates are the author's live posts with the same body inside the window", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-05-01T12:00:00Z") });
+  const { store, filter } = setup();
+  filter.create({ kind: "duplicate", action: "reject", windowMinutes: 60 }, "A1");
+  const ago = (min) => new Date(Date.now() - min * MIN_MS).toISOString();
+  store.posts.put({ id: "P1", threadId: "T1", no: 1, authorId: "U1", body: "hello  there\n", createdAt: ago(30), updatedAt: ago(30) });
+  store.posts.put({ id: "P2", threadId: "T1", no: 2, authorId: "U1", body: "old", createdAt: ago(90), updatedAt: ago(90) });
+  store.posts.put({ id: "P3", threadId: "T1", no: 3, authorId: "U1", body: "gone", createdAt: ago(5), updatedAt: ago(5), deletedAt: ago(1) });
+
+  assert.deepEqual(filter.check({ body: "hello there" }, { authorId: "U1" }).matches.map((m) => m.detail), ["P1"]);
+  assert.equal(filter.check({ body: "hello there" }, { authorId: "U2" }).action, "allow");
+  assert.equal(filter.check({ body: "hello there" }, { authorId: "U1", excludePostId: "P1" }).action, "allow");
+  assert.equal(filter.check({ body: "old" }, { authorId: "U1" }).action, "allow");
+  assert.equal(filter.check({ body: "gone" }, { authorId: "U1" }).action, "allow");
+  assert.equal(filter.check({ title: "hello there" }, { authorId: "U1" }).action, "allow");
+});
+
+test("updates keep the rule's identity and take effect at once", () => {
+  const { store, filter } = setup();
+  const { rule } = filter.create({ kind: "regex", action: "hold", pattern: "foo" }, "A1");
+  assert.equal(filter.check({ body: "foo" }).action, "hold");
+  assert.deepEqual(filter.update(rule, { pattern: "[" }), { error: "bad_pattern" });
+  const { rule: next } = filter.update(rule, { pattern: "bar" });
+  assert.deepEqual([next.id, next.createdAt, next.createdBy], [rule.id, rule.createdAt, "A1"]);
+  assert.equal(filter.check({ body: "foo" }).action, "allow");
+  assert.equal(filter.check({ body: "bar" }).action, "hold");
+  assert.equal(filter.update(next, { enabled: false }).rule.enabled, false);
+  assert.equal(filter.check({ body: "bar" }).action, "allow");
+  assert.deepEqual(filter.rules().map((r) => r.id), [rule.id]);
+  assert.equal(store.filterRules.all().length, 1);
+});
@@ -0,0 +1,74 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createCalendar } from "../lib/calendar.js";
+import { createCounters, parseHotWeights } from "../lib/counters.js";
+
+const NEW_YORK = createCalendar({ timeZone: "America/New_York", weekStart: 1 });
+
+// Counters over a fresh file (written first when `raw` is given) in New York time.
+function openCounters(t, options = {}, raw) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "diary-counters-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "counters.json");
+  if (raw) fs.writeFileSync(file, JSON.stringify(raw));
+  return createCounters({ file, calendar: NEW_YORK, ...options });
+}
+
+test("parseHotWeights takes known, positive weights only", () => {
+  const defaults = { pv: 1, like: 5, reply: 3 };
+  assert.deepEqual(parseHotWeights(undefined, defaults), defaults);
+  assert.deepEqual(parseHotWeights('{"reply":0.5}', defaults), { pv: 1, like: 5, reply: 0.5 });
+  assert.throws(() => parseHotWeights("{reply:5}", defaults), /HOT_WEIGHTS is not valid JSON/);
+  assert.throws(() => parseHotWeights("[1]", defaults), /HOT_WEIGHTS must be a JSON object/);
+  assert.throws(() => parseHotWeights('{"replies":5}', defaults), /unknown weight replies \(use pv, like, reply\)/);
+  assert.throws(() => parseHotWeights('{"like":"5"}', defaults), /like must be a number above 0/);
+  assert.throws(() => parseHotWeights('{"like":-1}', defaults), /like must be a number above 0/);
+});
+
+test("a view either side of local midnight counts in both days, however long the day", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-11-01T03:30:00Z") });
+  const counters = openCounters(t);
+  counters.view("T1", "u2", "u1");
+  t.mock.timers.setTime(Date.parse("2026-11-01T04:30:00Z"));
+  counters.view("T1", "u2", "u1");
+  counters.view("T1", "u2", "u1");
+  counters.view("T1", "u1", "u1");
+  const history = counters.history("T1", 0);
+  assert.deepEqual(history.day, { "2026-10-31": 1, "2026-11-01": 1 });
+  assert.deepEqual(history.month, { "2026-10": 1, "2026-11": 1 });
+  // 24.5 hours on, the 25-hour day is not over yet; both days are in one Monday week
+  t.mock.timers.setTime(Date.parse("2026-11-02T04:45:00Z"));
+  assert.deepEqual(counters.pv("T1"), { pvDay: 1, pvWeek: 1, pvMonth: 1, pvTotal: 2 });
+  t.mock.timers.setTime(Date.parse("2026-11-02T05:15:00Z"));
+  assert.equal(counters.pv("T1").pvDay, 0);
+});
+
+test("calendar like windows follow local days while rolling ones follow hours", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-03-08T05:30:00Z") });
+  const calendar = openCounters(t, { likeWindows: "calendar" });
+  const rolling = openCounters(t, { likeWindows: "rolling" });
+  for (const counters of [calendar, rolling]) counters.like("T1", "u2");
+  // 23 hours later: the short local day is over, a rolling day is not
+  t.mock.timers.setTime(Date.parse("2026-03-09T04:30:00Z"));
+  assert.deepEqual(calendar.likes("T1"), { likeDay: 0, likeWeek: 0, likeMonth: 1 });
+  assert.deepEqual(rolling.likes("T1"), { likeDay: 1, likeWeek: 1, likeMonth: 1 });
+});
+
+test("views counted only by day get an hour inside that local day on load", (t) => {
+  // 2026-11-01 runs 04:00Z-05:00Z the next day in New York
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-11-03T12:00:00Z") });
+  const counters = openCounters(t, { pvWindows: "rolling" }, {
+    threads: { T1: { pv: { total: 5, day: { "2026-11-01": 3, "2026-11-03": 2 }, week: {}, month: {}, byUser: {} } } },
+  });
+  const hours = counters.dump().threads.T1.pv.hour;
+  assert.deepEqual(Object.values(hours).sort(), [2, 3]);
+  for (const [k, n] of Object.entries(hours)) {
+    assert.equal(NEW_YORK.dayKey(Date.parse(`${k}:30:00Z`)), n === 3 ? "2026-11-01" : "2026-11-03");
+    assert.ok(Date.parse(`${k}:00:00Z`) <= Date.now());
+  }
+  assert.deepEqual(counters.pv("T1"), { pvDay: 2, pvWeek: 5, pvMonth: 5, pvTotal: 5 });
+  assert.ok(counters.decayed("T1", 24 * 60 * 60 * 1000).pv > 2);
+});
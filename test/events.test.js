@@ -0,0 +1,83 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { createEventHub } from "../lib/events.js";
+
+// A request/response pair just big enough for open(): the response keeps what was written.
+function client() {
+  const req = new EventEmitter();
+  const res = { text: "", ended: false, headers: {}, set(h) { Object.assign(this.headers, h); }, flushHeaders() {}, write(s) { this.text += s; }, end() { this.ended = true; } };
+  return { req, res };
+}
+
+// The events in a stream body, as { id, type, data }.
+const events = (text) => text.split("\n\n").filter((b) => b.startsWith("id: ")).map((b) => {
+  const [, id, type, data] = /^id: (.*)\nevent: (.*)\ndata: (.*)$/.exec(b);
+  return { id, type, data: JSON.parse(data) };
+});
+
+test("events go to the streams open on their channel only", () => {
+  const hub = createEventHub();
+  const a = client();
+  const b = client();
+  hub.open(a.req, a.res, "thread:T1");
+  hub.open(b.req, b.res, "thread:T2");
+  hub.publish("thread:T1", "post", { id: "P1" });
+  assert.equal(a.res.headers["Content-Type"], "text/event-stream");
+  assert.match(a.res.text, /^retry: 3000\n\n/);
+  assert.deepEqual(events(a.res.text).map((e) => [e.type, e.data]), [["post", { id: "P1" }]]);
+  assert.deepEqual(events(b.res.text), []);
+
+  a.req.emit("close");
+  hub.publish("thread:T1", "post", { id: "P2" });
+  assert.equal(events(a.res.text).length, 1);
+});
+
+test("a reconnect replays what its channel missed after Last-Event-ID", () => {
+  const hub = createEventHub();
+  const first = client();
+  hub.open(first.req, first.res, "threads");
+  hub.publish("threads", "thread", { id: "T1" });
+  const seen = events(first.res.text)[0].id;
+  first.req.emit("close");
+  hub.publish("threads", "thread", { id: "T2" });
+  hub.publish("thread:T2", "post", { id: "P1" });
+  hub.publish("threads", "thread.removed", { id: "T1" });
+
+  const again = client();
+  hub.open(again.req, again.res, "threads", seen);
+  assert.deepEqual(events(again.res.text).map((e) => [e.type, e.data.id]), [["thread", "T2"], ["thread.removed", "T1"]]);
+});
+
+test("an id from another boot, from the future or off the buffer gets a reset", () => {
+  const hub = createEventHub({ bufferSize: 2 });
+  for (let i = 0; i < 4; i++) hub.publish("threads", "thread", { id: `T${i}` });
+  const [boot, last] = (() => {
+    const c = client();
+    hub.open(c.req, c.res, "threads", "x.0");
+    return events(c.res.text)[0].id.split(".");
+  })();
+  assert.equal(last, "4");
+  for (const id of ["x.3", `${boot}.9`, `${boot}.1`, `${boot}.nope`]) {
+    const c = client();
+    hub.open(c.req, c.res, "threads", id);
+    assert.deepEqual(events(c.res.text).map((e) => e.type), ["reset"], id);
+  }
+  const c = client();
+  hub.open(c.req, c.res, "threads", `${boot}.2`);
+  assert.deepEqual(events(c.res.text).map((e) => e.data.id), ["T2", "T3"]);
+});
+
+test("closing a channel sends its last event and ends every stream on it", () => {
+  const hub = createEventHub();
+  const a = client();
+  const b = client();
+  hub.open(a.req, a.res, "thread:T1");
+  hub.open(b.req, b.res, "threads");
+  hub.close("thread:T1", "closed", { id: "T1" });
+  assert.deepEqual(events(a.res.text).map((e) => e.type), ["closed"]);
+  assert.equal(a.res.ended, true);
+  assert.equal(b.res.ended, false);
+  hub.publish("thread:T1", "post", { id: "P1" });
+  assert.equal(events(a.res.text).length, 1);
+});
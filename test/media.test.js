@@ -0,0 +1,171 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import jpeg from "jpeg-js";
+import { PNG } from "pngjs";
+import { sniffType, normalizeMime, stripMetadata, makeThumbnails, REFUSED_TYPES, MEDIA_LIMITS } from "../lib/media.js";
+
+// A solid-colour RGBA image.
+function pixels(width, height) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) data.set([200, 80, 40, 255], i);
+  return { width, height, data };
+}
+const pngOf = (width, height) => PNG.sync.write(Object.assign(new PNG({ width, height }), { data: pixels(width, height).data }));
+const jpegOf = (width, height) => jpeg.encode(pixels(width, height), 90).data;
+
+// An ftyp box with a major brand and compatible brands.
+function ftyp(major, ...compatible) {
+  const box = Buffer.alloc(16 + 4 * compatible.length);
+  box.writeUInt32BE(box.length, 0);
+  box.write("ftyp", 4, "latin1");
+  box.write(major, 8, "latin1");
+  compatible.forEach((b, i) => box.write(b, 16 + 4 * i, "latin1"));
+  return box;
+}
+
+// A JPEG segment (marker 0xFFxx) around `payload`.
+function segment(marker, payload) {
+  const head = Buffer.alloc(4);
+  head.writeUInt16BE(0xFF00 | marker, 0);
+  head.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([head, payload]);
+}
+
+// A big-endian EXIF APP1 payload with the orientation tag and some GPS-looking text after it.
+function exifPayload(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write("MM\0\x2A", 0, "latin1");
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(1, 8);
+  tiff.writeUInt16BE(0x0112, 10);
+  tiff.writeUInt16BE(3, 12);
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  return Buffer.concat([Buffer.from("Exif\0\0", "latin1"), tiff, Buffer.from("GPS 35.6812N 139.7671E")]);
+}
+const withSegments = (jpg, ...segments) => Buffer.concat([jpg.subarray(0, 2), ...segments, jpg.subarray(2)]);
+
+// A PNG chunk; the CRC is not checked by the stripper, so it is left zero.
+function chunk(type, payload) {
+  const out = Buffer.alloc(12 + payload.length);
+  out.writeUInt32BE(payload.length, 0);
+  out.write(type, 4, "latin1");
+  payload.copy(out, 8);
+  return out;
+}
+const beforeIend = (png, ...chunks) => Buffer.concat([png.subarray(0, png.length - 12), ...chunks, png.subarray(png.length - 12)]);
+
+// An ISO box of `type` around `children`.
+function box(type, ...children) {
+  const body = Buffer.concat(children);
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(8 + body.length, 0);
+  head.write(type, 4, "latin1");
+  return Buffer.concat([head, body]);
+}
+
+test("types come from the magic bytes, ftyp files from their telling brand", () => {
+  assert.equal(sniffType(jpegOf(4, 4)), "image/jpeg");
+  assert.equal(sniffType(pngOf(4, 4)), "image/png");
+  assert.equal(sniffType(Buffer.from("GIF89a\x01\0\x01\0", "latin1")), "image/gif");
+  assert.equal(sniffType(Buffer.from("RIFF\0\0\0\0WEBPVP8 ", "latin1")), "image/webp");
+  assert.equal(sniffType(Buffer.from([0x1A, 0x45, 0xDF, 0xA3, 0])), "video/webm");
+  assert.equal(sniffType(ftyp("qt  ")), "video/quicktime");
+  assert.equal(sniffType(ftyp("isom", "iso2", "avc1", "mp41")), "video/mp4");
+  assert.equal(sniffType(ftyp("mp42", "isom")), "video/mp4");
+  assert.equal(sniffType(ftyp("mif1", "mif1", "heic")), "image/heic");
+  assert.equal(sniffType(ftyp("avif", "mif1", "miaf")), "image/avif");
+  assert.equal(sniffType(ftyp("M4A ", "mp42", "isom")), "audio/mp4");
+  assert.equal(sniffType(ftyp("mif1", "miaf")), "");
+  assert.equal(sniffType(Buffer.from("%PDF-1.7")), "");
+  assert.equal(sniffType(Buffer.alloc(0)), "");
+  for (const type of REFUSED_TYPES) assert.equal(type in MEDIA_LIMITS, false, type);
+  assert.equal(normalizeMime("IMAGE/JPG"), "image/jpeg");
+  assert.equal(normalizeMime("image/pjpeg"), "image/jpeg");
+  assert.equal(normalizeMime(undefined), "");
+});
+
+test("JPEG EXIF and comments are dropped, keeping only the orientation", () => {
+  const jpg = jpegOf(8, 4);
+  const tagged = withSegments(jpg, segment(0xE1, exifPayload(6)), segment(0xFE, Buffer.from("taken at home")));
+  const stripped = stripMetadata(tagged, "image/jpeg");
+  const text = stripped.toString("latin1");
+  assert.equal(text.includes("GPS"), false);
+  assert.equal(text.includes("taken at home"), false);
+  assert.equal(text.includes("Exif\0\0MM"), true);
+  const img = jpeg.decode(stripped);
+  assert.deepEqual([img.width, img.height], [8, 4]);
+
+  // upright photos lose the APP1 altogether
+  const upright = stripMetadata(withSegments(jpg, segment(0xE1, exifPayload(1))), "image/jpeg");
+  assert.equal(upright.toString("latin1").includes("Exif"), false);
+  assert.deepEqual(stripMetadata(jpg, "image/jpeg"), jpg);
+});
+
+test("PNG text, time and EXIF chunks are dropped", () => {
+  const png = pngOf(4, 4);
+  const tagged = beforeIend(png, chunk("tEXt", Buffer.from("Author\0me")), chunk("eXIf", Buffer.from("MM\0*GPS")), chunk("tIME", Buffer.alloc(7)));
+  const stripped = stripMetadata(tagged, "image/png");
+  assert.deepEqual(stripped, png);
+  assert.equal(PNG.sync.read(stripped).width, 4);
+  // a chunk running past the end leaves the file untouched
+  const torn = tagged.subarray(0, tagged.length - 16);
+  assert.deepEqual(stripMetadata(torn, "image/png"), torn);
+});
+
+test("WebP EXIF and XMP chunks go and the VP8X flags follow", () => {
+  const riffChunk = (type, payload) => {
+    const head = Buffer.alloc(8);
+    head.write(type, 0, "latin1");
+    head.writeUInt32LE(payload.length, 4);
+    return Buffer.concat([head, payload, Buffer.alloc(payload.length & 1)]);
+  };
+  const vp8x = Buffer.alloc(10);
+  vp8x[0] = 0x0C | 0x10;
+  const body = Buffer.concat([riffChunk("VP8X", vp8x), riffChunk("VP8 ", Buffer.alloc(9)), riffChunk("EXIF", Buffer.from("GPS here")), riffChunk("XMP ", Buffer.from("<x/>"))]);
+  const head = Buffer.alloc(12);
+  head.write("RIFF", 0, "latin1");
+  head.writeUInt32LE(body.length + 4, 4);
+  head.write("WEBP", 8, "latin1");
+
+  const stripped = stripMetadata(Buffer.concat([head, body]), "image/webp");
+  assert.equal(stripped.toString("latin1").includes("GPS"), false);
+  assert.equal(stripped.toString("latin1").includes("XMP"), false);
+  assert.equal(stripped.readUInt32LE(4), stripped.length - 8);
+  assert.equal(stripped[20], 0x10);
+  assert.equal(sniffType(stripped), "image/webp");
+});
+
+test("MP4 udta and meta boxes are renamed free in place", () => {
+  const file = Buffer.concat([
+    ftyp("isom", "avc1"),
+    box("moov", box("trak", box("udta", Buffer.from("©xyz+35.68+139.76/"))), box("meta", Buffer.from("phone"))),
+    box("mdat", Buffer.alloc(16)),
+  ]);
+  const stripped = stripMetadata(file, "video/mp4");
+  assert.equal(stripped.length, file.length);
+  const types = (buf) => buf.toString("latin1").match(/udta|meta|free/g);
+  assert.deepEqual(types(file), ["udta", "meta"]);
+  assert.deepEqual(types(stripped), ["free", "free"]);
+  assert.deepEqual(stripped.subarray(0, 24), file.subarray(0, 24));
+  // types without metadata to strip come back as they were
+  const gif = Buffer.from("GIF89a\x01\0\x01\0", "latin1");
+  assert.equal(stripMetadata(gif, "image/gif"), gif);
+});
+
+test("thumbnails are made below the long edge and turned upright", () => {
+  const thumbs = makeThumbnails(pngOf(800, 400), "image/png");
+  assert.deepEqual(thumbs.map((t) => [t.size, t.width, t.height]), [[640, 640, 320], [320, 320, 160], [160, 160, 80]]);
+  const first = jpeg.decode(thumbs[0].buf);
+  assert.deepEqual([first.width, first.height], [640, 320]);
+
+  const rotated = withSegments(jpegOf(400, 200), segment(0xE1, exifPayload(6)));
+  assert.deepEqual(makeThumbnails(rotated, "image/jpeg").map((t) => [t.size, t.width, t.height]), [[320, 160, 320], [160, 80, 160]]);
+
+  assert.deepEqual(makeThumbnails(pngOf(100, 50), "image/png"), []);
+  assert.deepEqual(makeThumbnails(Buffer.from("GIF89a"), "image/gif"), []);
+  const huge = Buffer.from(pngOf(4, 4));
+  huge.writeUInt32BE(10000, 16);
+  huge.writeUInt32BE(10000, 20);
+  assert.deepEqual(makeThumbnails(huge, "image/png"), []);
+});
@@ -0,0 +1,76 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openStore } from "../lib/store.js";
+import { normalizeDump } from "../lib/store-json.js";
+import { createBlobStore } from "../lib/blobs.js";
+import { createCounters } from "../lib/counters.js";
+import { createReactions } from "../lib/reactions.js";
+import { runMigrations, pendingMigrations, schemaVersion, setSchemaVersion, SCHEMA_VERSION } from "../lib/migrations.js";
+import { findInvalid } from "../lib/validate.js";
+
+// The original db.json layout: posts inside their thread, counters on the thread,
+// the creator called authorId, no post numbers.
+const LEGACY_DUMP = {
+  threads: [{
+    id: "T1", title: "diary", tags: ["sun"], authorId: "u1", createdAt: "2026-01-20T00:00:00.000Z",
+    likesByUser: { u2: new Date().toISOString() },
+    pv: { total: 3, day: { "2026-01-20": 3 }, week: {}, month: { "2026-01": 3 }, byUser: {} },
+    posts: [
+      { id: "P2", authorId: "u2", createdAt: "2026-01-20T01:00:00.000Z", body: ">>1 nice" },
+      { id: "P1", authorId: "u1", createdAt: "2026-01-20T00:00:00.000Z", body: "first" },
+    ],
+  }],
+  verifiedUsers: {},
+};
+
+function setup(t, dump = LEGACY_DUMP) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "diary-migrate-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = openStore({ backend: { file: "memory", load: () => normalizeDump(structuredClone(dump)), write() {}, flush() {} } });
+  const ctx = {
+    blobs: createBlobStore(path.join(dir, "blobs")),
+    counters: createCounters({ file: path.join(dir, "counters.json") }),
+    reactions: createReactions(store),
+  };
+  return { store, ctx };
+}
+
+test("migrates an original database to the current schema", (t) => {
+  const { store, ctx } = setup(t);
+  assert.equal(schemaVersion(store), 0);
+  const report = runMigrations(store, ctx);
+
+  assert.deepEqual(report.map((m) => m.version), Array.from({ length: SCHEMA_VERSION }, (_, i) => i + 1));
+  assert.deepEqual(pendingMigrations(store), []);
+  assert.equal(schemaVersion(store), SCHEMA_VERSION);
+  assert.deepEqual(findInvalid(store), []);
+
+  const th = store.threads.get("T1");
+  assert.equal(th.creatorId, "u1");
+  assert.equal("authorId" in th, false);
+  assert.equal("pv" in th, false);
+  assert.equal(th.postSeq, 2);
+  assert.equal(store.posts.get("P1").no, 1);
+  assert.deepEqual(store.posts.get("P2").anchors, [1]);
+  assert.equal(ctx.counters.pv("T1").pvTotal, 3);
+  assert.equal(store.reactions.find("targetId", "T1")[0].userId, "u2");
+});
+
+test("running again changes nothing", (t) => {
+  const { store, ctx } = setup(t);
+  runMigrations(store, ctx);
+  const before = JSON.stringify(store.snapshot());
+  assert.deepEqual(runMigrations(store, ctx), []);
+  setSchemaVersion(store, 0);
+  runMigrations(store, ctx);
+  assert.equal(JSON.stringify(store.snapshot()), before);
+});
+
+test("refuses a database from a newer server", (t) => {
+  const { store, ctx } = setup(t);
+  setSchemaVersion(store, SCHEMA_VERSION + 1);
+  assert.throws(() => runMigrations(store, ctx), /newer than this server/);
+});
@@ -0,0 +1,69 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { openStore } from "../lib/store.js";
+import { createNotifications } from "../lib/notifications.js";
+
+// Notifications over an empty in-memory store, with Date mocked so each send can be a
+// second apart (`tick`).
+function setup(t) {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-05-01T00:00:00Z") });
+  const store = openStore({ backend: { file: "memory", load: () => ({}), write() {}, flush() {} } });
+  const notifications = createNotifications(store);
+  const tick = () => t.mock.timers.tick(1000);
+  return { store, notifications, tick };
+}
+
+test("own actions and thread activity on a muted thread are not sent", (t) => {
+  const { notifications } = setup(t);
+  assert.equal(notifications.notify({ userId: "U1", type: "reply", actorId: "U1", threadId: "T1" }), null);
+  assert.equal(notifications.notify({ userId: "", type: "reply", actorId: "U2", threadId: "T1" }), null);
+
+  notifications.setMuted("U1", "T1", true);
+  notifications.setMuted("U1", "T1", true);
+  assert.equal(notifications.isMuted("U1", "T1"), true);
+  assert.equal(notifications.isMuted("U2", "T1"), false);
+  assert.equal(notifications.notify({ userId: "U1", type: "reply", actorId: "U2", threadId: "T1" }), null);
+  assert.equal(notifications.notify({ userId: "U1", type: "like", actorId: "U2", threadId: "T1" }), null);
+  assert.ok(notifications.notify({ userId: "U1", type: "reply", actorId: "U2", threadId: "T2" }));
+  // outcomes of the user's own requests get through a mute
+  assert.ok(notifications.notify({ userId: "U1", type: "attachment.approved", threadId: "T1", targetId: "A1" }));
+
+  notifications.setMuted("U1", "T1", false);
+  assert.ok(notifications.notify({ userId: "U1", type: "reply", actorId: "U2", threadId: "T1" }));
+  assert.equal(notifications.unreadCount("U1"), 3);
+});
+
+test("the inbox pages newest first and can skip what was read", (t) => {
+  const { notifications, tick } = setup(t);
+  const sent = [];
+  for (let i = 0; i < 5; i++) {
+    sent.push(notifications.notify({ userId: "U1", type: "reply", actorId: "U2", threadId: "T1", postId: `P${i}` }).id);
+    tick();
+  }
+  notifications.notify({ userId: "U2", type: "reply", actorId: "U1", threadId: "T2" });
+
+  const first = notifications.inbox("U1", { limit: 2 });
+  assert.deepEqual(first.page.map((n) => n.id), [sent[4], sent[3]]);
+  assert.equal(first.more, true);
+  const rest = notifications.inbox("U1", { limit: 10, after: first.page[1] });
+  assert.deepEqual(rest.page.map((n) => n.id), [sent[2], sent[1], sent[0]]);
+  assert.equal(rest.more, false);
+
+  assert.equal(notifications.markRead("U1", [sent[4], sent[0], "N-other"]), 2);
+  assert.equal(notifications.markRead("U1", [sent[4]]), 0);
+  assert.deepEqual(notifications.inbox("U1", { unreadOnly: true }).page.map((n) => n.id), [sent[3], sent[2], sent[1]]);
+  assert.equal(notifications.markRead("U1", null), 3);
+  assert.equal(notifications.unreadCount("U1"), 0);
+  assert.equal(notifications.unreadCount("U2"), 1);
+});
+
+test("only the newest 500 notifications are kept per user", (t) => {
+  const { store, notifications, tick } = setup(t);
+  const first = notifications.notify({ userId: "U1", type: "like", actorId: "U2", threadId: "T1" });
+  for (let i = 0; i < 500; i++) {
+    tick();
+    notifications.notify({ userId: "U1", type: "like", actorId: "U2", threadId: "T1" });
+  }
+  assert.equal(store.notifications.find("userId", "U1").length, 500);
+  assert.equal(store.notifications.has(first.id), false);
+});
@@ -0,0 +1,59 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRateLimiter, parseRateLimits } from "../lib/rate-limit.js";
+
+// Refills so slowly that nothing comes back while a test runs.
+const classes = { post: { burst: 2, perMinute: 0.001 }, like: { burst: 5, perMinute: 0.001 } };
+
+test("a key gets `burst` requests, then waits", async () => {
+  const limiter = createRateLimiter({ classes });
+  assert.deepEqual(await limiter.take("post", ["ip:a"]), { ok: true });
+  assert.deepEqual(await limiter.take("post", ["ip:a"]), { ok: true });
+  const refused = await limiter.take("post", ["ip:a"]);
+  assert.equal(refused.ok, false);
+  assert.equal(refused.banned, false);
+  assert.ok(refused.retryAfter > 0);
+  // classes and keys have buckets of their own
+  assert.equal((await limiter.take("like", ["ip:a"])).ok, true);
+  assert.equal((await limiter.take("post", ["ip:b"])).ok, true);
+});
+
+test("a request one key refuses costs the other keys nothing", async () => {
+  const limiter = createRateLimiter({ classes });
+  await limiter.take("post", ["ip:a", "user:1"]);
+  await limiter.take("post", ["ip:a", "user:1"]);
+  // user 1 moves to another address: still out of tokens, and ip:c keeps both of its own
+  assert.equal((await limiter.take("post", ["ip:c", "user:1"])).ok, false);
+  assert.equal((await limiter.take("post", ["ip:c", "user:2"])).ok, true);
+  assert.equal((await limiter.take("post", ["ip:c", "user:3"])).ok, true);
+  assert.equal((await limiter.take("post", ["ip:c", "user:4"])).ok, false);
+  const { watch } = await limiter.blocks();
+  assert.deepEqual(watch.map((w) => [w.key, w.count]).sort(), [["ip:c", 1], ["user:1", 1]]);
+});
+
+test("repeated refusals ban the key until cleared", async () => {
+  const limiter = createRateLimiter({ classes, banAfter: 3, banMs: 60000 });
+  for (let i = 0; i < 2; i++) await limiter.take("post", ["ip:a"]);
+  const results = [];
+  for (let i = 0; i < 3; i++) results.push(await limiter.take("post", ["ip:a"]));
+  assert.deepEqual(results.map((r) => r.banned), [false, false, true]);
+  assert.equal(results[2].retryAfter, 60);
+  // a ban covers every class
+  assert.equal((await limiter.take("like", ["ip:a"])).banned, true);
+  const { bans } = await limiter.blocks();
+  assert.deepEqual(bans.map((b) => [b.key, b.reason]), [["ip:a", "post"]]);
+
+  assert.equal(await limiter.clear("ip:a"), 1);
+  assert.deepEqual(await limiter.take("post", ["ip:a"]), { ok: true });
+});
+
+test("parseRateLimits takes known classes and positive limits only", () => {
+  assert.deepEqual(parseRateLimits("", classes), classes);
+  assert.deepEqual(parseRateLimits('{"post":{"burst":20}}', classes).post, { burst: 20, perMinute: 0.001 });
+  assert.throws(() => parseRateLimits("{post:1}", classes), /RATE_LIMITS is not valid JSON/);
+  assert.throws(() => parseRateLimits('{"posts":{"burst":20}}', classes), /unknown class posts \(use post, like\)/);
+  assert.throws(() => parseRateLimits('{"post":20}', classes), /post must be an object/);
+  assert.throws(() => parseRateLimits('{"post":{"brust":20}}', classes), /unknown setting post\.brust/);
+  assert.throws(() => parseRateLimits('{"post":{"burst":"20"}}', classes), /post\.burst must be a number above 0/);
+  assert.throws(() => parseRateLimits('{"post":{"perMinute":0}}', classes), /post\.perMinute must be a number above 0/);
+});
@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { openStore } from "../lib/store.js";
+import { createBookmarks, createReactions, REACTIONS } from "../lib/reactions.js";
+
+const memoryStore = () => openStore({ backend: { file: "memory", load: () => ({}), write() {}, flush() {} } });
+const onThread = { targetType: "thread", targetId: "T1", threadId: "T1" };
+const onPost = { targetType: "post", targetId: "P2", threadId: "T1" };
+
+test("one reaction of each kind per user and target, counted per target", () => {
+  const reactions = createReactions(memoryStore());
+  assert.equal(reactions.set("U1", onThread, "like", true), true);
+  assert.equal(reactions.set("U1", onThread, "like", true), false);
+  reactions.set("U1", onThread, "love", true);
+  reactions.set("U2", onThread, "like", true);
+  reactions.set("U2", onPost, "thanks", true);
+  assert.deepEqual(reactions.counts("T1"), { like: 2, love: 1 });
+  assert.deepEqual(reactions.counts("P2"), { thanks: 1 });
+  assert.deepEqual(reactions.mine("T1", "U1").sort(), ["like", "love"]);
+  assert.deepEqual(reactions.mine("T1", ""), []);
+
+  assert.equal(reactions.set("U1", onThread, "like", false), true);
+  assert.equal(reactions.set("U1", onThread, "like", false), false);
+  assert.deepEqual(reactions.counts("T1"), { like: 1, love: 1 });
+  assert.ok(Object.keys(REACTIONS).includes("like"));
+});
+
+test("dropping a thread or target removes its reactions, renames merge", () => {
+  const store = memoryStore();
+  const reactions = createReactions(store);
+  reactions.set("U1", onThread, "like", true);
+  reactions.set("U1", onPost, "like", true);
+  reactions.set("U2", onPost, "like", true);
+  reactions.set("U2", { targetType: "thread", targetId: "T2", threadId: "T2" }, "wow", true);
+
+  // U1 becomes U2, which already liked P2: that one is dropped, not doubled
+  assert.equal(reactions.renameUser("U1", "U2"), 1);
+  assert.deepEqual(reactions.mine("T1", "U2"), ["like"]);
+  assert.deepEqual(reactions.counts("P2"), { like: 1 });
+  assert.equal(store.reactions.find("userId", "U1").length, 0);
+
+  reactions.dropTarget("P2");
+  assert.deepEqual(reactions.counts("P2"), {});
+  assert.deepEqual(reactions.counts("T1"), { like: 1 });
+  reactions.dropThread("T1");
+  assert.deepEqual(reactions.counts("T1"), {});
+  assert.deepEqual(reactions.counts("T2"), { wow: 1 });
+});
+
+test("bookmarks list newest first, only what the user can still open", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-05-01T00:00:00Z") });
+  const store = memoryStore();
+  const bookmarks = createBookmarks(store);
+  for (const id of ["T1", "T2", "T3", "T4"]) {
+    bookmarks.set("U1", id, true);
+    t.mock.timers.tick(1000);
+  }
+  bookmarks.set("U1", "T1", true);
+  bookmarks.set("U2", "T1", true);
+  assert.equal(bookmarks.has("U1", "T2"), true);
+  assert.equal(bookmarks.has("", "T2"), false);
+
+  const visible = (id) => id !== "T3";
+  const first = bookmarks.list("U1", { visible, limit: 2 });
+  assert.deepEqual(first.page.map((b) => b.threadId), ["T4", "T2"]);
+  assert.equal(first.more, true);
+  assert.deepEqual(bookmarks.list("U1", { visible, after: first.page[1] }).page.map((b) => b.threadId), ["T1"]);
+
+  bookmarks.set("U1", "T2", false);
+  bookmarks.dropThread("T1");
+  assert.deepEqual(bookmarks.list("U1", { visible: () => true }).page.map((b) => b.threadId), ["T4", "T3"]);
+  assert.equal(bookmarks.has("U2", "T1"), false);
+
+  bookmarks.set("U2", "T4", true);
+  assert.equal(bookmarks.renameUser("U1", "U2"), 1);
+  assert.deepEqual(bookmarks.list("U2", { visible: () => true }).page.map((b) => b.threadId).sort(), ["T3", "T4"]);
+});
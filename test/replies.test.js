@@ -0,0 +1,47 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseAnchors, replyRefs, missingRef, backReferences, nestPosts, MAX_ANCHORS, MAX_NEST_DEPTH } from "../lib/replies.js";
+
+const post = (no, extra = {}) => ({ id: `P${no}`, no, ...extra });
+
+test("parseAnchors reads >>N in half and full width, once each", () => {
+  assert.deepEqual(parseAnchors(">>1 and ＞＞２, >> 3, >>1 again"), [1, 2, 3]);
+  assert.deepEqual(parseAnchors(">>0 >>1234567 a>>5b"), [5]);
+  assert.deepEqual(parseAnchors(null), []);
+  const many = Array.from({ length: MAX_ANCHORS + 5 }, (_, i) => `>>${i + 1}`).join(" ");
+  assert.equal(parseAnchors(many).length, MAX_ANCHORS);
+});
+
+test("references point only at earlier posts that exist", () => {
+  const posts = [post(1), post(2), post(4)];
+  assert.deepEqual(replyRefs(post(5, { replyTo: 2, anchors: [1, 2] })), [2, 1]);
+  assert.equal(missingRef([1, 2], posts, 5), 0);
+  assert.equal(missingRef([3], posts, 5), 3);
+  assert.equal(missingRef([4], posts, 4), 4);
+  const back = backReferences([post(3, { anchors: [1] }), post(2, { replyTo: 1 }), post(4, { anchors: [2, 1] })]);
+  assert.deepEqual(Object.fromEntries(back), { 1: [2, 3, 4], 2: [4] });
+});
+
+test("nestPosts hangs replies under their parent and keeps orphans at the top", () => {
+  const { roots, children } = nestPosts([post(3, { anchors: [1] }), post(1), post(2, { replyTo: 1 }), post(4, { replyTo: 2 }), post(5, { anchors: [9] })]);
+  assert.deepEqual(roots.map((p) => p.no), [1, 5]);
+  assert.deepEqual(children.get(1).map((p) => p.no), [2, 3]);
+  assert.deepEqual(children.get(2).map((p) => p.no), [4]);
+});
+
+test("a long reply chain is flattened at the depth limit", () => {
+  const chain = Array.from({ length: 5000 }, (_, i) => post(i + 1, i ? { replyTo: i } : {}));
+  const { roots, children } = nestPosts(chain);
+  assert.deepEqual(roots.map((p) => p.no), [1]);
+  let depth = 0;
+  const walk = (p, d) => {
+    depth = Math.max(depth, d);
+    for (const c of children.get(p.no) || []) walk(c, d + 1);
+  };
+  walk(roots[0], 0);
+  assert.equal(depth, MAX_NEST_DEPTH);
+  // everything past the limit sits in order beside the last post that fit
+  const last = children.get(MAX_NEST_DEPTH);
+  assert.deepEqual(last.map((p) => p.no), chain.slice(MAX_NEST_DEPTH).map((p) => p.no));
+  assert.equal(nestPosts(chain.slice(0, 4), { maxDepth: 1 }).children.get(1).length, 3);
+});
@@ -0,0 +1,101 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { openStore } from "../lib/store.js";
+import { createSearchIndex, foldText, queryTerms, snippet } from "../lib/search.js";
+
+const at = "2026-02-01T00:00:00.000Z";
+
+function setup() {
+  const store = openStore({ backend: { file: "memory", load: () => ({}), write() {}, flush() {} } });
+  const search = createSearchIndex(store, { threadSearchable: (t) => !t.hidden, postSearchable: (p) => !p.hidden && !p.deletedAt });
+  search.rebuild();
+  store.subscribe(search.onWrite);
+  const thread = (id, title, tags = [], creatorId = "U1") => store.threads.put({ id, title, tags, creatorId, createdAt: at, updatedAt: at, postSeq: 1, hidden: false });
+  const post = (id, threadId, body, authorId = "U1") => store.posts.put({ id, threadId, no: 1, authorId, body, createdAt: at, updatedAt: at });
+  const ids = (q, opts = {}) => search.search({ q, ...opts }).results.map((r) => r.threadId).sort();
+  return { store, search, thread, post, ids };
+}
+
+test("text folds width, case and katakana to one form", () => {
+  assert.equal(foldText("ＡＢＣ ﾆｯｷ ニッキ 123").norm, "abc にっき にっき 123");
+  // every folded char maps back to the original it came from
+  const { norm, spans } = foldText("ｶﾞ");
+  assert.equal(norm, "が");
+  assert.deepEqual(spans, [[0, 2]]);
+  assert.deepEqual(queryTerms("東京 Tower").terms, ["東京", "tower"]);
+  assert.deepEqual(queryTerms("猫").terms, ["猫"]);
+});
+
+test("a query finds its kana, width and case variants", () => {
+  const { thread, post, ids } = setup();
+  thread("T1", "きょうのにっき");
+  thread("T2", "Tokyo Ｔｏｗｅｒ");
+  post("P3", "T2", "東京タワーに行った");
+  assert.deepEqual(ids("ニッキ"), ["T1"]);
+  assert.deepEqual(ids("ﾆｯｷ"), ["T1"]);
+  assert.deepEqual(ids("TOWER"), ["T2"]);
+  assert.deepEqual(ids("ｔｏｋｙｏ"), ["T2"]);
+  assert.deepEqual(ids("とうきょう"), []);
+  assert.deepEqual(ids("たわー"), ["T2"]);
+  // half-width voiced kana fold like their full-width forms
+  thread("T4", "ガイドブック");
+  assert.deepEqual(ids("ｶﾞｲﾄﾞ"), ["T4"]);
+  assert.deepEqual(ids("ぶっく"), ["T4"]);
+});
+
+test("every query term has to match, in order within a CJK run", () => {
+  const { thread, post, ids } = setup();
+  thread("T1", "東京の話");
+  thread("T2", "京都の話");
+  post("P1", "T1", "タワーが見えた");
+  assert.deepEqual(ids("東京"), ["T1"]);
+  assert.deepEqual(ids("京東"), []);
+  assert.deepEqual(ids("話"), ["T1", "T2"]);
+  assert.deepEqual(ids("話 タワー"), ["T1"]);
+  assert.deepEqual(ids("話 ビル"), []);
+});
+
+test("hidden and deleted content leaves the index as soon as it is written", () => {
+  const { store, thread, post, ids } = setup();
+  thread("T1", "hello");
+  post("P1", "T1", "secret word");
+  assert.deepEqual(ids("secret"), ["T1"]);
+  store.posts.put({ ...store.posts.get("P1"), hidden: true });
+  assert.deepEqual(ids("secret"), []);
+  store.posts.put({ ...store.posts.get("P1"), hidden: false });
+  assert.deepEqual(ids("secret"), ["T1"]);
+  // hiding the thread takes its posts with it
+  store.threads.put({ ...store.threads.get("T1"), hidden: true });
+  assert.deepEqual(ids("secret"), []);
+  assert.deepEqual(ids("hello"), []);
+  store.threads.put({ ...store.threads.get("T1"), hidden: false });
+  assert.deepEqual(ids("secret"), ["T1"]);
+  store.threads.remove("T1");
+  assert.deepEqual(ids("hello"), []);
+});
+
+test("tag and author filters narrow the results", () => {
+  const { thread, post, ids } = setup();
+  thread("T1", "walk", ["Dog"]);
+  thread("T2", "walk", ["cat"], "U2");
+  post("P2", "T2", "walk again", "U2");
+  assert.deepEqual(ids("walk", { tags: ["dog"] }), ["T1"]);
+  assert.deepEqual(ids("", { tags: ["CAT"] }), ["T2"]);
+  assert.deepEqual(ids("walk", { authorId: "U2" }), ["T2"]);
+});
+
+test("titles outrank bodies, and snippets highlight the original text", () => {
+  const { thread, post, search } = setup();
+  thread("T1", "ラーメン");
+  thread("T2", "lunch");
+  post("P2", "T2", "今日はラーメンを食べた");
+  const { results } = search.search({ q: "らーめん" });
+  assert.deepEqual(results.map((r) => r.threadId), ["T1", "T2"]);
+  assert.deepEqual(results[1].matches[0].snippet, { text: "今日はラーメンを食べた", highlights: [[3, 7]], before: false, after: false });
+
+  const long = `${"あ".repeat(100)}ＫＥＹ${"い".repeat(100)}`;
+  const cut = snippet(long, queryTerms("key").needles, 30);
+  assert.equal(cut.before && cut.after, true);
+  const [a, b] = cut.highlights[0];
+  assert.equal(cut.text.slice(a, b), "ＫＥＹ");
+});
@@ -0,0 +1,463 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { PNG } from "pngjs";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// An original-layout database with one thread written before accounts existed.
+const LEGACY_DB = {
+  threads: [{
+    id: "T1", title: "old diary", tags: [], creatorId: "u1", createdAt: "2026-01-20T00:00:00.000Z", updatedAt: "2026-01-20T00:00:00.000Z", hidden: false,
+    posts: [{ id: "P1", authorId: "u1", createdAt: "2026-01-20T00:00:00.000Z", updatedAt: "2026-01-20T00:00:00.000Z", body: "written by u1" }],
+  }],
+  attachments: [],
+  verifyRequests: [],
+  verifiedUsers: {},
+};
+
+// Starts index.js on a free port with LEGACY_DB as the db.json it upgrades from; resolves
+// to { api, dir, base } (base: the API's URL). `env` adds to the server's environment. The server is stopped when the test ends.
+async function startServer(t, env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "diary-server-"));
+  fs.writeFileSync(path.join(dir, "db.json"), JSON.stringify(LEGACY_DB));
+  const child = spawn(process.execPath, [path.join(ROOT, "index.js")], {
+    cwd: dir,
+    env: { ...process.env, NODE_ENV: "test", PORT: "0", DB_PATH: path.join(dir, "db.log"), BLOB_DIR: path.join(dir, "blobs"), BACKUP_INTERVAL_HOURS: "0", ...env },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  // wait for the exit so no late write lands in the directory as it is removed
+  t.after(async () => {
+    if (child.exitCode === null && child.signalCode === null) {
+      const exited = new Promise((resolve) => child.once("exit", resolve));
+      child.kill();
+      await exited;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  let log = "";
+  const port = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${log}`)), 10000);
+    const read = (chunk) => {
+      log += chunk;
+      const m = /listening :(\d+)/.exec(log);
+      if (m) { clearTimeout(timer); resolve(Number(m[1])); }
+    };
+    child.stdout.on("data", read);
+    child.stderr.on("data", read);
+    child.once("exit", (code) => { clearTimeout(timer); reject(new Error(`server exited (${code}):\n${log}`)); });
+  });
+
+  const base = `http://127.0.0.1:${port}/api/diary`;
+  // api(method, path, { body, user, admin }) -> { status, body }
+  const api = async (method, url, { body, user, admin } = {}) => {
+    const headers = { "content-type": "application/json" };
+    if (user) headers["X-User-Token"] = user;
+    if (admin) headers["X-Admin-Token"] = admin;
+    const res = await fetch(`${base}${url}`, { method, headers, body: body && JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  };
+  return { api, dir, base };
+}
+
+async function register(api, name) {
+  const res = await api("POST", "/auth/register", { body: { name, password: "password1" } });
+  assert.equal(res.status, 200);
+  return res.body.token;
+}
+
+test("a new log starts as a copy of db.json, which is left as it was", async (t) => {
+  const { api, dir } = await startServer(t);
+  assert.equal((await api("GET", "/threads/T1")).body.thread.posts[0].body, "written by u1");
+  await register(api, "dave");
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, "db.json"), "utf-8")), LEGACY_DB);
+  assert.match(fs.readFileSync(path.join(dir, "db.log"), "utf-8"), /"dave"/);
+});
+
+test("register, log in and act as the session user", async (t) => {
+  const { api } = await startServer(t);
+  const token = await register(api, "alice");
+  assert.equal((await api("POST", "/auth/register", { body: { name: "ALICE", password: "password1" } })).status, 409);
+  assert.equal((await api("POST", "/auth/register", { body: { name: "bob", password: "short" } })).body.error, "weak_password");
+  assert.equal((await api("POST", "/auth/login", { body: { name: "alice", password: "wrong-password" } })).status, 401);
+
+  const login = await api("POST", "/auth/login", { body: { name: "alice", password: "password1" } });
+  assert.equal(login.status, 200);
+  const me = await api("GET", "/auth/me", { user: login.body.token });
+  assert.equal(me.body.user.name, "alice");
+  assert.equal((await api("GET", "/auth/me", { user: "forged" })).status, 401);
+
+  // the author comes from the session, whatever the body says
+  const created = await api("POST", "/threads", { user: token, body: { title: "mine", body: "hello", authorId: "someone-else" } });
+  const thread = await api("GET", `/threads/${created.body.thread.id}`);
+  assert.equal(thread.body.thread.posts[0].authorId, me.body.user.id);
+  assert.equal((await api("POST", "/threads", { body: { title: "anon", body: "x" } })).status, 401);
+});
+
+test("legacy content moves to an account only once an admin approves the claim", async (t) => {
+  const { api } = await startServer(t);
+  const bob = await register(api, "bob");
+  const carol = await register(api, "carol");
+
+  // pre-account ids are not shown publicly
+  let post = (await api("GET", "/threads/T1")).body.thread.posts[0];
+  assert.equal(post.authorId, "");
+
+  assert.equal((await api("POST", "/auth/claim", { user: bob, body: { legacyId: "u1" } })).body.error, "evidence_required");
+  const claim = await api("POST", "/auth/claim", { user: bob, body: { legacyId: "u1", evidence: "I wrote 'old diary'" } });
+  assert.equal(claim.status, 202);
+  assert.equal(claim.body.claim.status, "pending");
+  assert.equal((await api("POST", "/auth/claim", { user: bob, body: { legacyId: "u1", evidence: "again" } })).body.error, "already_pending");
+  const rival = await api("POST", "/auth/claim", { user: carol, body: { legacyId: "u1", evidence: "me too" } });
+  assert.equal(rival.status, 202);
+  // nothing moves until the claim is reviewed
+  assert.equal((await api("GET", "/threads/T1")).body.thread.posts[0].authorId, "");
+
+  const admin = (await api("POST", "/admin/login", { body: { name: "admin", password: "admin" } })).body.token;
+  const pending = await api("GET", "/admin/claims", { admin });
+  assert.equal(pending.body.items.length, 2);
+  assert.equal(pending.body.items.find((c) => c.id === claim.body.claim.id).legacy.threads, 1);
+  assert.equal((await api("POST", `/admin/claims/${claim.body.claim.id}/review`, { body: { action: "approve" } })).status, 401);
+  const approved = await api("POST", `/admin/claims/${claim.body.claim.id}/review`, { admin, body: { action: "approve" } });
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.moved.posts, 1);
+
+  const bobId = (await api("GET", "/auth/me", { user: bob })).body.user.id;
+  post = (await api("GET", "/threads/T1")).body.thread.posts[0];
+  assert.equal(post.authorId, bobId);
+  assert.equal(post.authorName, "bob");
+  const carolClaims = (await api("GET", "/auth/claims", { user: carol })).body.claims;
+  assert.equal(carolClaims[0].status, "rejected");
+  assert.equal((await api("POST", "/auth/claim", { user: carol, body: { legacyId: "u1", evidence: "really" } })).body.error, "already_claimed");
+});
+
+test("an import that would leave no owner is refused", async (t) => {
+  const { api, dir } = await startServer(t);
+  const admin = (await api("POST", "/admin/login", { body: { name: "admin", password: "admin" } })).body.token;
+  const replaced = await api("POST", "/admin/import?mode=replace", { admin, body: LEGACY_DB });
+  assert.equal(replaced.status, 400);
+  assert.equal(replaced.body.error, "no_owner");
+  // the owner is still there, with the same password
+  assert.equal((await api("POST", "/admin/login", { body: { name: "admin", password: "admin" } })).status, 200);
+
+  // routine snapshots leave the hashes out; the one taken before the import kept them to roll back with
+  const backup = (await api("POST", "/admin/backups", { admin })).body.name;
+  const file = path.join(dir, "backups", backup);
+  assert.equal(fs.readFileSync(file, "utf-8").includes("passwordHash"), false);
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+  const preRestore = fs.readdirSync(path.join(dir, "backups")).find((n) => n.endsWith("-pre-restore.json"));
+  assert.equal(fs.readFileSync(path.join(dir, "backups", preRestore), "utf-8").includes("passwordHash"), true);
+
+  const exported = await api("GET", "/admin/export", { admin });
+  assert.equal(JSON.stringify(exported.body).includes("passwordHash"), false);
+  const restored = await api("POST", "/admin/import?mode=replace", { admin, body: exported.body });
+  assert.equal(restored.status, 200);
+  assert.equal((await api("POST", "/admin/login", { body: { name: "admin", password: "admin" } })).status, 200);
+});
+
+test("authors rename and delete their own content, and each change is recorded", async (t) => {
+  const { api } = await startServer(t);
+  const alice = await register(api, "alice");
+  const bob = await register(api, "bob");
+  const { thread } = (await api("POST", "/threads", { user: alice, body: { title: "first", body: "hello" } })).body;
+  const reply = (await api("POST", `/threads/${thread.id}/posts`, { user: alice, body: { body: "more" } })).body.post;
+
+  assert.equal((await api("PATCH", `/threads/${thread.id}`, { user: alice, body: {} })).body.error, "bad_title");
+  assert.equal((await api("PATCH", `/threads/${thread.id}`, { user: alice, body: { title: "  " } })).body.error, "bad_title");
+  assert.equal((await api("PATCH", `/threads/${thread.id}`, { user: bob, body: { title: "mine now" } })).status, 403);
+  assert.equal((await api("PATCH", `/threads/${thread.id}`, { user: alice, body: { title: "second" } })).status, 200);
+  const revs = await api("GET", `/threads/${thread.id}/revisions`, { user: alice });
+  assert.deepEqual(revs.body.revisions.map((r) => r.text), ["first", "second"]);
+  assert.equal((await api("GET", `/threads/${thread.id}/revisions`)).status, 401);
+
+  assert.equal((await api("DELETE", `/threads/${thread.id}/posts/${reply.id}`, { user: bob })).status, 403);
+  assert.equal((await api("DELETE", `/threads/${thread.id}/posts/${reply.id}`, { user: alice })).status, 200);
+  assert.equal((await api("DELETE", `/threads/${thread.id}`, { user: alice })).status, 200);
+  assert.equal((await api("GET", `/threads/${thread.id}`)).status, 404);
+
+  const admin = (await api("POST", "/admin/login", { body: { name: "admin", password: "admin" } })).body.token;
+  const aliceId = (await api("GET", "/auth/me", { user: alice })).body.user.id;
+  const audit = (await api("GET", `/admin/audit?actorId=${aliceId}`, { admin })).body.entries;
+  assert.deepEqual(audit.map((e) => [e.action, e.targetId]), [["thread.delete", thread.id], ["post.delete", reply.id]]);
+});
+
+test("author deletes are rate-limited", async (t) => {
+  const { api } = await startServer(t, { RATE_LIMITS: JSON.stringify({ post: { burst: 3, perMinute: 1 } }) });
+  const alice = await register(api, "alice");
+  const { thread } = (await api("POST", "/threads", { user: alice, body: { title: "t", body: "b" } })).body;
+  const replies = [];
+  for (let i = 0; i < 2; i++) replies.push((await api("POST", `/threads/${thread.id}/posts`, { user: alice, body: { body: `r${i}` } })).body.post);
+  const statuses = [];
+  for (const p of replies) statuses.push((await api("DELETE", `/threads/${thread.id}/posts/${p.id}`, { user: alice })).status);
+  assert.deepEqual(statuses, [200, 429]);
+});
+
+test("a held rename waits on its own and never undoes an admin's hide", async (t) => {
+  const { api } = await startServer(t);
+  const alice = await register(api, "alice");
+  const admin = (await api("POST", "/admin/login", { body: { name: "admin", password: "admin" } })).body.token;
+  const { thread } = (await api("POST", "/threads", { user: alice, body: { title: "calm", body: "hello" } })).body;
+  await api("POST", "/admin/filter/rules", { admin, body: { kind: "word", action: "hold", pattern: "spicy" } });
+
+  const renamed = await api("PATCH", `/threads/${thread.id}`, { user: alice, body: { title: "spicy" } });
+  assert.equal(renamed.body.held, true);
+  assert.equal(renamed.body.thread.title, "calm");
+  // the thread and its approved posts stay visible under the old title
+  const pub = (await api("GET", `/threads/${thread.id}`)).body.thread;
+  assert.equal(pub.title, "calm");
+  assert.equal(pub.pendingTitle, undefined);
+  assert.equal((await api("GET", `/threads/${thread.id}`, { user: alice })).body.thread.pendingTitle, "spicy");
+  const held = (await api("GET", "/admin/filter/held", { admin })).body;
+  assert.deepEqual(held.threads, []);
+  assert.deepEqual(held.titles.map((x) => [x.id, x.title, x.pendingTitle]), [[thread.id, "calm", "spicy"]]);
+
+  // an admin hides the thread meanwhile; approving the title leaves it hidden
+  await api("POST", "/admin/thread/hide", { admin, body: { threadId: thread.id, hide: true } });
+  const resolved = await api("POST", "/admin/filter/held/resolve", { admin, body: { targetType: "title", id: thread.id, action: "approve" } });
+  assert.equal(resolved.body.thread.title, "spicy");
+  assert.equal((await api("GET", `/threads/${thread.id}`)).status, 404);
+  assert.deepEqual((await api("GET", "/admin/filter/held", { admin })).body.titles, []);
+
+  await api("POST", "/admin/thread/hide", { admin, body: { threadId: thread.id, hide: false } });
+  const revs = (await api("GET", `/threads/${thread.id}/revisions`, { user: alice })).body.revisions;
+  assert.deepEqual(revs.map((r) => r.text), ["calm", "spicy"]);
+
+  await api("PATCH", `/threads/${thread.id}`, { user: alice, body: { title: "spicy again" } });
+  await api("POST", "/admin/filter/held/resolve", { admin, body: { targetType: "title", id: thread.id, action: "reject" } });
+  assert.equal((await api("GET", `/threads/${thread.id}`, { user: alice })).body.thread.title, "spicy");
+});
+
+test("unhiding held content from the moderation routes ends the hold", async (t) => {
+  const { api } = await startServer(t);
+  const alice = await register(api, "alice");
+  const admin = (await api("POST", "/admin/login", { body: { name: "admin", password: "admin" } })).body.token;
+  await api("POST", "/admin/filter/rules", { admin, body: { kind: "word", action: "hold", pattern: "spicy" } });
+  const { thread, held } = (await api("POST", "/threads", { user: alice, body: { title: "spicy", body: "hello" } })).body;
+  assert.equal(held, true);
+  const open = (await api("POST", "/threads", { user: alice, body: { title: "calm", body: "hello" } })).body.thread;
+  const { post } = (await api("POST", `/threads/${open.id}/posts`, { user: alice, body: { body: "spicy reply" } })).body;
+  assert.equal(post.held, true);
+
+  await api("POST", "/admin/thread/hide", { admin, body: { threadId: thread.id, hide: false } });
+  await api("POST", "/admin/post/hide", { admin, body: { threadId: open.id, postId: post.id, hide: false } });
+  assert.deepEqual((await api("GET", "/admin/filter/held", { admin })).body, { threads: [], posts: [], titles: [] });
+  const { collections } = (await api("GET", "/admin/export", { admin })).body;
+  for (const rec of [collections.threads.find((x) => x.id === thread.id), collections.posts.find((x) => x.id === post.id)]) {
+    assert.equal(rec.hidden, false);
+    assert.equal("heldAt" in rec || "heldFor" in rec || "hiddenBy" in rec, false);
+  }
+});
+
+const png = () => {
+  const buf = PNG.sync.write(new PNG({ width: 2, height: 2 }));
+  return { name: "a.png", type: "image/png", size: buf.length, dataUrl: `data:image/png;base64,${buf.toString("base64")}` };
+};
+
+test("a rejected attachment can be resubmitted once at a time", async (t) => {
+  const { api } = await startServer(t, { RATE_LIMITS: JSON.stringify({ upload: { burst: 20, perMinute: 20 } }) });
+  const alice = await register(api, "alice");
+  const admin = (await api("POST", "/admin/login", { body: { name: "admin", password: "admin" } })).body.token;
+  const vr = (await api("POST", "/verify/request", { user: alice, body: { file: png() } })).body.request;
+  assert.equal((await api("POST", "/admin/verify/review", { admin, body: { requestId: vr.id, action: "approve" } })).status, 200);
+  const { thread } = (await api("POST", "/threads", { user: alice, body: { title: "t", body: "b" } })).body;
+  const postId = (await api("GET", `/threads/${thread.id}`)).body.thread.posts[0].id;
+  const first = (await api("POST", "/attachments/request", { user: alice, body: { threadId: thread.id, postId, file: png() } })).body.attachment;
+  assert.equal((await api("POST", `/attachments/${first.id}/resubmit`, { user: alice, body: { file: png() } })).body.error, "not_rejected");
+  await api("POST", "/admin/attachments/review", { admin, body: { attachmentId: first.id, action: "reject" } });
+
+  const again = await api("POST", `/attachments/${first.id}/resubmit`, { user: alice, body: { file: png() } });
+  assert.equal(again.status, 200);
+  const twice = await api("POST", `/attachments/${first.id}/resubmit`, { user: alice, body: { file: png() } });
+  assert.equal(twice.status, 409);
+  assert.deepEqual(twice.body, { error: "already_pending", id: again.body.attachment.id });
+  await api("POST", "/admin/attachments/review", { admin, body: { attachmentId: again.body.attachment.id, action: "reject" } });
+  assert.equal((await api("POST", `/attachments/${first.id}/resubmit`, { user: alice, body: { file: png() } })).body.error, "already_resubmitted");
+  assert.equal((await api("POST", `/attachments/${again.body.attachment.id}/resubmit`, { user: alice, body: { file: png() } })).status, 200);
+  assert.equal((await api("GET", "/admin/attachments?status=pending", { admin })).body.total, 1);
+});
+
+
+test("a bad ranking setting stops startup with a message naming it", async (t) => {
+  await assert.rejects(startServer(t, { HOT_WEIGHTS: '{"reply":"x"}' }), /HOT_WEIGHTS: reply must be a number above 0/);
+  await assert.rejects(startServer(t, { HOT_HALF_LIFE_HOURS: "soon" }), /HOT_HALF_LIFE_HOURS must be a number above 0/);
+});
+
+test("a bad RATE_LIMITS stops startup with a message naming it", async (t) => {
+  await assert.rejects(startServer(t, { RATE_LIMITS: '{"post":{"burst":20}' }), /RATE_LIMITS is not valid JSON/);
+  await assert.rejects(startServer(t, { RATE_LIMITS: '{"posts":{"burst":20}}' }), /RATE_LIMITS: unknown class posts/);
+});
+
+test("the nested view stops nesting at the depth limit", async (t) => {
+  const { api } = await startServer(t, { RATE_LIMITS: JSON.stringify({ post: { burst: 50, perMinute: 50 } }) });
+  const alice = await register(api, "alice");
+  const { thread } = (await api("POST", "/threads", { user: alice, body: { title: "chain", body: "1" } })).body;
+  for (let no = 2; no <= 12; no++) await api("POST", `/threads/${thread.id}/posts`, { user: alice, body: { body: `>>${no - 1} reply` } });
+
+  const { posts } = (await api("GET", `/threads/${thread.id}?view=nested`)).body.thread;
+  let level = posts;
+  const nos = [];
+  while (level.length) {
+    nos.push(level.map((p) => p.no));
+    level = level.flatMap((p) => p.replies);
+  }
+  assert.deepEqual(nos, [[1], [2], [3], [4], [5], [6], [7], [8], [9, 10, 11, 12]]);
+});
+
+const SORTS = ["new", "hot", "pv_day", "pv_week", "pv_month", "like_day", "like_week", "like_month", "like_total"];
+
+test("list cursors page through every sort without gaps or repeats", async (t) => {
+  const { api } = await startServer(t, { RATE_LIMITS: JSON.stringify({ thread: { burst: 50, perMinute: 50 }, like: { burst: 100, perMinute: 100 } }) });
+  const alice = await register(api, "alice");
+  const viewers = [await register(api, "bob"), await register(api, "carol"), await register(api, "dave")];
+  const ids = [];
+  for (let i = 0; i < 7; i++) ids.push((await api("POST", "/threads", { user: alice, body: { title: `t${i}`, body: "b" } })).body.thread.id);
+  // uneven views and likes, with ties, so every sort has something to order and to break ties on
+  for (const [i, id] of ids.entries()) {
+    for (const user of viewers.slice(0, i % 3)) await api("GET", `/threads/${id}`, { user });
+    for (const user of viewers.slice(0, (i * 2) % 3)) await api("POST", `/threads/${id}/like`, { user });
+  }
+  const admin = (await api("POST", "/admin/login", { body: { name: "admin", password: "admin" } })).body.token;
+  await api("POST", "/admin/thread/pin", { admin, body: { threadId: ids[3] } });
+
+  for (const sort of SORTS) {
+    const all = (await api("GET", `/threads?sort=${sort}`)).body.threads.map((x) => x.id);
+    assert.equal(all[0], ids[3], `${sort}: the pinned thread leads`);
+    const paged = [];
+    let cursor = "";
+    for (let n = 0; n < 10; n++) {
+      const page = (await api("GET", `/threads?sort=${sort}&limit=3${cursor && `&cursor=${cursor}`}`)).body;
+      paged.push(...page.threads.map((x) => x.id));
+      if (!page.nextCursor) break;
+      cursor = page.nextCursor;
+    }
+    assert.deepEqual(paged, all, sort);
+  }
+
+  // a thread started between pages does not push older ones onto the next page again
+  const first = (await api("GET", "/threads?limit=3")).body;
+  await api("POST", "/threads", { user: alice, body: { title: "late", body: "b" } });
+  const second = (await api("GET", `/threads?limit=3&cursor=${first.nextCursor}`)).body;
+  assert.equal(second.threads.some((x) => first.threads.some((y) => y.id === x.id)), false);
+});
+
+test("a list cursor is refused for another sort or without its position", async (t) => {
+  const { api } = await startServer(t);
+  const alice = await register(api, "alice");
+  for (let i = 0; i < 3; i++) await api("POST", "/threads", { user: alice, body: { title: `t${i}`, body: "b" } });
+  const { nextCursor } = (await api("GET", "/threads?sort=like_total&limit=1")).body;
+  assert.equal((await api("GET", `/threads?sort=like_total&limit=1&cursor=${nextCursor}`)).status, 200);
+  assert.equal((await api("GET", `/threads?sort=pv_day&cursor=${nextCursor}`)).body.error, "bad_cursor");
+  const forged = (pos, extra = {}) => Buffer.from(JSON.stringify({ sort: "like_total", pos, ...extra })).toString("base64url");
+  assert.equal((await api("GET", `/threads?sort=like_total&cursor=${forged({ id: "T1", pinnedAt: "", createdAt: "" })}`)).status, 400);
+  assert.equal((await api("GET", `/threads?sort=like_total&cursor=${forged({ id: "T1", pinnedAt: "", createdAt: "", likeTotal: "1" })}`)).status, 400);
+  assert.equal((await api("GET", "/threads?sort=hot&cursor=" + Buffer.from(JSON.stringify({ sort: "hot", pos: { id: "T1", pinnedAt: "", createdAt: "", hot: 1 } })).toString("base64url"))).status, 400);
+  assert.equal((await api("GET", "/threads?cursor=not-base64-json")).status, 400);
+});
+
+// Opens an event stream; next(type) resolves to the data of the next `type` event with its id.
+async function openStream(t, url) {
+  const ac = new AbortController();
+  t.after(() => ac.abort());
+  const res = await fetch(url, { signal: ac.signal });
+  assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let text = "";
+  return {
+    async next(type) {
+      for (;;) {
+        const blocks = text.split("\n\n");
+        const i = blocks.findIndex((b) => b.includes(`\nevent: ${type}\n`));
+        if (i >= 0 && i < blocks.length - 1) {
+          text = blocks.slice(i + 1).join("\n\n");
+          const [, id, data] = /^id: (.*)\nevent: .*\ndata: (.*)$/.exec(blocks[i]);
+          return { id, data: JSON.parse(data) };
+        }
+        const { value, done } = await reader.read();
+        if (done) throw new Error(`stream ended before a ${type} event`);
+        text += value;
+      }
+    },
+  };
+}
+
+test("thread streams carry new replies and replay them after a reconnect", async (t) => {
+  const { api, base } = await startServer(t);
+  const alice = await register(api, "alice");
+  const threadId = (await api("POST", "/threads", { user: alice, body: { title: "live", body: "b" } })).body.thread.id;
+  const list = await openStream(t, `${base}/threads/stream`);
+  const thread = await openStream(t, `${base}/threads/${threadId}/stream`);
+
+  await api("POST", `/threads/${threadId}/posts`, { user: alice, body: { body: "first" } });
+  const first = await thread.next("post");
+  assert.equal(first.data.body, "first");
+  assert.equal((await list.next("thread")).data.id, threadId);
+
+  await api("POST", `/threads/${threadId}/posts`, { user: alice, body: { body: "second" } });
+  const resumed = await openStream(t, `${base}/threads/${threadId}/stream?lastEventId=${first.id}`);
+  assert.equal((await resumed.next("post")).data.body, "second");
+  const stale = await openStream(t, `${base}/threads/${threadId}/stream?lastEventId=old.1`);
+  await stale.next("reset");
+  assert.equal((await api("GET", "/threads/nope/stream")).status, 404);
+});
+
+test("replies notify the thread owner and the answered author once each, unless muted", async (t) => {
+  const { api } = await startServer(t);
+  const [alice, bob, carol] = [await register(api, "alice"), await register(api, "bob"), await register(api, "carol")];
+  const threadId = (await api("POST", "/threads", { user: alice, body: { title: "t", body: "b" } })).body.thread.id;
+  const inbox = async (user, query = "") => (await api("GET", `/notifications${query}`, { user })).body;
+
+  await api("POST", `/threads/${threadId}/posts`, { user: bob, body: { body: "hi" } });
+  await api("POST", `/threads/${threadId}/posts`, { user: carol, body: { body: ">>2 and >>1", replyTo: 2 } });
+  await api("POST", `/threads/${threadId}/posts`, { user: alice, body: { body: ">>2" } });
+  assert.deepEqual((await inbox(alice)).notifications.map((n) => n.actorName), ["carol", "bob"]);
+  assert.deepEqual((await inbox(bob)).notifications.map((n) => [n.type, n.actorName]), [["reply", "alice"], ["reply", "carol"]]);
+  assert.equal((await inbox(carol)).unreadCount, 0);
+
+  assert.equal((await api("POST", `/threads/${threadId}/mute`, { user: alice, body: {} })).body.muted, true);
+  await api("POST", `/threads/${threadId}/posts`, { user: bob, body: { body: "again" } });
+  assert.equal((await inbox(alice)).unreadCount, 2);
+
+  const [newest] = (await inbox(bob)).notifications;
+  assert.equal((await api("POST", "/notifications/read", { user: bob, body: { ids: [newest.id] } })).body.unreadCount, 1);
+  assert.deepEqual((await inbox(bob, "?unread=1")).notifications.map((n) => n.actorName), ["carol"]);
+  assert.equal((await api("POST", "/notifications/read", { user: bob, body: {} })).status, 400);
+  assert.equal((await api("POST", "/notifications/read", { user: bob, body: { all: true } })).body.updated, 1);
+  assert.equal((await api("GET", "/notifications?cursor=junk", { user: bob })).status, 400);
+});
+
+test("reactions count once per user and kind, and bookmarks stay private", async (t) => {
+  const { api } = await startServer(t);
+  const [alice, bob] = [await register(api, "alice"), await register(api, "bob")];
+  const threadId = (await api("POST", "/threads", { user: alice, body: { title: "t", body: "b" } })).body.thread.id;
+  const postId = (await api("POST", `/threads/${threadId}/posts`, { user: alice, body: { body: "reply" } })).body.post.id;
+
+  assert.deepEqual((await api("POST", `/threads/${threadId}/like`, { user: bob })).body.reactions, { like: 1 });
+  assert.equal((await api("POST", `/threads/${threadId}/reactions/like`, { user: bob })).body.already, true);
+  await api("POST", `/threads/${threadId}/reactions/love`, { user: bob });
+  await api("POST", `/threads/${threadId}/posts/${postId}/reactions/thanks`, { user: bob });
+  assert.equal((await api("POST", `/threads/${threadId}/reactions/angry`, { user: bob })).body.error, "bad_reaction");
+  assert.equal((await api("POST", `/threads/${threadId}/posts/nope/like`, { user: bob })).status, 404);
+  const seen = (await api("GET", `/threads/${threadId}`, { user: bob })).body.thread;
+  assert.deepEqual([seen.likeTotal, seen.reactions, seen.myReactions.sort()], [1, { like: 1, love: 1 }, ["like", "love"]]);
+  assert.deepEqual(seen.posts.find((p) => p.id === postId).reactions, { thanks: 1 });
+  assert.deepEqual((await api("DELETE", `/threads/${threadId}/like`, { user: bob })).body.reactions, { love: 1 });
+  // only the like told the owner
+  assert.deepEqual((await api("GET", "/notifications", { user: alice })).body.notifications.map((n) => n.type), ["like"]);
+
+  const other = (await api("POST", "/threads", { user: alice, body: { title: "u", body: "b" } })).body.thread.id;
+  await api("POST", `/threads/${threadId}/bookmark`, { user: bob, body: {} });
+  await api("POST", `/threads/${other}/bookmark`, { user: bob, body: {} });
+  assert.equal((await api("POST", "/threads/nope/bookmark", { user: bob, body: {} })).status, 404);
+  assert.deepEqual((await api("GET", "/bookmarks", { user: bob })).body.bookmarks.map((b) => b.thread.id), [other, threadId]);
+  assert.deepEqual((await api("GET", "/bookmarks", { user: alice })).body.bookmarks, []);
+  assert.equal((await api("GET", `/threads/${threadId}`, { user: bob })).body.thread.bookmarked, true);
+  // a deleted thread drops out of the list
+  await api("DELETE", `/threads/${other}`, { user: alice });
+  assert.deepEqual((await api("GET", "/bookmarks", { user: bob })).body.bookmarks.map((b) => b.thread.id), [threadId]);
+  await api("POST", `/threads/${threadId}/bookmark`, { user: bob, body: { bookmarked: false } });
+  assert.deepEqual((await api("GET", "/bookmarks", { user: bob })).body.bookmarks, []);
+});
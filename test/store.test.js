@@ -0,0 +1,158 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openStore, copyDump } from "../lib/store.js";
+import { validateRecord } from "../lib/validate.js";
+
+const thread = (id, extra = {}) => ({
+  id, title: "t", creatorId: "U1", createdAt: "2026-01-01T00:00:00.000Z", updatedAt: "2026-01-01T00:00:00.000Z",
+  tags: [], postSeq: 0, hidden: false, ...extra,
+});
+
+// Keeps everything in memory and remembers what was written to it.
+function memoryBackend(data = {}) {
+  const writes = [];
+  return { file: "memory", writes, load: () => data, write: (name, id, rec) => writes.push([name, id, rec && structuredClone(rec)]), flush() {} };
+}
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "diary-store-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("indexes follow puts and removes", () => {
+  const store = openStore({ backend: memoryBackend({ threads: [thread("T1"), thread("T2")] }) });
+  assert.deepEqual(store.threads.find("creatorId", "U1").map((r) => r.id), ["T1", "T2"]);
+  store.threads.put(thread("T2", { creatorId: "U2" }));
+  assert.deepEqual(store.threads.find("creatorId", "U1").map((r) => r.id), ["T1"]);
+  assert.deepEqual(store.threads.find("creatorId", "U2").map((r) => r.id), ["T2"]);
+  store.threads.remove("T2");
+  assert.deepEqual(store.threads.find("creatorId", "U2"), []);
+  assert.deepEqual(store.backend.writes.map(([name, id, rec]) => [name, id, rec && rec.creatorId]), [["threads", "T2", "U2"], ["threads", "T2", null]]);
+});
+
+test("put refuses an invalid record and puts the live one back", () => {
+  const store = openStore({ backend: memoryBackend({ threads: [thread("T1")] }) });
+  store.validator = validateRecord;
+  const t = store.threads.get("T1");
+  t.title = 5;
+  t.creatorId = "U2";
+  assert.throws(() => store.threads.put(t), (e) => e.code === "invalid_record" && /threads\/T1: title/.test(e.message));
+  assert.equal(t.title, "t");
+  assert.equal(store.threads.get("T1"), t);
+  assert.deepEqual(store.threads.find("creatorId", "U1"), [t]);
+  assert.equal(store.backend.writes.length, 0);
+});
+
+test("a failed batch undoes its puts and removes", () => {
+  const store = openStore({ backend: memoryBackend({ threads: [thread("T1"), thread("T2")] }) });
+  store.validator = validateRecord;
+  assert.throws(() => store.batch(() => {
+    const t = store.threads.get("T1");
+    t.title = "changed";
+    store.threads.put(t);
+    store.threads.put(thread("T3", { creatorId: "U3" }));
+    store.threads.remove("T2");
+    store.threads.put({ ...thread("T4"), hidden: "no" });
+  }), { code: "invalid_record" });
+
+  assert.deepEqual(store.threads.all().map((t) => [t.id, t.title]).sort(), [["T1", "t"], ["T2", "t"]]);
+  assert.equal(store.threads.find("creatorId", "U3").length, 0);
+  assert.equal(store.threads.find("creatorId", "U1").length, 2);
+  // the backend saw the changes and then their undoing, ending where it started
+  const last = new Map(store.backend.writes.map(([name, id, rec]) => [`${name}/${id}`, rec]));
+  assert.equal(last.get("threads/T1").title, "t");
+  assert.equal(last.get("threads/T2").id, "T2");
+  assert.equal(last.get("threads/T3"), null);
+});
+
+test("a batch that succeeds keeps every write", () => {
+  const store = openStore({ backend: memoryBackend() });
+  store.batch(() => {
+    store.threads.put(thread("T1"));
+    store.batch(() => store.threads.put(thread("T2")));
+  });
+  assert.equal(store.threads.size, 2);
+});
+
+test("the log backend replays after compaction", (t) => {
+  const file = path.join(tmpDir(t), "db.log");
+  const store = openStore({ backend: "log", file });
+  store.threads.put(thread("T1"));
+  store.threads.put(thread("T1", { title: "second" }));
+  store.threads.put(thread("T2"));
+  store.threads.remove("T2");
+  store.backend.compact(store);
+  store.threads.put(thread("T3"));
+  store.close();
+
+  assert.equal(fs.readFileSync(file, "utf-8").trim().split("\n").length, 2);
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ["db.log"]);
+  const again = openStore({ backend: "log", file });
+  assert.deepEqual(again.threads.all().map((r) => [r.id, r.title]), [["T1", "second"], ["T3", "t"]]);
+  again.close();
+});
+
+test("the log backend drops a torn last line before appending", (t) => {
+  const file = path.join(tmpDir(t), "db.log");
+  const store = openStore({ backend: "log", file });
+  store.threads.put(thread("T1"));
+  store.threads.put(thread("T2"));
+  store.close();
+  // a crash in the middle of the second append
+  const whole = fs.readFileSync(file, "utf-8");
+  fs.writeFileSync(file, whole.slice(0, whole.length - 20));
+
+  const again = openStore({ backend: "log", file });
+  assert.deepEqual(again.threads.all().map((r) => r.id), ["T1"]);
+  again.threads.put(thread("T3"));
+  again.threads.put(thread("T4"));
+  again.close();
+  const last = openStore({ backend: "log", file });
+  assert.deepEqual(last.threads.all().map((r) => r.id), ["T1", "T3", "T4"]);
+  last.close();
+});
+
+test("the log backend keeps a whole last line that lost its newline", (t) => {
+  const file = path.join(tmpDir(t), "db.log");
+  const store = openStore({ backend: "log", file });
+  store.threads.put(thread("T1"));
+  store.close();
+  fs.writeFileSync(file, fs.readFileSync(file, "utf-8").trimEnd());
+
+  const again = openStore({ backend: "log", file });
+  again.threads.put(thread("T2"));
+  again.close();
+  const last = openStore({ backend: "log", file });
+  assert.deepEqual(last.threads.all().map((r) => r.id), ["T1", "T2"]);
+  last.close();
+});
+
+test("the log backend refuses corruption before the last line", (t) => {
+  const file = path.join(tmpDir(t), "db.log");
+  fs.writeFileSync(file, `{ torn\n${JSON.stringify({ c: "threads", k: "T1", v: thread("T1") })}\n`);
+  assert.throws(() => openStore({ backend: "log", file }), /db\.log:1:/);
+});
+
+test("the JSON backend refuses to open an unreadable file", (t) => {
+  const file = path.join(tmpDir(t), "db.json");
+  fs.writeFileSync(file, "{ not json");
+  assert.throws(() => openStore({ backend: "json", file }), /database is unreadable/);
+});
+
+test("copyDump turns an original db.json into a log store", (t) => {
+  const dir = tmpDir(t);
+  const from = path.join(dir, "db.json");
+  fs.writeFileSync(from, JSON.stringify({ threads: [{ ...thread("T1"), posts: [{ id: "P1", body: "hi" }] }], verifiedUsers: { U1: { at: "x" } } }));
+  const counts = copyDump(from, { backend: "log", file: path.join(dir, "db.log") });
+  assert.equal(counts.threads, 1);
+  assert.equal(counts.posts, 1);
+  assert.deepEqual(fs.readdirSync(dir).sort(), ["db.json", "db.log"]);
+  const store = openStore({ backend: "log", file: path.join(dir, "db.log") });
+  assert.equal(store.posts.get("P1").threadId, "T1");
+  assert.equal(store.verifiedUsers.get("U1").at, "x");
+  store.close();
+});
@@ -0,0 +1,70 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { openStore } from "../lib/store.js";
+import { createTagDirectory, tagKey, TREND_WINDOWS } from "../lib/tags.js";
+
+// A directory over in-memory threads; `stats` maps thread id -> counter fields.
+function setup(threads, stats = {}) {
+  const store = openStore({ backend: { file: "memory", load: () => ({}), write() {}, flush() {} } });
+  for (const [id, tags, extra] of threads) store.threads.put({ id, title: id, tags, creatorId: "U1", createdAt: "", updatedAt: "", ...extra });
+  const tags = createTagDirectory(store, { listed: (t) => !t.hidden, stats: (id) => stats[id] || {} });
+  return { store, tags };
+}
+
+test("tag keys fold width, case, kana and spacing", () => {
+  assert.equal(tagKey("ＪＳ"), "js");
+  assert.equal(tagKey("Js"), "js");
+  assert.equal(tagKey("  Node   JS "), "node js");
+  assert.equal(tagKey("ニッキ"), tagKey("にっき"));
+  assert.equal(tagKey(undefined), "");
+});
+
+test("the directory merges spellings under the most used one and counts listed threads", () => {
+  const { tags } = setup([
+    ["T1", ["JS", "diary"]],
+    ["T2", ["js", "ＪＳ"]],
+    ["T3", ["js"]],
+    ["T4", ["js", "secret"], { hidden: true }],
+  ]);
+  assert.deepEqual(tags.directory(), [
+    { tag: "js", key: "js", threads: 3, aliases: [] },
+    { tag: "diary", key: "diary", threads: 1, aliases: [] },
+  ]);
+  assert.deepEqual(tags.directory({ q: "Ｄ" }).map((e) => e.key), ["diary"]);
+  assert.equal(tags.hasTags({ tags: ["JS", "Diary"] }, ["js", "ＤＩＡＲＹ"]), true);
+  assert.equal(tags.hasTags({ tags: ["JS"] }, ["js", "diary"]), false);
+  assert.equal(tags.hasTags({}, []), true);
+});
+
+test("aliases fold their tags into the target and follow it when it moves", () => {
+  const { tags } = setup([["T1", ["javascript"]], ["T2", ["JS"]], ["T3", ["ecmascript"]]]);
+  assert.deepEqual(tags.setAlias("", "js", "A1"), { error: "bad_tag" });
+  assert.deepEqual(tags.setAlias("ＪＳ", "js", "A1"), { error: "same_tag" });
+
+  assert.equal(tags.setAlias("js", "JavaScript", "A1").alias.targetKey, "javascript");
+  assert.equal(tags.canonical("Js"), "javascript");
+  assert.deepEqual(tags.directory()[0], { tag: "JavaScript", key: "javascript", threads: 2, aliases: ["js"] });
+  assert.deepEqual(tags.directory({ q: "j" }).map((e) => e.key), ["javascript"]);
+  assert.equal(tags.hasTags({ tags: ["js"] }, ["JavaScript"]), true);
+
+  // an alias onto an alias lands on its target
+  assert.equal(tags.setAlias("ecma", "JS", "A1").alias.target, "JavaScript");
+  // and aliases of a tag that becomes an alias follow it
+  tags.setAlias("javascript", "ECMAScript", "A1");
+  assert.equal(tags.canonical("js"), "ecmascript");
+  assert.equal(tags.canonical("ecma"), "ecmascript");
+  assert.deepEqual(tags.directory(), [{ tag: "ECMAScript", key: "ecmascript", threads: 3, aliases: ["js", "ecma", "javascript"] }]);
+  assert.deepEqual(tags.aliases().map((a) => [a.id, a.target]), [["ecma", "ECMAScript"], ["javascript", "ECMAScript"], ["js", "ECMAScript"]]);
+});
+
+test("trending ranks tags by their threads' views and likes in the window", () => {
+  const { tags } = setup([["T1", ["a", "b"]], ["T2", ["b"]], ["T3", ["c"]], ["T4", ["d"]]], {
+    T1: { pvDay: 10, likeDay: 1, pvWeek: 10, likeWeek: 1 },
+    T2: { pvDay: 2, pvWeek: 40 },
+    T4: { pvWeek: 1 },
+  });
+  assert.deepEqual(Object.keys(TREND_WINDOWS), ["day", "week", "month"]);
+  assert.deepEqual(tags.trending("day").map((e) => [e.key, e.score, e.pv, e.likes, e.threads]), [["b", 17, 12, 1, 2], ["a", 15, 10, 1, 1]]);
+  assert.deepEqual(tags.trending("week").map((e) => e.key), ["b", "a", "d"]);
+  assert.deepEqual(tags.trending("month"), []);
+});